@@ -0,0 +1,224 @@
+// SubstackFront - Article Store
+// IndexedDB-backed cache of article bodies for the offline reader
+
+(function(root) {
+  'use strict';
+
+  // Bodies are kept in their own database so that the post database stays
+  // small and quick to scan, and the cache can be dropped on its own
+  const DB_NAME = 'substackfront-articles';
+  const DB_VERSION = 1;
+
+  // Sanitized HTML and inlined images, keyed by post URL
+  const BODIES_STORE = 'bodies';
+  // Small per-article records (size, access time, reading position) that
+  // can be scanned for eviction without loading the bodies
+  const ENTRIES_STORE = 'entries';
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        console.log(`[SubstackFront] Upgrading article database from v${event.oldVersion} to v${DB_VERSION}`);
+
+        if (event.oldVersion < 1) {
+          db.createObjectStore(BODIES_STORE, { keyPath: 'url' });
+          const entries = db.createObjectStore(ENTRIES_STORE, { keyPath: 'url' });
+          entries.createIndex('accessedAt', 'accessedAt');
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Run fn with both object stores inside one transaction
+   * @returns {Promise<*>} fn's result, once the transaction has committed
+   */
+  async function withStores(mode, fn) {
+    const db = await openDatabase();
+    const transaction = db.transaction([BODIES_STORE, ENTRIES_STORE], mode);
+    const done = new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+    const [result] = await Promise.all([
+      fn(transaction.objectStore(BODIES_STORE), transaction.objectStore(ENTRIES_STORE)),
+      done
+    ]);
+    return result;
+  }
+
+  /**
+   * Approximate stored size of an article body in bytes
+   */
+  function measureArticle(html, images) {
+    return Object.values(images).reduce((sum, dataUrl) => sum + dataUrl.length, html.length);
+  }
+
+  /**
+   * Store or replace a cached article. The reading position of an
+   * article that was already cached is kept.
+   * @param {Object} article
+   * @param {string} article.url - the stored post's URL
+   * @param {string} article.html - sanitized body HTML
+   * @param {Object<string, string>} [article.images] - image URL -> data URL
+   * @param {boolean} [article.isPartial] - only the free preview of a paid post
+   * @returns {Promise<Object>} the entry record
+   */
+  async function putArticle(article) {
+    const images = article.images || {};
+    const cachedAt = new Date().toISOString();
+
+    return withStores('readwrite', async (bodies, entries) => {
+      const existing = await promisify(entries.get(article.url));
+      const entry = {
+        url: article.url,
+        isPartial: Boolean(article.isPartial),
+        bytes: measureArticle(article.html, images),
+        imageCount: Object.keys(images).length,
+        cachedAt,
+        accessedAt: cachedAt,
+        progress: existing?.progress || 0
+      };
+      bodies.put({ url: article.url, html: article.html, images });
+      entries.put(entry);
+      return entry;
+    });
+  }
+
+  /**
+   * Get a cached article (entry fields plus html and images), or null
+   */
+  async function getArticle(url) {
+    return withStores('readonly', async (bodies, entries) => {
+      const [body, entry] = await Promise.all([
+        promisify(bodies.get(url)),
+        promisify(entries.get(url))
+      ]);
+      if (!body || !entry) return null;
+      return { ...entry, html: body.html, images: body.images };
+    });
+  }
+
+  /**
+   * Get the entries (without bodies) of the given URLs that are cached
+   * @returns {Promise<Map<string, Object>>} url -> entry
+   */
+  async function getEntries(urls) {
+    const found = new Map();
+    await withStores('readonly', (bodies, entries) =>
+      Promise.all(urls.map(url =>
+        promisify(entries.get(url)).then(entry => {
+          if (entry) found.set(url, entry);
+        })
+      ))
+    );
+    return found;
+  }
+
+  /**
+   * Get every entry, least recently opened first
+   */
+  async function listEntries() {
+    return withStores('readonly', (bodies, entries) =>
+      promisify(entries.index('accessedAt').getAll())
+    );
+  }
+
+  /**
+   * Update an entry in place. update(entry) returns the new entry.
+   * @returns {Promise<Object|null>} the updated entry, or null if not cached
+   */
+  async function updateEntry(url, update) {
+    return withStores('readwrite', async (bodies, entries) => {
+      const entry = await promisify(entries.get(url));
+      if (!entry) return null;
+      const next = update(entry);
+      entries.put(next);
+      return next;
+    });
+  }
+
+  /**
+   * Remove cached articles by URL
+   */
+  async function deleteArticles(urls) {
+    if (urls.length === 0) return;
+    await withStores('readwrite', (bodies, entries) => {
+      urls.forEach(url => {
+        bodies.delete(url);
+        entries.delete(url);
+      });
+    });
+  }
+
+  /**
+   * Remove every cached article
+   */
+  async function clearArticles() {
+    await withStores('readwrite', (bodies, entries) => {
+      bodies.clear();
+      entries.clear();
+    });
+  }
+
+  /**
+   * Get the number of cached articles and their approximate total size
+   * @returns {Promise<{count: number, bytes: number}>}
+   */
+  async function getUsage() {
+    const entries = await listEntries();
+    return {
+      count: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0)
+    };
+  }
+
+  root.ArticleStore = {
+    open: openDatabase,
+    put: putArticle,
+    get: getArticle,
+    getEntries,
+    listEntries,
+    updateEntry,
+    deleteMany: deleteArticles,
+    clear: clearArticles,
+    getUsage
+  };
+
+})(globalThis);
@@ -3,10 +3,52 @@
 
 console.log('[SubstackFront] Background service worker started');
 
-// Storage limits
-const MAX_POSTS = 300;
-const STORAGE_WARNING_THRESHOLD = 4 * 1024 * 1024; // 4MB (80% of 5MB limit)
-const MAX_POST_AGE_DAYS = 30;
+importScripts('../shared/settings.js', '../shared/directory.js', '../shared/rules.js', '../shared/refresh-jobs.js', '../shared/post-url.js', 'post-store.js', 'article-store.js', 'feed-fetcher.js');
+
+const Settings = self.SubstackFrontSettings;
+const Rules = self.SubstackFrontRules;
+const Directory = self.SubstackFrontDirectory;
+const RefreshJobs = self.SubstackFrontRefreshJobs;
+const PostUrl = self.SubstackFrontPostUrl;
+const PostStore = self.PostStore;
+const ArticleStore = self.ArticleStore;
+const FeedFetcher = self.FeedFetcher;
+
+// Extraction health: share of inbox post links that must become posts, and
+// share of posts that may miss a field, before extraction counts as degraded
+const EXTRACTION_MIN_COVERAGE = 0.6;
+const EXTRACTION_MAX_MISSING = 0.5;
+const EXTRACTION_CHECKED_FIELDS = ['publication', 'author', 'publishedAt'];
+
+// Scheduled refresh
+const REFRESH_ALARM_NAME = 'scheduled-refresh';
+const IDLE_DETECTION_SECONDS = 5 * 60;
+
+// Offline reader: how many new posts to cache after a refresh, and limits
+// on the images inlined into each cached article
+const OFFLINE_PREFETCH_LIMIT = 10;
+const OFFLINE_MAX_IMAGES = 40;
+const OFFLINE_MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const ARTICLE_FETCH_TIMEOUT_MS = 20000;
+const OFFSCREEN_DOCUMENT_PATH = 'background/offscreen.html';
+const IMAGE_HOSTS = ['substackcdn.com', 'substack.com'];
+
+// Reading progress: posts read at least this far (but not finished) are
+// offered under "Continue reading"
+const CONTINUE_READING_MIN_PROGRESS = 0.1;
+const CONTINUE_READING_LIMIT = 12;
+
+// Toolbar badge
+const BADGE_COLOR = '#8b0000';
+const BADGE_MAX_COUNT = 999;
+
+// New-post notifications: posts published longer ago than this aren't
+// news (e.g. a feed fetched for the first time), and past this many posts
+// one summary notification is shown instead of one per post
+const NOTIFY_MAX_AGE_MS = 86400000;
+const NOTIFY_MAX_POSTS = 3;
+const NOTIFICATION_POST_PREFIX = 'post:';
+const NOTIFICATION_SUMMARY_ID = 'new-posts';
 
 /**
  * Check if URL is a valid article (not comments/discussion/other non-articles)
@@ -28,309 +70,2178 @@ function isValidPostUrl(url) {
 }
 
 /**
- * Get all stored posts (filters out invalid URLs)
+ * Get all stored posts, newest first (filters out invalid URLs)
+ */
+async function getStoredPosts() {
+  const posts = await PostStore.getAll();
+  // Filter out any cached posts with invalid URLs
+  return posts.filter(post => isValidPostUrl(post.url));
+}
+
+let postsRevision = 0;
+
+/**
+ * Tell open UIs that stored posts changed. Posts live in IndexedDB, which
+ * has no change events, so UIs watch this key and re-request posts.
+ */
+async function notifyPostsChanged() {
+  postsRevision++;
+  await chrome.storage.local.set({ postsRevision: `${Date.now()}-${postsRevision}` });
+  scheduleBadgeUpdate();
+}
+
+/**
+ * Count the unread posts shown on the badge: all of them, or only those
+ * from publications that aren't muted
+ */
+async function countBadgePosts(settings) {
+  const rules = settings.badgeCount === 'unmuted' ? await Rules.load() : null;
+  if (!rules || rules.mutedPublications.length === 0) {
+    return PostStore.count({ isRead: false });
+  }
+  const muted = new Set(rules.mutedPublications);
+  const posts = await PostStore.getAll();
+  return posts.filter(post => !post.isRead && !muted.has(Directory.getPublicationHost(post.url))).length;
+}
+
+/**
+ * Show the unread count on the toolbar icon
+ */
+async function updateBadge() {
+  const settings = await Settings.load();
+  if (settings.badgeCount === 'off') {
+    await chrome.action.setBadgeText({ text: '' });
+    return;
+  }
+
+  const count = await countBadgePosts(settings);
+  const text = count > BADGE_MAX_COUNT ? `${BADGE_MAX_COUNT}+` : count > 0 ? String(count) : '';
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COLOR });
+  await chrome.action.setBadgeText({ text });
+}
+
+let badgeUpdate = Promise.resolve();
+
+/**
+ * Queue a badge update. Updates run one at a time so a slow count can't
+ * overwrite a newer one.
+ */
+function scheduleBadgeUpdate() {
+  badgeUpdate = badgeUpdate.then(updateBadge).catch(error => {
+    console.error('[SubstackFront] Failed to update badge:', error);
+  });
+  return badgeUpdate;
+}
+
+// Fields that only exist locally and must survive re-extraction of a post
+const LOCAL_POST_FIELDS = [
+  'isSaved',
+  'savedAt',
+  'offlineCachedAt',
+  'progress',
+  'timeSpent',
+  'finishedAt',
+  'progressUpdatedAt'
+];
+
+/**
+ * Copy local-only fields from a stored post onto a re-extracted one
+ */
+function pickLocalFields(existing) {
+  const fields = {};
+  LOCAL_POST_FIELDS.forEach(field => {
+    if (existing[field] !== undefined) fields[field] = existing[field];
+  });
+  return fields;
+}
+
+/**
+ * Limit stored posts to maxPosts by removing the oldest. Saved posts
+ * never count against the limit and are never trimmed.
+ * @returns {Promise<number>} number of posts removed
+ */
+async function trimPosts(maxPosts) {
+  const overflowUrls = await PostStore.getOverflowUrls(maxPosts);
+  await PostStore.deleteMany(overflowUrls);
+  await ArticleStore.deleteMany(overflowUrls);
+  return overflowUrls.length;
+}
+
+// Fields filled in from the article page itself. They are more precise than
+// the inbox's (exact publish time rather than "Jan 10"), so they survive
+// re-extraction once a post has been enriched.
+const ENRICHED_POST_FIELDS = [
+  'publishedAt',
+  'updatedAt',
+  'authors',
+  'wordCount',
+  'wordCountIsPartial',
+  'readingTimeMinutes',
+  'isPaywalled',
+  'likeCount',
+  'commentCount',
+  'tags',
+  'enrichedAt'
+];
+
+// Article metadata fields that replace the inbox's version when present
+const ENRICHED_DETAIL_FIELDS = ['title', 'subtitle', 'author', 'coverImage'];
+
+/**
+ * Copy enriched fields from a stored post onto a re-extracted one
+ */
+function pickEnrichedFields(existing) {
+  if (!existing.enrichedAt) return {};
+  const fields = {};
+  ENRICHED_POST_FIELDS.forEach(field => {
+    if (existing[field] !== undefined) fields[field] = existing[field];
+  });
+  return fields;
+}
+
+/**
+ * Read-state fields for a post seen for the first time
+ */
+function initialReadState(post) {
+  const observedAt = post.extractedAt || new Date().toISOString();
+  if (post.isRead === undefined) {
+    // From a source with no read state (RSS), so nothing observed on Substack
+    return {
+      isRead: false,
+      readStateChangedAt: observedAt,
+      readStateSource: 'feed'
+    };
+  }
+  return {
+    isRead: Boolean(post.isRead),
+    readStateChangedAt: observedAt,
+    readStateSource: 'substack',
+    substackIsRead: Boolean(post.isRead),
+    substackObservedAt: observedAt
+  };
+}
+
+/**
+ * Decide the read state of a re-extracted post.
+ *
+ * The inbox only tells us what Substack showed at extraction time, so a
+ * change in Substack's state is known to have happened some time after
+ * the previous observation. Substack wins only if our local change is
+ * older than that window; otherwise the local change is the fresher
+ * signal and is kept. With no previous observation, a "read" on Substack
+ * still marks the post read, but an "unread" never undoes a local read.
+ * Posts from sources without read state (RSS) leave it untouched.
+ */
+function reconcileReadState(existing, incoming) {
+  if (incoming.isRead === undefined) {
+    return {
+      isRead: Boolean(existing.isRead),
+      readStateChangedAt: existing.readStateChangedAt || null,
+      readStateSource: existing.readStateSource || 'local',
+      substackIsRead: existing.substackIsRead,
+      substackObservedAt: existing.substackObservedAt
+    };
+  }
+
+  const observedAt = incoming.extractedAt || new Date().toISOString();
+  const substackIsRead = Boolean(incoming.isRead);
+  const localState = {
+    isRead: Boolean(existing.isRead),
+    readStateChangedAt: existing.readStateChangedAt || null,
+    readStateSource: existing.readStateSource || 'local'
+  };
+  const observation = { substackIsRead, substackObservedAt: observedAt };
+
+  const adoptSubstack = () => ({
+    isRead: substackIsRead,
+    readStateChangedAt: observedAt,
+    readStateSource: 'substack',
+    ...observation
+  });
+
+  if (localState.isRead === substackIsRead) {
+    return { ...localState, ...observation };
+  }
+
+  if (existing.substackIsRead === undefined) {
+    return substackIsRead ? adoptSubstack() : { ...localState, ...observation };
+  }
+
+  if (existing.substackIsRead === substackIsRead) {
+    // Substack hasn't changed since we last looked, so the local state is newer
+    return { ...localState, ...observation };
+  }
+
+  const localChangedAt = new Date(localState.readStateChangedAt || 0).getTime();
+  const previousObservationAt = new Date(existing.substackObservedAt || 0).getTime();
+  if (localChangedAt <= previousObservationAt) {
+    return adoptSubstack();
+  }
+  return { ...localState, ...observation };
+}
+
+// Storage key for the publication domains learned from posts (see learnPublicationDomains)
+const PUBLICATION_DOMAINS_KEY = 'publicationDomains';
+
+/**
+ * Get the custom domains and author handles we know the publication's
+ * substack.com subdomain of
+ * @returns {Promise<Object<string, string|null>>} custom hostname or
+ *   "substack.com/@handle" -> substack.com hostname (null if ambiguous)
+ */
+async function getPublicationDomains() {
+  const result = await chrome.storage.local.get([PUBLICATION_DOMAINS_KEY]);
+  return result[PUBLICATION_DOMAINS_KEY] || {};
+}
+
+/**
+ * Remember the custom domains and author handles that posts map to a
+ * substack.com subdomain (the inbox preload says which publication a post
+ * belongs to and who wrote it). A handle seen writing for more than one
+ * publication is kept as null so its profile links are never mapped.
+ * @returns {Promise<Object<string, string|null>|null>} all known domains, or null if none were new
+ */
+async function learnPublicationDomains(posts) {
+  const domains = await getPublicationDomains();
+  let learned = false;
+  posts.forEach(post => {
+    const canonical = PostUrl.canonicalizePost(post);
+    if (!canonical) return;
+    const substackHost = new URL(canonical.url).hostname;
+    if (!PostUrl.isSubstackHost(substackHost) || substackHost === 'substack.com') return;
+
+    if (canonical.customDomain && domains[canonical.customDomain] !== substackHost) {
+      domains[canonical.customDomain] = substackHost;
+      learned = true;
+    }
+
+    const handleKey = post.authorHandle ? `substack.com/@${post.authorHandle}` : null;
+    if (!handleKey || domains[handleKey] === substackHost || domains[handleKey] === null) return;
+    domains[handleKey] = handleKey in domains ? null : substackHost;
+    learned = true;
+  });
+  if (!learned) return null;
+  await chrome.storage.local.set({ [PUBLICATION_DOMAINS_KEY]: domains });
+  return domains;
+}
+
+/**
+ * Merge posts into storage, deduplicating by canonical URL, then apply
+ * the retention limits. merge(existing, post) is given null for new posts.
+ * @returns {Promise<{added: number, updated: number, total: number, addedUrls: string[]}>}
+ */
+async function storePosts(posts, merge) {
+  const settings = await Settings.load();
+  const learnedDomains = await learnPublicationDomains(posts);
+  const domains = learnedDomains || await getPublicationDomains();
+
+  // Only valid URLs, and the last copy of any post repeated in the batch
+  const postMap = new Map();
+  posts
+    .map(post => PostUrl.canonicalizePost(post, domains))
+    .filter(post => post && isValidPostUrl(post.url))
+    .forEach(post => {
+      postMap.set(post.url, post);
+    });
+
+  // Posts stored under a newly learned custom domain become duplicates
+  if (learnedDomains) await canonicalizeStoredPosts(learnedDomains);
+
+  const { added, updated, addedUrls } = await PostStore.mergeMany(Array.from(postMap.values()), merge);
+
+  // Nothing written, so nothing to trim and no reason for UIs to reload
+  if (added + updated > 0) {
+    // Limit to maxPosts (oldest unsaved posts are removed)
+    const trimmedCount = await trimPosts(settings.maxPosts);
+    if (trimmedCount > 0) {
+      console.log(`[SubstackFront] Trimmed ${trimmedCount} posts over the limit of ${settings.maxPosts}`);
+    }
+
+    // Check storage usage and auto-cleanup if needed
+    await checkAndCleanupStorage();
+    await notifyPostsChanged();
+  }
+
+  const total = await PostStore.count();
+  return { added, updated, total, addedUrls };
+}
+
+/**
+ * Get the fields of a post that have a value
+ */
+function pickPresentFields(post) {
+  const fields = {};
+  Object.keys(post).forEach(field => {
+    if (post[field] !== undefined && post[field] !== null && post[field] !== '') {
+      fields[field] = post[field];
+    }
+  });
+  return fields;
+}
+
+// Fields that change on every extraction whether or not the post did
+const EXTRACTION_TIME_FIELDS = ['extractedAt', 'substackObservedAt'];
+
+// How old the stored Substack read-state observation may get before an
+// otherwise unchanged post is rewritten just to renew it. Renewing keeps
+// reconcileReadState's window narrow; doing it on every extraction
+// would rewrite every post each time the inbox is scrolled.
+const OBSERVATION_RENEW_MS = 60 * 60 * 1000;
+
+/**
+ * Check if a merged post would store nothing new over the existing one
+ */
+function isPostUnchanged(existing, next) {
+  const fields = new Set([...Object.keys(existing), ...Object.keys(next)]);
+  for (const field of fields) {
+    if (EXTRACTION_TIME_FIELDS.includes(field)) continue;
+    if (JSON.stringify(existing[field]) !== JSON.stringify(next[field])) return false;
+  }
+  if (!existing.substackObservedAt || !next.substackObservedAt) {
+    return existing.substackObservedAt === next.substackObservedAt;
+  }
+  return getFieldTime(next, 'substackObservedAt') - getFieldTime(existing, 'substackObservedAt') < OBSERVATION_RENEW_MS;
+}
+
+// Post fields whose edits are kept in the post's revision history
+const REVISION_FIELDS = ['title', 'subtitle', 'coverImage'];
+
+// Revisions kept per post (the oldest are dropped first) and the longest
+// text kept for a value in one, so a post retitled over and over can't
+// grow without bound
+const MAX_POST_REVISIONS = 5;
+const MAX_REVISION_TEXT_LENGTH = 500;
+
+/**
+ * Reduce a tracked value to what counts as a change. Whitespace is
+ * ignored, and Substack CDN image URLs are reduced to the image they
+ * fetch, since the inbox picks a different size to suit the window.
+ */
+function normalizeRevisionValue(field, value) {
+  const text = String(value).trim();
+  if (field !== 'coverImage') return text.replace(/\s+/g, ' ');
+  const fetchMatch = text.match(/^https:\/\/substackcdn\.com\/image\/fetch\/[^/]*\/(https?%3A.+)$/i);
+  if (!fetchMatch) return text;
+  try {
+    return decodeURIComponent(fetchMatch[1]);
+  } catch (error) {
+    return text;
+  }
+}
+
+/**
+ * A short hash of a tracked value (32-bit FNV-1a)
+ */
+function hashRevisionValue(field, value) {
+  const text = normalizeRevisionValue(field, value);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+/**
+ * Shorten a value for storing in a revision
+ */
+function compactRevisionValue(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value);
+  return text.length > MAX_REVISION_TEXT_LENGTH ? `${text.slice(0, MAX_REVISION_TEXT_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Note the tracked values a source reported for a post, and add a
+ * revision if any changed since that source last reported them.
+ *
+ * Each source is only compared with itself: the inbox, feeds and article
+ * pages word the same post a little differently (a feed's description is
+ * not always the inbox subtitle), and switching between them isn't an
+ * edit. Only hashes of the last values are kept per source; the revision
+ * itself records what was shown before and after.
+ *
+ * @param {Object|null} existing - the stored post
+ * @param {Object} next - the post about to be stored
+ * @param {string} source - 'inbox', 'feed' or 'article'
+ * @param {Object} reported - the fields the source reported
+ * @param {string} changedAt - ISO date
+ * @returns {Object} next, with revisionHashes and revisions filled in
+ */
+function trackRevisions(existing, next, source, reported, changedAt) {
+  const previousHashes = existing?.revisionHashes?.[source] || {};
+  const hashes = { ...previousHashes };
+  const changes = {};
+
+  REVISION_FIELDS.forEach(field => {
+    if (reported[field] === undefined || reported[field] === null) return;
+    hashes[field] = hashRevisionValue(field, reported[field]);
+    if (previousHashes[field] === undefined || previousHashes[field] === hashes[field]) return;
+    if (existing[field] === next[field]) return;
+    changes[field] = { from: compactRevisionValue(existing[field]), to: compactRevisionValue(next[field]) };
+  });
+
+  const tracked = { ...next, revisionHashes: { ...existing?.revisionHashes, [source]: hashes } };
+  let revisions = existing?.revisions || [];
+  if (Object.keys(changes).length > 0) {
+    revisions = [...revisions, { changedAt, changes }].slice(-MAX_POST_REVISIONS);
+  }
+  if (revisions.length > 0) tracked.revisions = revisions;
+  return tracked;
+}
+
+/**
+ * Save extracted posts to storage, deduplicating by URL. Posts that
+ * haven't changed are not rewritten.
+ */
+async function savePosts(newPosts) {
+  // Add or update, reconciling read state with what Substack shows
+  const result = await storePosts(newPosts, (existing, post) => {
+    const fromFeed = post.isRead === undefined;
+    const source = fromFeed ? 'feed' : 'inbox';
+    const reported = fromFeed ? pickPresentFields(post) : post;
+    const changedAt = post.extractedAt || new Date().toISOString();
+
+    if (!existing) {
+      return trackRevisions(null, { ...post, ...initialReadState(post) }, source, reported, changedAt);
+    }
+    // Feed items lack some inbox details (e.g. cover images), so they
+    // only fill in or update the fields they have
+    const details = fromFeed ? { ...existing, ...reported } : post;
+    const next = trackRevisions(existing, {
+      ...details,
+      ...pickLocalFields(existing),
+      ...pickEnrichedFields(existing),
+      ...reconcileReadState(existing, post)
+    }, source, reported, changedAt);
+    return isPostUnchanged(existing, next) ? null : next;
+  });
+
+  if (result.added + result.updated > 0) {
+    await chrome.storage.local.set({ lastUpdated: new Date().toISOString() });
+  }
+
+  console.log(`[SubstackFront] Saved posts - Added: ${result.added}, Updated: ${result.updated}, Total: ${result.total}`);
+  return result;
+}
+
+/**
+ * Get the time of a timestamp field in ms (0 if missing)
+ */
+function getFieldTime(post, field) {
+  const time = new Date(post[field] || 0).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Merge a post from an imported archive with the stored copy.
+ * The more recently extracted copy supplies the post details, the more
+ * recent read-state change wins, and importing never unsaves a post.
+ */
+function mergeImportedPost(existing, imported) {
+  if (!existing) {
+    const observedAt = imported.extractedAt || new Date().toISOString();
+    return {
+      ...imported,
+      isRead: Boolean(imported.isRead),
+      readStateChangedAt: imported.readStateChangedAt || observedAt,
+      readStateSource: imported.readStateSource || 'import',
+      isSaved: Boolean(imported.isSaved),
+      savedAt: imported.isSaved ? imported.savedAt || observedAt : null
+    };
+  }
+
+  const details = getFieldTime(imported, 'extractedAt') > getFieldTime(existing, 'extractedAt')
+    ? { ...existing, ...imported }
+    : { ...imported, ...existing };
+
+  const readState = getFieldTime(imported, 'readStateChangedAt') > getFieldTime(existing, 'readStateChangedAt')
+    ? {
+      isRead: Boolean(imported.isRead),
+      readStateChangedAt: imported.readStateChangedAt,
+      readStateSource: imported.readStateSource || 'import'
+    }
+    : {
+      isRead: Boolean(existing.isRead),
+      readStateChangedAt: existing.readStateChangedAt,
+      readStateSource: existing.readStateSource
+    };
+
+  const savedState = existing.isSaved || !imported.isSaved
+    ? { isSaved: Boolean(existing.isSaved), savedAt: existing.savedAt || null }
+    : { isSaved: true, savedAt: imported.savedAt || new Date().toISOString() };
+
+  // Keep our own record of what Substack last showed
+  const observation = existing.substackObservedAt
+    ? { substackIsRead: existing.substackIsRead, substackObservedAt: existing.substackObservedAt }
+    : {};
+
+  return { ...details, ...readState, ...savedState, ...observation };
+}
+
+// Post fields holding URLs that end up in links and image markup
+const POST_URL_FIELDS = ['url', 'coverImage', 'publicationLogo'];
+
+/**
+ * Whether every URL field of a post is empty or an http(s) URL
+ */
+function hasHttpUrls(post) {
+  return PostUrl.isHttpUrl(post.url) &&
+    POST_URL_FIELDS.every(field => !post[field] || PostUrl.isHttpUrl(post[field]));
+}
+
+/**
+ * Import posts from an archive, merging them with stored posts. The
+ * import page validates archives, but posts with a URL field that isn't
+ * http(s) are dropped here too.
+ */
+async function importPosts(posts) {
+  const accepted = posts.filter(post => post && typeof post === 'object' && hasHttpUrls(post));
+  if (accepted.length < posts.length) {
+    console.warn(`[SubstackFront] Dropped ${posts.length - accepted.length} imported posts with invalid URLs`);
+  }
+  // An edited archive may carry a longer history than we keep
+  const bounded = accepted.map(post => (post.revisions
+    ? { ...post, revisions: post.revisions.slice(-MAX_POST_REVISIONS) }
+    : post));
+  const { addedUrls, ...result } = await storePosts(bounded, mergeImportedPost);
+  console.log(`[SubstackFront] Imported posts - Added: ${result.added}, Updated: ${result.updated}, Total: ${result.total}`);
+  return result;
+}
+
+/**
+ * Set the read state of every post whose URL is in urls
+ * @param {string[]} urls
+ * @param {boolean} isRead
+ * @param {string} source - 'local' for changes made in our UI
+ * @returns {Promise<number>} number of posts that changed
+ */
+async function setPostsReadState(urls, isRead, source = 'local') {
+  const changedAt = new Date().toISOString();
+  const changed = await PostStore.updateMany(urls, post => {
+    if (Boolean(post.isRead) === isRead) return null;
+    return { ...post, isRead, readStateChangedAt: changedAt, readStateSource: source };
+  });
+
+  if (changed.length > 0) {
+    await notifyPostsChanged();
+  }
+  return changed.length;
+}
+
+/**
+ * Mark a post as read
+ */
+async function markPostAsRead(url) {
+  return setPostsReadState([url], true);
+}
+
+/**
+ * Mark a post as unread
+ */
+async function markPostAsUnread(url) {
+  return setPostsReadState([url], false);
+}
+
+/**
+ * Save a post for later or remove it from the saved list
+ * @returns {Promise<boolean>} true if the post was found
+ */
+async function setPostSaved(url, isSaved) {
+  const changed = await PostStore.updateMany([url], post => ({
+    ...post,
+    isSaved,
+    savedAt: isSaved ? new Date().toISOString() : null
+  }));
+
+  if (changed.length > 0) {
+    await notifyPostsChanged();
+  }
+  return changed.length > 0;
+}
+
+/**
+ * Get the stored post URLs that match any of urls once canonicalized.
+ * Article pages may be reached by a link other than the stored one, and
+ * may declare a different canonical URL than the one in the inbox.
+ * Posts are stored under their canonical URL, so this is a keyed lookup.
+ */
+async function findMatchingPostUrls(urls) {
+  const domains = await getPublicationDomains();
+  const wanted = new Set(urls.filter(Boolean).map(url => PostUrl.canonicalizePostUrl(url, domains)));
+  wanted.delete(null);
+  return Array.from((await PostStore.getMany(Array.from(wanted))).keys());
+}
+
+/**
+ * Tell open UIs that posts were read further without changing anything
+ * else they show. Reports arrive every few seconds while reading, so this
+ * patches the cards in place instead of making every UI reload its posts
+ * (see notifyPostsChanged). Nobody listening is not an error.
+ */
+function notifyReadingProgress(posts) {
+  const updates = posts.map(post => ({
+    url: post.url,
+    progress: post.progress,
+    timeSpent: post.timeSpent,
+    finishedAt: post.finishedAt,
+    progressUpdatedAt: post.progressUpdatedAt,
+    continueReading: isContinueReading(post)
+  }));
+  chrome.runtime.sendMessage({ type: 'READING_PROGRESS_CHANGED', posts: updates }).catch(() => {});
+}
+
+/**
+ * Handle a visit to an article page on substack.com. Opening the article
+ * marks it read on Substack. With markReadWhen 'opened' it is marked read
+ * here too; otherwise only Substack's state is noted and the post is
+ * marked read once enough of it has been read.
+ * @param {string[]} urls - the page URL and its canonical URL, if different
+ * @returns {Promise<boolean>} true if a stored post matched
+ */
+async function markArticleVisited(urls) {
+  const settings = await Settings.load();
+  const matchingUrls = await findMatchingPostUrls(urls);
+  const visitedAt = new Date().toISOString();
+
+  const changed = await PostStore.updateMany(matchingUrls, post => {
+    if (settings.markReadWhen !== 'opened') {
+      if (post.substackIsRead) return null;
+      return { ...post, substackIsRead: true, substackObservedAt: visitedAt };
+    }
+    if (post.isRead && post.substackIsRead) return null;
+    return {
+      ...post,
+      isRead: true,
+      readStateChangedAt: post.isRead ? post.readStateChangedAt : visitedAt,
+      readStateSource: post.isRead ? post.readStateSource : 'article',
+      substackIsRead: true,
+      substackObservedAt: visitedAt
+    };
+  });
+
+  if (changed.length > 0) {
+    await notifyPostsChanged();
+    console.log('[SubstackFront] Recorded visit to article');
+  }
+  return matchingUrls.length > 0;
+}
+
+/**
+ * Record reading progress reported from an article page or the offline
+ * reader. Progress only moves forward and time spent adds up across
+ * visits. Reaching readThresholdPercent finishes the post, and with
+ * markReadWhen 'scrolled' also marks it read.
+ * @param {string[]} urls - the page URL and its canonical URL, if different
+ * @param {Object} report
+ * @param {number} report.progress - how far through the article, 0 to 1
+ * @param {number} report.activeSeconds - reading time since the last report
+ * @returns {Promise<boolean>} true if a stored post matched
+ */
+async function recordReadingProgress(urls, report) {
+  const settings = await Settings.load();
+  const matchingUrls = await findMatchingPostUrls(urls);
+  if (matchingUrls.length === 0) return false;
+
+  const reportedProgress = Math.min(1, Math.max(0, Number(report.progress) || 0));
+  const activeSeconds = Math.max(0, Math.round(Number(report.activeSeconds) || 0));
+  const threshold = settings.readThresholdPercent / 100;
+  const now = new Date().toISOString();
+
+  let readStateChanged = false;
+  const changed = await PostStore.updateMany(matchingUrls, post => {
+    const progress = Math.max(post.progress || 0, reportedProgress);
+    if (progress === (post.progress || 0) && activeSeconds === 0) return null;
+
+    const next = {
+      ...post,
+      progress,
+      timeSpent: (post.timeSpent || 0) + activeSeconds,
+      progressUpdatedAt: now
+    };
+    if (progress >= threshold) {
+      next.finishedAt = post.finishedAt || now;
+      if (settings.markReadWhen === 'scrolled' && !post.isRead) {
+        next.isRead = true;
+        next.readStateChangedAt = now;
+        next.readStateSource = 'progress';
+        readStateChanged = true;
+      }
+    }
+    return next;
+  });
+
+  // Read state changes the badge and what the UIs list
+  if (readStateChanged) {
+    await notifyPostsChanged();
+  } else if (changed.length > 0) {
+    notifyReadingProgress(changed);
+  }
+  return true;
+}
+
+/**
+ * Whether a post belongs in "Continue reading": started but not finished
+ */
+function isContinueReading(post) {
+  return post.progress >= CONTINUE_READING_MIN_PROGRESS && !post.finishedAt;
+}
+
+/**
+ * Get posts that were started but not finished, most recently read first
+ */
+async function getContinueReading() {
+  const posts = await getStoredPosts();
+  return posts
+    .filter(isContinueReading)
+    .sort((a, b) => (b.progressUpdatedAt || '').localeCompare(a.progressUpdatedAt || ''))
+    .slice(0, CONTINUE_READING_LIMIT);
+}
+
+/**
+ * Enrich the stored post for an article page with its metadata
+ * @param {string[]} urls - the page URL and its canonical URL, if different
+ * @param {Object} metadata - from the content script's article reader
+ * @returns {Promise<boolean>} true if a stored post matched
+ */
+async function enrichPost(urls, metadata) {
+  const matchingUrls = await findMatchingPostUrls(urls);
+  if (matchingUrls.length === 0) return false;
+
+  const fields = { enrichedAt: new Date().toISOString() };
+  [...ENRICHED_DETAIL_FIELDS, ...ENRICHED_POST_FIELDS].forEach(field => {
+    if (metadata[field] !== undefined && metadata[field] !== null && field !== 'enrichedAt') {
+      fields[field] = metadata[field];
+    }
+  });
+
+  await PostStore.updateMany(matchingUrls, post =>
+    trackRevisions(post, { ...post, ...fields }, 'article', fields, fields.enrichedAt));
+  await notifyPostsChanged();
+  console.log('[SubstackFront] Enriched post from article page:', matchingUrls[0]);
+  return true;
+}
+
+/**
+ * Mark every unread post matching the scope as read
+ * @param {Object} scope
+ * @param {string} [scope.publication] - only posts from this publication
+ * @param {string} [scope.host] - only posts from the publication at this host
+ * @param {number} [scope.olderThanDays] - only posts published more than N days ago
+ * @returns {Promise<number>} number of posts marked read
+ */
+async function markAllAsRead(scope = {}) {
+  const filter = { isRead: false };
+  if (scope.publication) filter.publication = scope.publication;
+  if (scope.host) filter.host = scope.host;
+  if (scope.olderThanDays > 0) {
+    filter.before = new Date(Date.now() - scope.olderThanDays * 86400000).toISOString();
+  }
+
+  const changedAt = new Date().toISOString();
+  const changed = await PostStore.updateWhere(filter, post => ({
+    ...post,
+    isRead: true,
+    readStateChangedAt: changedAt,
+    readStateSource: 'local'
+  }));
+
+  if (changed.length > 0) {
+    await notifyPostsChanged();
+  }
+  console.log(`[SubstackFront] Marked ${changed.length} posts as read`, scope);
+  return changed.length;
+}
+
+/**
+ * Clear all stored posts
+ */
+async function clearAllPosts() {
+  await PostStore.clear();
+  await ArticleStore.clear();
+  await chrome.storage.local.set({ lastUpdated: null });
+  await notifyPostsChanged();
+  console.log('[SubstackFront] All posts cleared');
+}
+
+/**
+ * Count all, unread and saved posts, leaving out the ones hidden by the
+ * user's rules, which are counted separately by reason
+ */
+async function countVisiblePosts() {
+  const rules = await Rules.load();
+  if (Rules.isEmpty(rules)) {
+    const [totalPosts, unreadPosts, savedPosts] = await Promise.all([
+      PostStore.count(),
+      PostStore.count({ isRead: false }),
+      PostStore.count({ isSaved: true })
+    ]);
+    return { totalPosts, unreadPosts, savedPosts, hiddenCounts: Rules.applyRules([], rules).hiddenCounts };
+  }
+
+  const { posts, hiddenCounts } = Rules.applyRules(await PostStore.getAll(), rules);
+  return {
+    totalPosts: posts.length,
+    unreadPosts: posts.filter(post => !post.isRead).length,
+    savedPosts: posts.filter(post => post.isSaved).length,
+    hiddenCounts
+  };
+}
+
+/**
+ * Get storage statistics. Post counts cover the posts the user sees;
+ * storedPosts includes hidden ones too.
+ */
+async function getStats() {
+  const [counts, storedPosts, publications, result] = await Promise.all([
+    countVisiblePosts(),
+    PostStore.count(),
+    PostStore.getPublications(),
+    chrome.storage.local.get(['lastUpdated'])
+  ]);
+  return {
+    ...counts,
+    hiddenPosts: counts.hiddenCounts.total,
+    storedPosts,
+    lastUpdated: result.lastUpdated,
+    publications
+  };
+}
+
+/**
+ * Summarize stored posts by publication for the publications page
+ */
+async function getPublicationDirectory() {
+  return Directory.buildDirectory(await getStoredPosts());
+}
+
+/**
+ * Query a page of posts for the UIs
+ * @param {Object} filter - see PostStore.query
+ */
+async function queryPosts(filter) {
+  const { posts, total } = await PostStore.query(filter);
+  return { posts: posts.filter(post => isValidPostUrl(post.url)), total };
+}
+
+/**
+ * Get storage usage and quota in bytes for the extension's origin
+ * (IndexedDB plus chrome.storage)
+ */
+async function getStorageUsage() {
+  const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+  return { bytesUsed: usage, bytesMax: quota };
+}
+
+/**
+ * Get the byte count at which auto-cleanup kicks in
+ */
+function getStorageWarningThreshold(settings, bytesMax) {
+  return bytesMax * (settings.storageWarningPercent / 100);
+}
+
+/**
+ * Get detailed storage stats including byte usage. bytesUsed covers the
+ * whole origin; the offline article cache is also reported on its own.
+ */
+async function getStorageStats() {
+  const { bytesUsed, bytesMax } = await getStorageUsage();
+  const stats = await getStats();
+  const settings = await Settings.load();
+  const offline = await ArticleStore.getUsage();
+
+  return {
+    ...stats,
+    bytesUsed,
+    bytesMax,
+    offlineArticles: offline.count,
+    offlineBytes: offline.bytes,
+    offlineBytesMax: settings.offlineCacheMaxMb * 1024 * 1024,
+    percentUsed: bytesMax ? Math.round((bytesUsed / bytesMax) * 100) : 0,
+    isNearLimit: bytesMax > 0 && bytesUsed >= getStorageWarningThreshold(settings, bytesMax)
+  };
+}
+
+/**
+ * Remove posts older than maxAgeDays (defaults to the maxPostAgeDays setting).
+ * Saved posts are kept regardless of age.
+ */
+async function cleanupOldPosts(maxAgeDays) {
+  if (maxAgeDays === undefined) {
+    maxAgeDays = (await Settings.load()).maxPostAgeDays;
+  }
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - maxAgeDays);
+
+  const expiredUrls = await PostStore.getExpiredUrls(cutoffDate.toISOString());
+  await PostStore.deleteMany(expiredUrls);
+  await ArticleStore.deleteMany(expiredUrls);
+
+  if (expiredUrls.length > 0) {
+    console.log(`[SubstackFront] Auto-cleanup: removed ${expiredUrls.length} posts older than ${maxAgeDays} days`);
+  }
+
+  return expiredUrls.length;
+}
+
+/**
+ * Check storage usage and cleanup if exceeding threshold
+ */
+async function checkAndCleanupStorage() {
+  const { bytesUsed, bytesMax } = await getStorageUsage();
+  const settings = await Settings.load();
+
+  if (bytesMax > 0 && bytesUsed >= getStorageWarningThreshold(settings, bytesMax)) {
+    console.log(`[SubstackFront] Storage usage high (${Math.round(bytesUsed / 1024 / 1024 * 100) / 100}MB), running auto-cleanup...`);
+    await cleanupOldPosts();
+  }
+}
+
+/**
+ * Get the per-feed fetch state (validators, last status)
+ * @returns {Promise<Object<string, Object>>} feed URL -> state
+ */
+async function getFeedState() {
+  const result = await chrome.storage.local.get(['feedState']);
+  return result.feedState || {};
+}
+
+/**
+ * Get the feed URLs of every publication we have posts from
+ */
+async function getKnownFeedUrls() {
+  const posts = await getStoredPosts();
+  const feedUrls = new Set();
+  posts.forEach(post => {
+    const feedUrl = FeedFetcher.getFeedUrl(PostUrl.getSiteUrl(post));
+    if (feedUrl) feedUrls.add(feedUrl);
+  });
+  return Array.from(feedUrls);
+}
+
+/**
+ * Check if the extension may fetch from a publication's site (its feed or
+ * article pages). *.substack.com is always allowed; custom domains need
+ * the optional host permission.
+ */
+async function canFetchFromSite(url) {
+  const { hostname, origin } = new URL(url);
+  if (hostname.endsWith('.substack.com')) return true;
+  return chrome.permissions.contains({ origins: [`${origin}/*`] });
+}
+
+/**
+ * Fetch every known publication feed and save the posts found
+ */
+async function refreshFeeds() {
+  const feedUrls = await getKnownFeedUrls();
+  const feedState = await getFeedState();
+  const posts = [];
+  const summary = { feeds: feedUrls.length, fetched: 0, notModified: 0, skipped: 0, failed: 0 };
+
+  console.log(`[SubstackFront] Fetching ${feedUrls.length} publication feeds...`);
+
+  for (const feedUrl of feedUrls) {
+    const previous = feedState[feedUrl] || {};
+    const checkedAt = new Date().toISOString();
+
+    if (!(await canFetchFromSite(feedUrl))) {
+      summary.skipped++;
+      feedState[feedUrl] = { ...previous, lastCheckedAt: checkedAt, lastStatus: 'no-permission' };
+      continue;
+    }
+
+    try {
+      const result = await FeedFetcher.fetchFeed(feedUrl, previous);
+      if (result.notModified) {
+        summary.notModified++;
+      } else {
+        summary.fetched++;
+        posts.push(...result.posts);
+      }
+      feedState[feedUrl] = {
+        etag: result.etag,
+        lastModified: result.lastModified,
+        lastCheckedAt: checkedAt,
+        lastStatus: result.notModified ? 'not-modified' : 'ok',
+        lastError: null
+      };
+    } catch (error) {
+      summary.failed++;
+      console.warn(`[SubstackFront] Feed ${feedUrl} failed:`, error.message);
+      feedState[feedUrl] = { ...previous, lastCheckedAt: checkedAt, lastStatus: 'error', lastError: error.message };
+    }
+  }
+
+  // Forget state for publications we no longer have posts from
+  const known = new Set(feedUrls);
+  Object.keys(feedState).forEach(feedUrl => {
+    if (!known.has(feedUrl)) delete feedState[feedUrl];
+  });
+  await chrome.storage.local.set({ feedState });
+
+  if (summary.feeds > 0 && summary.failed === summary.feeds) {
+    throw new Error('Could not fetch any publication feeds');
+  }
+
+  const result = await savePosts(posts);
+  return { ...result, feeds: summary };
+}
+
+/**
+ * fetch() that gives up after timeoutMs
+ */
+async function fetchWithTimeout(url, options, timeoutMs) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...options, signal: controller.signal });
+  } catch (error) {
+    if (error.name === 'AbortError') {
+      throw new Error('Request timed out');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Encode a blob as a data: URL
+ */
+async function blobToDataUrl(blob) {
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  let binary = '';
+  // Spread in chunks to stay under the argument count limit
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type};base64,${btoa(binary)}`;
+}
+
+/**
+ * Check if an article image may be downloaded for the offline cache
+ */
+async function canFetchImage(url) {
+  const { hostname, protocol } = new URL(url);
+  if (protocol !== 'https:') return false;
+  if (IMAGE_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`))) return true;
+  return canFetchFromSite(url);
+}
+
+/**
+ * Download article images as data: URLs. Images that fail, are too large
+ * or are on hosts we can't reach are left out, and the reader shows
+ * them from their original URL instead.
+ * @param {string[]} imageUrls
+ * @param {Object<string, string>} [known] - images cached earlier, reused as they are
+ * @returns {Promise<Object<string, string>>} image URL -> data URL
+ */
+async function fetchArticleImages(imageUrls, known = {}) {
+  const images = {};
+  for (const url of imageUrls.slice(0, OFFLINE_MAX_IMAGES)) {
+    if (known[url]) {
+      images[url] = known[url];
+      continue;
+    }
+    try {
+      if (!(await canFetchImage(url))) continue;
+      const response = await fetchWithTimeout(url, { credentials: 'omit' }, ARTICLE_FETCH_TIMEOUT_MS);
+      if (!response.ok) continue;
+      const blob = await response.blob();
+      if (!blob.type.startsWith('image/') || blob.size > OFFLINE_MAX_IMAGE_BYTES) continue;
+      images[url] = await blobToDataUrl(blob);
+    } catch (error) {
+      console.warn('[SubstackFront] Could not cache image:', url, error.message);
+    }
+  }
+  return images;
+}
+
+/**
+ * Drop cached articles and clear the offline marker on their posts
+ */
+async function removeCachedArticles(urls) {
+  if (urls.length === 0) return;
+  await ArticleStore.deleteMany(urls);
+  const changed = await PostStore.updateMany(urls, post =>
+    post.offlineCachedAt ? { ...post, offlineCachedAt: null } : null
+  );
+  if (changed.length > 0) {
+    await notifyPostsChanged();
+  }
+}
+
+/**
+ * Remove cached articles, least recently opened first, until the cache
+ * fits the offlineCacheMaxMb budget. Articles of saved posts go last.
+ * @returns {Promise<number>} number of articles removed
+ */
+async function enforceOfflineCacheBudget(settings) {
+  const maxBytes = settings.offlineCacheMaxMb * 1024 * 1024;
+  const entries = await ArticleStore.listEntries();
+  let totalBytes = entries.reduce((sum, entry) => sum + entry.bytes, 0);
+  if (totalBytes <= maxBytes) return 0;
+
+  const posts = await PostStore.getMany(entries.map(entry => entry.url));
+  const isSaved = entry => Boolean(posts.get(entry.url)?.isSaved);
+  const candidates = [...entries.filter(entry => !isSaved(entry)), ...entries.filter(isSaved)];
+
+  const evictedUrls = [];
+  for (const entry of candidates) {
+    if (totalBytes <= maxBytes) break;
+    evictedUrls.push(entry.url);
+    totalBytes -= entry.bytes;
+  }
+
+  await removeCachedArticles(evictedUrls);
+  console.log(`[SubstackFront] Removed ${evictedUrls.length} offline articles over the ${settings.offlineCacheMaxMb}MB budget`);
+  return evictedUrls.length;
+}
+
+/**
+ * Store an article body for offline reading
+ * @param {string[]} urls - the page URL and its canonical URL, if different
+ * @param {Object} content - { html, imageUrls, isPartial } from the article reader
+ * @returns {Promise<boolean>} true if a stored post matched and is now cached
+ */
+async function cacheArticle(urls, content) {
+  const settings = await Settings.load();
+  if (!settings.offlineReaderEnabled || !content?.html) return false;
+
+  const matchingUrls = await findMatchingPostUrls(urls);
+  if (matchingUrls.length === 0) return false;
+
+  const previous = await ArticleStore.get(matchingUrls[0]);
+  const images = await fetchArticleImages(content.imageUrls || [], previous?.images);
+  for (const url of matchingUrls) {
+    await ArticleStore.put({ url, html: content.html, images, isPartial: Boolean(content.isPartial) });
+  }
+
+  const cachedAt = new Date().toISOString();
+  await PostStore.updateMany(matchingUrls, post => ({ ...post, offlineCachedAt: cachedAt }));
+  await enforceOfflineCacheBudget(settings);
+  await notifyPostsChanged();
+
+  // A single article bigger than the whole budget is evicted straight away
+  return (await ArticleStore.getEntries(matchingUrls)).size > 0;
+}
+
+let offscreenDocumentPromise = null;
+// Callers using the offscreen document; it is closed when the last is done
+let offscreenDocumentUsers = 0;
+let offscreenDocumentClosing = Promise.resolve();
+
+/**
+ * Make sure the offscreen document that parses article pages exists.
+ * Service workers have no DOM, so fetched pages are parsed there.
+ */
+async function ensureOffscreenDocument() {
+  await offscreenDocumentClosing;
+  const contexts = await chrome.runtime.getContexts({
+    contextTypes: ['OFFSCREEN_DOCUMENT'],
+    documentUrls: [chrome.runtime.getURL(OFFSCREEN_DOCUMENT_PATH)]
+  });
+  if (contexts.length > 0) return;
+
+  if (!offscreenDocumentPromise) {
+    offscreenDocumentPromise = chrome.offscreen.createDocument({
+      url: OFFSCREEN_DOCUMENT_PATH,
+      reasons: ['DOM_PARSER'],
+      justification: 'Parse fetched article pages for offline reading'
+    }).finally(() => {
+      offscreenDocumentPromise = null;
+    });
+  }
+  await offscreenDocumentPromise;
+}
+
+/**
+ * Run fn with the offscreen document open, closing it afterwards unless
+ * another caller is still using it
+ */
+async function withOffscreenDocument(fn) {
+  offscreenDocumentUsers++;
+  try {
+    await ensureOffscreenDocument();
+    return await fn();
+  } finally {
+    offscreenDocumentUsers--;
+    if (offscreenDocumentUsers === 0) {
+      offscreenDocumentClosing = chrome.offscreen.closeDocument().catch(() => {});
+      await offscreenDocumentClosing;
+    }
+  }
+}
+
+/**
+ * Parse a fetched article page into sanitized content. Call within
+ * withOffscreenDocument.
+ * @returns {Promise<Object|null>} { html, imageUrls, isPartial }, or null if the page has no body
+ */
+async function parseArticlePage(html, url) {
+  await ensureOffscreenDocument();
+  const response = await chrome.runtime.sendMessage({ target: 'offscreen', type: 'PARSE_ARTICLE', html, url });
+  if (!response?.success) {
+    throw new Error(response?.error || 'Could not parse article page');
+  }
+  return response.content;
+}
+
+/**
+ * Fetch an article page. Cookies are sent so that paid posts the user
+ * subscribes to come back in full.
+ */
+async function fetchArticlePage(url) {
+  const response = await fetchWithTimeout(url, { credentials: 'include' }, ARTICLE_FETCH_TIMEOUT_MS);
+  if (!response.ok) {
+    throw new Error(`Article request failed with HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+let articleCachingPromise = null;
+
+/**
+ * Cache the newest unread posts that aren't cached yet. A run already in
+ * progress is joined rather than started again.
+ * @returns {Promise<number>} number of articles cached
+ */
+function cacheRecentArticles() {
+  if (!articleCachingPromise) {
+    articleCachingPromise = cachePendingArticles().finally(() => {
+      articleCachingPromise = null;
+    });
+  }
+  return articleCachingPromise;
+}
+
+/**
+ * Fetch and cache the newest unread posts that aren't cached yet
+ * @returns {Promise<number>} number of articles cached
+ */
+async function cachePendingArticles() {
+  const settings = await Settings.load();
+  if (!settings.offlineReaderEnabled) return 0;
+
+  const { posts } = await PostStore.query({ isRead: false, limit: OFFLINE_PREFETCH_LIMIT });
+  const pending = posts.filter(post => !post.offlineCachedAt && isValidPostUrl(post.url));
+  if (pending.length === 0) return 0;
+
+  let cachedCount = 0;
+  await withOffscreenDocument(async () => {
+    for (const post of pending) {
+      try {
+        const siteUrl = PostUrl.getSiteUrl(post);
+        if (!(await canFetchFromSite(siteUrl))) continue;
+        const content = await parseArticlePage(await fetchArticlePage(siteUrl), siteUrl);
+        if (content && await cacheArticle([post.url], content)) cachedCount++;
+      } catch (error) {
+        console.warn(`[SubstackFront] Could not cache ${post.url} for offline reading:`, error.message);
+      }
+    }
+  });
+
+  console.log(`[SubstackFront] Cached ${cachedCount} of ${pending.length} new articles for offline reading`);
+  return cachedCount;
+}
+
+/**
+ * Get a cached article with its post for the reader, noting that it was opened
+ * @returns {Promise<{article: Object, post: Object|null}|null>}
+ */
+async function openCachedArticle(url) {
+  const article = await ArticleStore.get(url);
+  if (!article) return null;
+  await ArticleStore.updateEntry(url, entry => ({ ...entry, accessedAt: new Date().toISOString() }));
+  return { article, post: await PostStore.get(url) };
+}
+
+/**
+ * Remember how far through a cached article the reader has scrolled
+ * @returns {Promise<boolean>} true if the article is cached
+ */
+async function setArticleProgress(url, progress) {
+  const value = Math.min(1, Math.max(0, Number(progress) || 0));
+  const entry = await ArticleStore.updateEntry(url, current => ({ ...current, progress: value }));
+  return Boolean(entry);
+}
+
+/**
+ * Remove every cached article
+ */
+async function clearOfflineCache() {
+  const entries = await ArticleStore.listEntries();
+  await removeCachedArticles(entries.map(entry => entry.url));
+  console.log('[SubstackFront] Offline article cache cleared');
+}
+
+/**
+ * Judge an extraction report from the inbox
+ * @returns {{status: string, problems: string[]}} status is 'ok', 'degraded' or 'failing'
+ */
+function assessExtraction(report) {
+  const problems = [];
+
+  if (report.linksSeen > 0 && report.postsFound === 0) {
+    return { status: 'failing', problems: ['No posts could be read from the Substack inbox'] };
+  }
+
+  if (report.linksSeen > 0 && report.postsFound < report.linksSeen * EXTRACTION_MIN_COVERAGE) {
+    problems.push(`Only ${report.postsFound} of ${report.linksSeen} inbox posts could be read`);
+  }
+
+  const fallbackCount = Object.entries(report.strategies || {})
+    .filter(([name]) => name !== 'selectors')
+    .reduce((sum, [, count]) => sum + count, 0);
+  if (fallbackCount > 0) {
+    problems.push(`${fallbackCount} posts were read with fallback extraction`);
+  }
+
+  EXTRACTION_CHECKED_FIELDS.forEach(field => {
+    const missing = report.missingFields?.[field] || 0;
+    if (report.postsFound > 0 && missing > report.postsFound * EXTRACTION_MAX_MISSING) {
+      problems.push(`${missing} of ${report.postsFound} posts are missing ${field}`);
+    }
+  });
+
+  return { status: problems.length > 0 ? 'degraded' : 'ok', problems };
+}
+
+/**
+ * Get the extraction health record from the last inbox extraction
+ */
+async function getExtractionHealth() {
+  const result = await chrome.storage.local.get(['extractionHealth']);
+  return result.extractionHealth || null;
+}
+
+/**
+ * Store the health of an inbox extraction
+ */
+async function recordExtractionHealth(report) {
+  const previous = await getExtractionHealth();
+  const checkedAt = new Date().toISOString();
+  const { status, problems } = assessExtraction(report);
+
+  const health = {
+    checkedAt,
+    linksSeen: report.linksSeen,
+    postsFound: report.postsFound,
+    strategies: report.strategies || {},
+    missingFields: report.missingFields || {},
+    status,
+    problems,
+    lastOkAt: status === 'ok' ? checkedAt : previous?.lastOkAt || null
+  };
+
+  if (status !== 'ok') {
+    console.warn('[SubstackFront] Extraction degraded:', problems.join('; '));
+  }
+  await chrome.storage.local.set({ extractionHealth: health });
+  return health;
+}
+
+// Refresh jobs (see shared/refresh-jobs.js). The job lives in session
+// storage and moves from stage to stage in response to events - the
+// content script reporting in, a deadline passing, the worker starting -
+// so a suspended worker picks up where it left off.
+const INBOX_URL = 'https://substack.com/inbox';
+const REFRESH_WATCHDOG_ALARM = 'refresh-watchdog';
+const ALARM_MIN_DELAY_MS = 30000;
+
+let refreshJobQueue = Promise.resolve();
+let refreshJobTimer = null;
+
+/**
+ * Run a refresh job step once the steps queued before it are done.
+ * Steps read the job from storage, so each sees what the last one left.
+ */
+function queueRefreshJobStep(step) {
+  const run = refreshJobQueue.then(step);
+  refreshJobQueue = run.catch(error => {
+    console.error('[SubstackFront] Refresh job step failed:', error);
+  });
+  return run;
+}
+
+/**
+ * Look at the job again at a given time. The timer covers the usual
+ * case; the alarm wakes the worker if it has been suspended by then.
+ */
+function scheduleRefreshJobCheck(at) {
+  clearTimeout(refreshJobTimer);
+  refreshJobTimer = setTimeout(() => queueRefreshJobStep(advanceRefreshJob), Math.max(0, at - Date.now()));
+  chrome.alarms.create(REFRESH_WATCHDOG_ALARM, { when: Math.max(at, Date.now() + ALARM_MIN_DELAY_MS) });
+}
+
+/**
+ * Stop checking on a job that is over
+ */
+function clearRefreshJobCheck() {
+  clearTimeout(refreshJobTimer);
+  refreshJobTimer = null;
+  chrome.alarms.clear(REFRESH_WATCHDOG_ALARM);
+}
+
+/**
+ * Open the inbox in a background tab for the next attempt
+ */
+async function openRefreshTab(job) {
+  const settings = await Settings.load();
+  const attempt = job.attempt + 1;
+
+  let tab;
+  try {
+    tab = await chrome.tabs.create({ url: INBOX_URL, active: false });
+  } catch (error) {
+    return failRefreshAttempt({ ...job, attempt, tabId: null }, `Could not open the inbox: ${error.message}`);
+  }
+
+  console.log('[SubstackFront] Opened refresh tab:', tab.id, 'attempt:', attempt);
+  const deadlineAt = Date.now() + settings.refreshTimeoutMs;
+  await RefreshJobs.updateJob({ stage: 'opening', attempt, tabId: tab.id, deadlineAt, retryAt: null, progress: null });
+  scheduleRefreshJobCheck(deadlineAt);
+}
+
+/**
+ * Give up on the current attempt at the inbox. Retries after a backoff
+ * until the attempts run out.
+ */
+async function failRefreshAttempt(job, message) {
+  console.warn(`[SubstackFront] Refresh attempt ${job.attempt} failed:`, message);
+  if (job.tabId) {
+    chrome.tabs.remove(job.tabId).catch(() => {});
+  }
+
+  if (job.attempt >= RefreshJobs.MAX_ATTEMPTS) {
+    const updated = await RefreshJobs.updateJob({ tabId: null, errors: [...job.errors, message] });
+    return completeRefreshJob(updated);
+  }
+
+  const retryAt = Date.now() + RefreshJobs.getRetryDelay(job.attempt);
+  await RefreshJobs.updateJob({
+    stage: 'retrying',
+    attempt: job.attempt,
+    tabId: null,
+    deadlineAt: null,
+    retryAt,
+    lastError: message
+  });
+  scheduleRefreshJobCheck(retryAt);
+}
+
+/**
+ * Make sure the refresh tab is still open and within its deadline
+ */
+async function checkRefreshTab(job) {
+  if (Date.now() >= job.deadlineAt) {
+    return failRefreshAttempt(job, 'Timed out waiting for the inbox to load');
+  }
+  const tab = await chrome.tabs.get(job.tabId).catch(() => null);
+  if (!tab) {
+    return failRefreshAttempt({ ...job, tabId: null }, 'The refresh tab was closed');
+  }
+  scheduleRefreshJobCheck(job.deadlineAt);
+}
+
+/**
+ * The content script in the refresh tab says the inbox has rendered;
+ * ask it for the posts
+ * @returns {Promise<boolean>} whether the tab belongs to the running job
+ */
+async function handleRefreshTabReady(tabId) {
+  const job = await RefreshJobs.getJob();
+  if (!tabId || job?.tabId !== tabId || job.stage !== 'opening') return false;
+
+  console.log('[SubstackFront] Refresh tab ready, triggering extraction...');
+  const settings = await Settings.load();
+  const deep = job.deep ? {
+    stopBefore: job.stopBefore,
+    maxPages: settings.deepRefreshMaxPages,
+    maxAgeDays: settings.deepRefreshMaxAgeDays
+  } : null;
+
+  const updated = await RefreshJobs.updateJob({ stage: 'extracting' });
+  try {
+    await chrome.tabs.sendMessage(tabId, { type: 'TRIGGER_EXTRACTION', deep });
+  } catch (error) {
+    await failRefreshAttempt(updated, `Could not start extraction: ${error.message}`);
+  }
+  return true;
+}
+
+/**
+ * A deep refresh has scrolled another page. Scrolling takes a while, so
+ * each page pushes the attempt's deadline back.
  */
-async function getStoredPosts() {
-  const result = await chrome.storage.local.get(['posts']);
-  const posts = result.posts || [];
-  // Filter out any cached posts with invalid URLs
-  return posts.filter(post => isValidPostUrl(post.url));
+async function handleRefreshTabProgress(tabId, progress) {
+  const job = await RefreshJobs.getJob();
+  if (!tabId || job?.tabId !== tabId || job.stage !== 'extracting') return;
+
+  const settings = await Settings.load();
+  const deadlineAt = Date.now() + settings.refreshTimeoutMs;
+  await RefreshJobs.updateJob({ progress: { pages: progress.pages, posts: progress.posts }, deadlineAt });
+  scheduleRefreshJobCheck(deadlineAt);
 }
 
 /**
- * Save posts to storage, deduplicating by URL
+ * Save posts sent by a tab, counting them toward the refresh when the tab
+ * is the refresh tab and finishing the job once it has been asked for them.
+ * Posts from any other tab are just saved.
  */
-async function savePosts(newPosts) {
-  const existingPosts = await getStoredPosts();
+async function saveRefreshTabPosts(tabId, posts) {
+  const job = await RefreshJobs.getJob();
+  if (job?.tabId !== tabId || (job.stage !== 'opening' && job.stage !== 'extracting')) {
+    return savePosts(posts);
+  }
 
-  // Create a map of existing posts by URL for quick lookup
-  const postMap = new Map();
-  existingPosts.forEach(post => {
-    postMap.set(post.url, post);
-  });
+  // The tab extracts once on its own as the inbox loads, before it is
+  // ready to be asked. Those posts are part of the refresh too, or they
+  // would already be stored (and not count as new) by the time it is.
+  if (job.stage === 'opening') {
+    const result = await savePosts(posts);
+    await RefreshJobs.updateJob({ results: [...job.results, result] });
+    return result;
+  }
 
-  // Filter new posts to only include valid URLs
-  const validNewPosts = newPosts.filter(post => isValidPostUrl(post.url));
-
-  // Add or update with new posts
-  let addedCount = 0;
-  let updatedCount = 0;
-
-  validNewPosts.forEach(post => {
-    if (postMap.has(post.url)) {
-      // Update existing post, but preserve isRead status
-      const existing = postMap.get(post.url);
-      postMap.set(post.url, {
-        ...post,
-        isRead: existing.isRead
-      });
-      updatedCount++;
-    } else {
-      postMap.set(post.url, post);
-      addedCount++;
-    }
-  });
+  console.log('[SubstackFront] Handling refresh posts from tab:', tabId, 'count:', posts.length);
+  await RefreshJobs.updateJob({ stage: 'saving', tabId: null });
+  chrome.tabs.remove(tabId).catch(() => {});
 
-  // Convert map back to array and sort by date (newest first)
-  const getPostDate = (post) => {
-    const dateStr = post.publishedAt || post.extractedAt;
-    if (!dateStr) return 0; // Posts without dates go to end
-    const date = new Date(dateStr);
-    return isNaN(date.getTime()) ? 0 : date.getTime();
-  };
+  try {
+    const result = await savePosts(posts);
+    await completeRefreshJob(await RefreshJobs.updateJob({ results: [...job.results, result] }));
+    return result;
+  } catch (error) {
+    await completeRefreshJob(await RefreshJobs.updateJob({ errors: [...job.errors, error.message] }));
+    throw error;
+  }
+}
+
+/**
+ * Save posts sent by a content script. Posts from the refresh tab count
+ * toward the refresh, and once it has been asked for them, complete it.
+ * Tab posts are queued straight away, before anything is awaited, so they
+ * are handled in the order the tab sent them relative to CONTENT_READY;
+ * whether they belong to the refresh is decided when the step runs.
+ */
+function handleExtractedPosts(tabId, posts) {
+  if (!tabId) return savePosts(posts);
+  return queueRefreshJobStep(() => saveRefreshTabPosts(tabId, posts));
+}
 
-  let allPosts = Array.from(postMap.values())
-    .sort((a, b) => getPostDate(b) - getPostDate(a));
+/**
+ * Create, update or clear the refresh alarm to match the settings.
+ * An alarm that already has the right period is left alone so that
+ * service worker restarts don't keep pushing the next run back.
+ */
+async function applyRefreshSchedule(settings) {
+  settings = settings || await Settings.load();
+  const interval = settings.refreshIntervalMinutes;
+  const existing = await chrome.alarms.get(REFRESH_ALARM_NAME);
 
-  // Limit to MAX_POSTS (oldest are removed)
-  if (allPosts.length > MAX_POSTS) {
-    console.log(`[SubstackFront] Trimming posts from ${allPosts.length} to ${MAX_POSTS}`);
-    allPosts = allPosts.slice(0, MAX_POSTS);
+  if (!interval) {
+    if (existing) {
+      await chrome.alarms.clear(REFRESH_ALARM_NAME);
+      console.log('[SubstackFront] Scheduled refresh disabled');
+    }
+    return;
   }
 
-  // Store posts and update timestamp
-  await chrome.storage.local.set({
-    posts: allPosts,
-    lastUpdated: new Date().toISOString()
+  if (existing && existing.periodInMinutes === interval) return;
+
+  await chrome.alarms.create(REFRESH_ALARM_NAME, {
+    delayInMinutes: interval,
+    periodInMinutes: interval
   });
+  console.log(`[SubstackFront] Scheduled refresh every ${interval} minutes`);
+}
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ */
+function parseTimeOfDay(value) {
+  const [hours, minutes] = value.split(':').map(Number);
+  return hours * 60 + minutes;
+}
 
-  // Check storage usage and auto-cleanup if needed
-  await checkAndCleanupStorage();
+/**
+ * Check if a date falls inside the quiet hours window (which may wrap midnight)
+ */
+function isWithinQuietHours(settings, date = new Date()) {
+  if (!settings.quietHoursEnabled) return false;
 
-  console.log(`[SubstackFront] Saved posts - Added: ${addedCount}, Updated: ${updatedCount}, Total: ${allPosts.length}`);
+  const start = parseTimeOfDay(settings.quietHoursStart);
+  const end = parseTimeOfDay(settings.quietHoursEnd);
+  const current = date.getHours() * 60 + date.getMinutes();
 
-  return { added: addedCount, updated: updatedCount, total: allPosts.length };
+  if (start === end) return false;
+  if (start < end) return current >= start && current < end;
+  return current >= start || current < end;
 }
 
 /**
- * Mark a post as read
+ * Get the last refresh status (last run, last success, last error)
  */
-async function markPostAsRead(url) {
-  const posts = await getStoredPosts();
-  const updated = posts.map(post =>
-    post.url === url ? { ...post, isRead: true } : post
-  );
-  await chrome.storage.local.set({ posts: updated });
+async function getRefreshStatus() {
+  const result = await chrome.storage.local.get(['refreshStatus']);
+  return result.refreshStatus || {};
 }
 
 /**
- * Clear all stored posts
+ * Merge fields into the persisted refresh status
  */
-async function clearAllPosts() {
-  await chrome.storage.local.set({ posts: [], lastUpdated: null });
-  console.log('[SubstackFront] All posts cleared');
+async function recordRefreshStatus(changes) {
+  const status = { ...(await getRefreshStatus()), ...changes };
+  await chrome.storage.local.set({ refreshStatus: status });
+  return status;
 }
 
 /**
- * Get storage statistics
+ * First step of a refresh: fetch publication feeds if the settings ask
+ * for them, then open the inbox. Feeds-only mode falls back to the inbox
+ * until we know of any publications. If the worker was suspended while
+ * fetching, the feeds are fetched again from the start.
  */
-async function getStats() {
-  const result = await chrome.storage.local.get(['posts', 'lastUpdated']);
-  const posts = result.posts || [];
-  return {
-    totalPosts: posts.length,
-    unreadPosts: posts.filter(p => !p.isRead).length,
-    lastUpdated: result.lastUpdated,
-    publications: [...new Set(posts.map(p => p.publication))]
-  };
+async function runRefreshFeedsStep(job) {
+  const settings = await Settings.load();
+  const source = settings.refreshSource;
+  const results = [];
+  const errors = [];
+
+  let feedsKnown = false;
+  if (source === 'feeds' || source === 'both') {
+    feedsKnown = (await getKnownFeedUrls()).length > 0;
+    if (feedsKnown) {
+      await RefreshJobs.updateJob({ stage: 'fetching-feeds' });
+      try {
+        results.push(await refreshFeeds());
+      } catch (error) {
+        errors.push(error.message);
+      }
+    }
+  }
+
+  const updated = await RefreshJobs.updateJob({ results, errors });
+  if (source === 'inbox' || source === 'both' || !feedsKnown) {
+    return openRefreshTab(updated);
+  }
+  return completeRefreshJob(updated);
 }
 
 /**
- * Get storage usage in bytes
+ * Combine the results of a job's steps, record the outcome and let
+ * everyone waiting on the job know
  */
-async function getStorageUsage() {
-  return new Promise((resolve) => {
-    chrome.storage.local.getBytesInUse(null, (bytesInUse) => {
-      resolve(bytesInUse);
+async function completeRefreshJob(job) {
+  clearRefreshJobCheck();
+
+  if (job.results.length === 0) {
+    const error = job.errors[0] || 'Refresh failed';
+    await recordRefreshStatus({
+      lastError: error,
+      lastErrorAt: new Date().toISOString()
     });
+    return RefreshJobs.finishJob({ error });
+  }
+
+  const total = job.results[job.results.length - 1].total;
+  const { addedUrls, ...result } = job.results.reduce((combined, stepResult) => ({
+    ...combined,
+    ...stepResult,
+    added: combined.added + stepResult.added,
+    updated: combined.updated + stepResult.updated,
+    addedUrls: [...combined.addedUrls, ...stepResult.addedUrls],
+    total
+  }), { added: 0, updated: 0, addedUrls: [], total, errors: job.errors });
+
+  await recordRefreshStatus({
+    lastSuccessAt: new Date().toISOString(),
+    lastResult: result,
+    lastError: null
+  });
+  // Runs on its own so slow article pages don't hold up the refresh
+  cacheRecentArticles().catch(error => {
+    console.error('[SubstackFront] Offline caching failed:', error);
   });
+  notifyNewPosts(addedUrls).catch(error => {
+    console.error('[SubstackFront] Failed to show new post notifications:', error);
+  });
+  return RefreshJobs.finishJob({ result });
 }
 
 /**
- * Get detailed storage stats including byte usage
+ * Move the running job on from whatever stage it is in. Runs when a job
+ * starts, when a deadline or retry comes due, and when the worker starts.
  */
-async function getStorageStats() {
-  const bytesUsed = await getStorageUsage();
-  const stats = await getStats();
-  const maxBytes = 5 * 1024 * 1024; // 5MB chrome.storage.local limit
+async function advanceRefreshJob() {
+  const job = await RefreshJobs.getJob();
+  if (!job) {
+    clearRefreshJobCheck();
+    return;
+  }
 
-  return {
-    ...stats,
-    bytesUsed,
-    bytesMax: maxBytes,
-    percentUsed: Math.round((bytesUsed / maxBytes) * 100),
-    isNearLimit: bytesUsed >= STORAGE_WARNING_THRESHOLD
-  };
+  switch (job.stage) {
+    case 'starting':
+    case 'fetching-feeds':
+      return runRefreshFeedsStep(job);
+    case 'opening':
+    case 'extracting':
+      return checkRefreshTab(job);
+    case 'retrying':
+      if (Date.now() < job.retryAt) return scheduleRefreshJobCheck(job.retryAt);
+      return openRefreshTab(job);
+    case 'saving':
+      // Suspended mid-save; whatever was saved stays saved
+      return completeRefreshJob(await RefreshJobs.updateJob({
+        errors: [...job.errors, 'Interrupted while saving posts']
+      }));
+    default:
+      console.warn('[SubstackFront] Dropping refresh job in unknown stage:', job.stage);
+      return RefreshJobs.finishJob({ error: 'Refresh failed' });
+  }
 }
 
 /**
- * Remove posts older than maxAgeDays
+ * Notify about new posts from the publications chosen in settings.
+ * Only unread posts published in the last day count.
+ * @param {string[]} urls - posts added by a refresh
  */
-async function cleanupOldPosts(maxAgeDays = MAX_POST_AGE_DAYS) {
-  const posts = await getStoredPosts();
-  const cutoffDate = new Date();
-  cutoffDate.setDate(cutoffDate.getDate() - maxAgeDays);
+async function notifyNewPosts(urls) {
+  const settings = await Settings.load();
+  if (!settings.notifyNewPosts || settings.notifyPublications.length === 0 || urls.length === 0) return;
+
+  const chosen = new Set(settings.notifyPublications);
+  const cutoff = new Date(Date.now() - NOTIFY_MAX_AGE_MS).toISOString();
+  const posts = [...(await PostStore.getMany(urls)).values()]
+    .filter(post => !post.isRead && (post.publishedAt || '') >= cutoff)
+    .filter(post => chosen.has(Directory.getPublicationHost(post.url)))
+    .sort((a, b) => b.publishedAt.localeCompare(a.publishedAt));
+  if (posts.length === 0) return;
+
+  const iconUrl = chrome.runtime.getURL('icons/icon128.png');
+  if (posts.length > NOTIFY_MAX_POSTS) {
+    const publications = [...new Set(posts.map(post => post.publication))];
+    const more = publications.length > NOTIFY_MAX_POSTS ? ` and ${publications.length - NOTIFY_MAX_POSTS} more` : '';
+    await chrome.notifications.create(NOTIFICATION_SUMMARY_ID, {
+      type: 'basic',
+      iconUrl,
+      title: `${posts.length} new posts`,
+      message: `From ${publications.slice(0, NOTIFY_MAX_POSTS).join(', ')}${more}`
+    });
+    return;
+  }
+
+  for (const post of posts) {
+    await chrome.notifications.create(`${NOTIFICATION_POST_PREFIX}${PostUrl.getSiteUrl(post)}`, {
+      type: 'basic',
+      iconUrl,
+      title: post.publication || 'New post',
+      message: post.title || post.url,
+      contextMessage: post.author || ''
+    });
+  }
+}
+
+/**
+ * Open the post behind a clicked notification, or the front page for a
+ * summary of several posts
+ */
+function handleNotificationClick(notificationId) {
+  const url = notificationId.startsWith(NOTIFICATION_POST_PREFIX)
+    ? notificationId.slice(NOTIFICATION_POST_PREFIX.length)
+    : chrome.runtime.getURL('newtab/newtab.html?source=notification');
+  chrome.tabs.create({ url });
+  chrome.notifications.clear(notificationId);
+}
+
+/**
+ * Get the date a deep refresh scrolls back to: the newest stored post's
+ */
+async function getDeepRefreshStopDate() {
+  const { posts } = await PostStore.query({ limit: 1 });
+  return posts[0]?.publishedAt || null;
+}
+
+/**
+ * Run a refresh and persist its outcome. Joins the refresh already
+ * running, if there is one, rather than starting another (even if that
+ * one isn't deep).
+ * @param {string} trigger - 'manual' or 'scheduled'
+ * @param {Object} [options]
+ * @param {boolean} [options.deep] - scroll back through the inbox, whatever the settings say
+ */
+async function runRefresh(trigger, options = {}) {
+  // Wrapped so the step's promise doesn't resolve to the job's outcome
+  const { finished } = await queueRefreshJobStep(async () => {
+    const running = await RefreshJobs.getJob();
+    if (running) {
+      console.log('[SubstackFront] Joining refresh already in progress:', running.id);
+      return { finished: RefreshJobs.waitForJob(running.id) };
+    }
 
-  const filteredPosts = posts.filter(post => {
-    const postDate = new Date(post.publishedAt || post.extractedAt);
-    return !isNaN(postDate.getTime()) && postDate >= cutoffDate;
+    await recordRefreshStatus({ lastRunAt: new Date().toISOString(), lastTrigger: trigger });
+    const deep = Boolean(options.deep) || (await Settings.load()).deepRefresh;
+    const job = await RefreshJobs.createJob(trigger, {
+      deep,
+      stopBefore: deep ? await getDeepRefreshStopDate() : null
+    });
+    queueRefreshJobStep(advanceRefreshJob);
+    return { finished: RefreshJobs.waitForJob(job.id) };
   });
+  return finished;
+}
 
-  const removedCount = posts.length - filteredPosts.length;
+/**
+ * Get the reason a scheduled refresh should not run right now, if any
+ */
+async function getScheduledRefreshSkipReason(settings) {
+  if (await RefreshJobs.getJob()) return 'refresh-pending';
+  if (isWithinQuietHours(settings)) return 'quiet-hours';
 
-  if (removedCount > 0) {
-    await chrome.storage.local.set({ posts: filteredPosts });
-    console.log(`[SubstackFront] Auto-cleanup: removed ${removedCount} posts older than ${maxAgeDays} days`);
+  if (settings.skipRefreshWhenIdle) {
+    const idleState = await chrome.idle.queryState(IDLE_DETECTION_SECONDS);
+    if (idleState !== 'active') return `browser-${idleState}`;
   }
 
-  return removedCount;
+  return null;
 }
 
 /**
- * Check storage usage and cleanup if exceeding threshold
+ * Handle the refresh alarm
  */
-async function checkAndCleanupStorage() {
-  const bytesUsed = await getStorageUsage();
+async function runScheduledRefresh() {
+  const settings = await Settings.load();
+  if (!settings.refreshIntervalMinutes) return;
 
-  if (bytesUsed >= STORAGE_WARNING_THRESHOLD) {
-    console.log(`[SubstackFront] Storage usage high (${Math.round(bytesUsed / 1024 / 1024 * 100) / 100}MB), running auto-cleanup...`);
-    await cleanupOldPosts();
+  const skipReason = await getScheduledRefreshSkipReason(settings);
+  if (skipReason) {
+    console.log('[SubstackFront] Skipping scheduled refresh:', skipReason);
+    await recordRefreshStatus({
+      lastSkipReason: skipReason,
+      lastSkippedAt: new Date().toISOString()
+    });
+    return;
+  }
+
+  try {
+    await runRefresh('scheduled');
+  } catch (error) {
+    console.error('[SubstackFront] Scheduled refresh failed:', error);
+  }
+}
+
+/**
+ * Check if the last refresh is older than the scheduled interval
+ */
+async function isScheduledRefreshOverdue(settings) {
+  if (!settings.refreshIntervalMinutes) return false;
+  const status = await getRefreshStatus();
+  if (!status.lastRunAt) return true;
+  const elapsedMs = Date.now() - new Date(status.lastRunAt).getTime();
+  return elapsedMs >= settings.refreshIntervalMinutes * 60000;
+}
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === REFRESH_ALARM_NAME) {
+    runScheduledRefresh();
+  } else if (alarm.name === REFRESH_WATCHDOG_ALARM) {
+    queueRefreshJobStep(advanceRefreshJob);
+  }
+});
+
+// Pick up a refresh job the worker was suspended in the middle of
+queueRefreshJobStep(advanceRefreshJob);
+
+// Catch up on runs that were skipped while the browser was idle or locked
+chrome.idle.setDetectionInterval(IDLE_DETECTION_SECONDS);
+chrome.idle.onStateChanged.addListener(async (state) => {
+  if (state !== 'active') return;
+  const settings = await Settings.load();
+  if (await isScheduledRefreshOverdue(settings)) {
+    console.log('[SubstackFront] Browser active again, running overdue refresh');
+    runScheduledRefresh();
   }
+});
+
+/**
+ * Move posts stored in chrome.storage.local by earlier versions into
+ * IndexedDB. Posts already in IndexedDB are kept as they are.
+ */
+async function migrateLegacyPosts() {
+  const legacy = await chrome.storage.local.get(['posts']);
+  if (!Array.isArray(legacy.posts)) return;
+
+  const validPosts = legacy.posts.filter(post => isValidPostUrl(post.url));
+  const { added } = await PostStore.mergeMany(validPosts, (existing, post) => existing ? null : post);
+
+  await chrome.storage.local.remove(['posts']);
+  await notifyPostsChanged();
+  console.log(`[SubstackFront] Migrated ${added} posts to IndexedDB`);
 }
 
-// Track pending refresh state
-let pendingRefreshTabId = null;
-let pendingRefreshResolve = null;
-let pendingRefreshReject = null;
-let pendingTabUpdateListener = null;
+// Bumped when canonical post URLs change, so stored posts are
+// canonicalized again
+const POST_URL_VERSION = 1;
+
+// Bumped when how muted and pinned publications are stored changes
+const PUBLICATION_RULES_VERSION = 1;
+
+/**
+ * Get the post in a group whose timestamp field is latest
+ */
+function getLatestBy(posts, field) {
+  return posts.reduce((latest, post) => (getFieldTime(post, field) > getFieldTime(latest, field) ? post : latest));
+}
 
 /**
- * Refresh feed by opening Substack in a background tab
+ * Merge copies of one post that were stored under different URLs. The
+ * most recently extracted copy supplies the details, the most-read state
+ * wins (read over unread, the furthest progress, any finish), and a post
+ * saved in any copy stays saved.
  */
-async function refreshFeed() {
-  console.log('[SubstackFront] Starting background refresh...');
+function mergeDuplicatePosts(copies) {
+  const byExtraction = [...copies].sort((a, b) => getFieldTime(a, 'extractedAt') - getFieldTime(b, 'extractedAt'));
+  const merged = Object.assign({}, ...byExtraction);
 
-  // Clear any previous pending refresh
-  if (pendingRefreshTabId) {
-    console.log('[SubstackFront] Cleaning up previous refresh attempt');
-    chrome.tabs.remove(pendingRefreshTabId).catch(() => {});
-    pendingRefreshTabId = null;
+  const enriched = copies.filter(post => post.enrichedAt);
+  if (enriched.length > 0) Object.assign(merged, pickEnrichedFields(getLatestBy(enriched, 'enrichedAt')));
+
+  const readCopies = copies.filter(post => post.isRead);
+  const readState = getLatestBy(readCopies.length > 0 ? readCopies : copies, 'readStateChangedAt');
+  merged.isRead = Boolean(readState.isRead);
+  merged.readStateChangedAt = readState.readStateChangedAt;
+  merged.readStateSource = readState.readStateSource;
+
+  const observed = copies.filter(post => post.substackObservedAt);
+  if (observed.length > 0) {
+    const observation = getLatestBy(observed, 'substackObservedAt');
+    merged.substackIsRead = observation.substackIsRead;
+    merged.substackObservedAt = observation.substackObservedAt;
   }
 
-  return new Promise((resolve, reject) => {
-    pendingRefreshResolve = resolve;
-    pendingRefreshReject = reject;
+  const started = copies.filter(post => post.progress > 0);
+  if (started.length > 0) {
+    merged.progress = Math.max(...started.map(post => post.progress));
+    merged.timeSpent = Math.max(...copies.map(post => post.timeSpent || 0));
+    merged.progressUpdatedAt = getLatestBy(started, 'progressUpdatedAt').progressUpdatedAt;
+  }
+  const finished = copies.filter(post => post.finishedAt).map(post => post.finishedAt).sort();
+  if (finished.length > 0) merged.finishedAt = finished[0];
 
-    // Clean up any previous listener
-    if (pendingTabUpdateListener) {
-      chrome.tabs.onUpdated.removeListener(pendingTabUpdateListener);
-    }
+  const saved = copies.filter(post => post.isSaved);
+  merged.isSaved = saved.length > 0;
+  merged.savedAt = saved.map(post => post.savedAt).filter(Boolean).sort()[0] || null;
 
-    // Listen for tab updates to know when page is fully loaded
-    pendingTabUpdateListener = (tabId, changeInfo) => {
-      if (tabId === pendingRefreshTabId && changeInfo.status === 'complete') {
-        console.log('[SubstackFront] Background tab finished loading, triggering extraction...');
-        // Give extra time for Substack's JavaScript to render content
-        setTimeout(() => {
-          if (pendingRefreshTabId === tabId) {
-            // Send message to content script to trigger extraction
-            chrome.tabs.sendMessage(tabId, { type: 'TRIGGER_EXTRACTION' }, (response) => {
-              if (chrome.runtime.lastError) {
-                console.log('[SubstackFront] Could not send extraction trigger:', chrome.runtime.lastError.message);
-              } else {
-                console.log('[SubstackFront] Extraction triggered, response:', response);
-              }
-            });
-          }
-        }, 2000);
-      }
-    };
+  const revisions = new Map();
+  copies.flatMap(post => post.revisions || []).forEach(revision => {
+    revisions.set(JSON.stringify(revision), revision);
+  });
+  if (revisions.size > 0) {
+    merged.revisions = [...revisions.values()]
+      .sort((a, b) => a.changedAt.localeCompare(b.changedAt))
+      .slice(-MAX_POST_REVISIONS);
+  }
 
-    chrome.tabs.onUpdated.addListener(pendingTabUpdateListener);
-
-    // Open Substack inbox in a new tab (not active)
-    chrome.tabs.create({
-      url: 'https://substack.com/inbox',
-      active: false
-    }, (tab) => {
-      if (chrome.runtime.lastError) {
-        console.error('[SubstackFront] Failed to create tab:', chrome.runtime.lastError);
-        chrome.tabs.onUpdated.removeListener(pendingTabUpdateListener);
-        pendingTabUpdateListener = null;
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
+  return merged;
+}
+
+/**
+ * Group stored posts by canonical URL and work out which need rewriting
+ * @returns {{put: Object[], remove: string[], movedUrls: Map<string, string>, duplicateCount: number}}
+ *   movedUrls maps each old URL to its canonical URL
+ */
+function planCanonicalPosts(posts, domains) {
+  const groups = new Map();
+  posts.forEach(stored => {
+    const canonical = PostUrl.canonicalizePost(stored, domains);
+    if (!canonical) return;
+    if (!groups.has(canonical.url)) groups.set(canonical.url, []);
+    groups.get(canonical.url).push({ stored, canonical });
+  });
 
-      pendingRefreshTabId = tab.id;
-      console.log('[SubstackFront] Created background tab:', tab.id);
-
-      // Timeout after 30 seconds
-      setTimeout(() => {
-        if (pendingTabUpdateListener) {
-          chrome.tabs.onUpdated.removeListener(pendingTabUpdateListener);
-          pendingTabUpdateListener = null;
-        }
-        if (pendingRefreshTabId === tab.id) {
-          console.log('[SubstackFront] Background refresh timed out');
-          chrome.tabs.remove(tab.id).catch(() => {});
-          pendingRefreshTabId = null;
-          if (pendingRefreshReject) {
-            pendingRefreshReject(new Error('Refresh timed out - try visiting substack.com/inbox manually'));
-            pendingRefreshReject = null;
-            pendingRefreshResolve = null;
-          }
-        }
-      }, 30000);
+  const plan = { put: [], remove: [], movedUrls: new Map(), duplicateCount: 0 };
+  groups.forEach((copies, url) => {
+    const [{ stored, canonical }] = copies;
+    const unchanged = copies.length === 1 && stored.url === url &&
+      stored.id === canonical.id && stored.customDomain === canonical.customDomain;
+    if (unchanged) return;
+
+    plan.put.push(copies.length === 1 ? canonical : mergeDuplicatePosts(copies.map(copy => copy.canonical)));
+    plan.duplicateCount += copies.length - 1;
+    copies.forEach(copy => {
+      if (copy.stored.url !== url) plan.movedUrls.set(copy.stored.url, url);
     });
   });
+  plan.remove = [...plan.movedUrls.keys()].filter(url => !groups.has(url));
+  return plan;
+}
+
+/**
+ * Point hidden posts and muted and pinned publications at the URLs and
+ * hosts posts are stored under once canonicalized
+ */
+function canonicalizeRules(rules, domains) {
+  const resolveHost = host => Directory.resolvePublicationHost(host, domains);
+  return {
+    ...rules,
+    hiddenPosts: rules.hiddenPosts.map(url => PostUrl.canonicalizePostUrl(url, domains) || url),
+    mutedPublications: rules.mutedPublications.map(resolveHost),
+    pinnedPublications: rules.pinnedPublications.map(resolveHost)
+  };
 }
 
 /**
- * Clean up refresh state
+ * Give every stored post its canonical URL and ID, merging posts that
+ * turn out to be copies of one another. Cached articles and hidden posts
+ * move to the canonical URL with them.
+ * @param {Object<string, string|null>} [domains] - see getPublicationDomains
+ * @returns {Promise<number>} number of posts rewritten
  */
-function cleanupRefreshState() {
-  if (pendingTabUpdateListener) {
-    chrome.tabs.onUpdated.removeListener(pendingTabUpdateListener);
-    pendingTabUpdateListener = null;
+async function canonicalizeStoredPosts(domains) {
+  const knownDomains = domains || await getPublicationDomains();
+
+  // Planned inside the write, so read state, saves and progress recorded
+  // meanwhile are merged rather than overwritten
+  const plan = await PostStore.rewriteAll(posts => planCanonicalPosts(posts, knownDomains));
+  if (plan.put.length === 0) return 0;
+
+  // Move cached articles, keeping one already at the canonical URL
+  const cachedOld = await ArticleStore.getEntries([...plan.movedUrls.keys()]);
+  for (const oldUrl of cachedOld.keys()) {
+    const url = plan.movedUrls.get(oldUrl);
+    if ((await ArticleStore.getEntries([url])).has(url)) continue;
+    const article = await ArticleStore.get(oldUrl);
+    if (article) {
+      await ArticleStore.put({ url, html: article.html, images: article.images, isPartial: article.isPartial });
+    }
   }
+  await ArticleStore.deleteMany([...cachedOld.keys()]);
+  const rewrittenUrls = plan.put.map(post => post.url);
+  const cached = await ArticleStore.getEntries(rewrittenUrls);
+  await PostStore.updateMany(rewrittenUrls, post => {
+    const offlineCachedAt = cached.has(post.url) ? post.offlineCachedAt || cached.get(post.url).cachedAt : null;
+    if (offlineCachedAt === (post.offlineCachedAt || null)) return null;
+    return { ...post, offlineCachedAt };
+  });
+
+  const rules = await Rules.load();
+  if (JSON.stringify(canonicalizeRules(rules, knownDomains)) !== JSON.stringify(rules)) {
+    await Rules.update(current => canonicalizeRules(current, knownDomains));
+  }
+
+  // Notifications are chosen by publication host, which moved with the posts
+  const settings = await Settings.load();
+  const notifyPublications = [...new Set(settings.notifyPublications
+    .map(host => Directory.resolvePublicationHost(host, knownDomains)))];
+  if (notifyPublications.some((host, index) => host !== settings.notifyPublications[index])) {
+    await Settings.save({ notifyPublications });
+  }
+
+  await notifyPostsChanged();
+  console.log(`[SubstackFront] Canonicalized ${plan.put.length} posts, merging ${plan.duplicateCount} duplicates`);
+  return plan.put.length;
 }
 
 /**
- * Handle posts received from a refresh tab
+ * Canonicalize the URLs of posts stored by earlier versions
  */
-async function handleRefreshPosts(tabId, posts) {
-  console.log('[SubstackFront] Handling refresh posts from tab:', tabId, 'count:', posts.length);
+async function migratePostUrls() {
+  const { postUrlVersion } = await chrome.storage.local.get(['postUrlVersion']);
+  if (postUrlVersion >= POST_URL_VERSION) return;
+  await canonicalizeStoredPosts();
+  await chrome.storage.local.set({ postUrlVersion: POST_URL_VERSION });
+}
 
-  if (tabId !== pendingRefreshTabId) {
-    console.log('[SubstackFront] Ignoring posts from non-refresh tab');
-    return false;
+/**
+ * Key muted and pinned publications by host instead of by the display
+ * name earlier versions used. A name becomes the hosts of every stored
+ * post published under it; names no stored post has are left for the
+ * user to remove.
+ */
+async function migratePublicationRules() {
+  const { publicationRulesVersion } = await chrome.storage.local.get(['publicationRulesVersion']);
+  if (publicationRulesVersion >= PUBLICATION_RULES_VERSION) return;
+
+  const rules = await Rules.load();
+  if (rules.mutedPublications.length > 0 || rules.pinnedPublications.length > 0) {
+    const hostsByName = new Map();
+    (await PostStore.getAll()).forEach(post => {
+      const host = Directory.getPublicationHost(post.url);
+      if (!host || !post.publication) return;
+      if (!hostsByName.has(post.publication)) hostsByName.set(post.publication, new Set());
+      hostsByName.get(post.publication).add(host);
+    });
+    const toHosts = names => names.flatMap(name => (hostsByName.has(name) ? [...hostsByName.get(name)] : [name]));
+    await Rules.update(current => ({
+      ...current,
+      mutedPublications: toHosts(current.mutedPublications),
+      pinnedPublications: toHosts(current.pinnedPublications)
+    }));
   }
+  await chrome.storage.local.set({ publicationRulesVersion: PUBLICATION_RULES_VERSION });
+}
 
-  cleanupRefreshState();
+/**
+ * Fold settings stored under their pre-settings-object keys into settings
+ */
+async function migrateLegacySettings() {
+  const legacy = await chrome.storage.local.get(['refreshSchedule', 'popupOnlyMode']);
+  if (legacy.refreshSchedule === undefined && legacy.popupOnlyMode === undefined) return;
 
-  try {
-    const result = await savePosts(posts);
-    chrome.tabs.remove(tabId).catch(() => {});
-    pendingRefreshTabId = null;
+  const schedule = legacy.refreshSchedule || {};
+  const changes = {
+    refreshIntervalMinutes: schedule.intervalMinutes,
+    quietHoursEnabled: schedule.quietHoursEnabled,
+    quietHoursStart: schedule.quietHoursStart,
+    quietHoursEnd: schedule.quietHoursEnd,
+    skipRefreshWhenIdle: schedule.skipWhenIdle,
+    popupOnlyMode: legacy.popupOnlyMode
+  };
+  Object.keys(changes).forEach(key => changes[key] === undefined && delete changes[key]);
 
-    if (pendingRefreshResolve) {
-      pendingRefreshResolve(result);
-      pendingRefreshResolve = null;
-      pendingRefreshReject = null;
-    }
-    return true;
+  try {
+    await Settings.save(changes);
   } catch (error) {
-    chrome.tabs.remove(tabId).catch(() => {});
-    pendingRefreshTabId = null;
+    console.warn('[SubstackFront] Ignoring invalid legacy settings:', error.message);
+  }
+  await chrome.storage.local.remove(['refreshSchedule', 'popupOnlyMode']);
+  console.log('[SubstackFront] Migrated legacy settings');
+}
 
-    if (pendingRefreshReject) {
-      pendingRefreshReject(error);
-      pendingRefreshReject = null;
-      pendingRefreshResolve = null;
+// React to settings changed from the options page (or any other surface)
+Settings.onChanged(async (settings, previous) => {
+  await applyRefreshSchedule(settings);
+
+  const retentionTightened = settings.maxPosts < previous.maxPosts ||
+    settings.maxPostAgeDays < previous.maxPostAgeDays;
+  if (retentionTightened) {
+    const trimmedCount = await trimPosts(settings.maxPosts);
+    if (trimmedCount > 0) {
+      console.log(`[SubstackFront] Trimmed posts to new limit of ${settings.maxPosts}`);
+    }
+    const removedCount = await cleanupOldPosts(settings.maxPostAgeDays);
+    if (trimmedCount > 0 || removedCount > 0) {
+      await notifyPostsChanged();
     }
-    return false;
   }
-}
+
+  if (previous.offlineReaderEnabled && !settings.offlineReaderEnabled) {
+    await clearOfflineCache();
+  } else if (settings.offlineCacheMaxMb < previous.offlineCacheMaxMb) {
+    await enforceOfflineCacheBudget(settings);
+  }
+
+  if (settings.badgeCount !== previous.badgeCount) {
+    scheduleBadgeUpdate();
+  }
+});
+
+// Muting a publication changes the badge count
+Rules.onChanged(() => scheduleBadgeUpdate());
+
+chrome.notifications.onClicked.addListener(handleNotificationClick);
 
 // Message handler
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -338,32 +2249,116 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
   switch (message.type) {
     case 'POSTS_EXTRACTED':
-      // Check if this is from a refresh tab
-      if (sender.tab?.id && sender.tab.id === pendingRefreshTabId) {
-        console.log('[SubstackFront] Posts from refresh tab');
-        handleRefreshPosts(sender.tab.id, message.posts)
-          .then(() => sendResponse({ success: true }))
-          .catch(error => sendResponse({ success: false, error: error.message }));
-      } else {
-        // Regular extraction from user browsing
-        savePosts(message.posts)
-          .then(result => sendResponse({ success: true, ...result }))
-          .catch(error => sendResponse({ success: false, error: error.message }));
+      if (message.report) {
+        recordExtractionHealth(message.report).catch(error => {
+          console.error('[SubstackFront] Failed to record extraction health:', error);
+        });
       }
+      handleExtractedPosts(sender.tab?.id, message.posts)
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
       return true; // Keep channel open for async response
 
+    case 'CONTENT_READY':
+      queueRefreshJobStep(() => handleRefreshTabReady(sender.tab?.id))
+        .then(isRefreshTab => sendResponse({ success: true, isRefreshTab }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'REFRESH_TAB_PROGRESS':
+      queueRefreshJobStep(() => handleRefreshTabProgress(sender.tab?.id, message))
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'GET_POSTS':
       getStoredPosts()
         .then(posts => sendResponse({ success: true, posts }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
+    case 'QUERY_POSTS':
+      queryPosts(message.filter || {})
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'IMPORT_POSTS':
+      importPosts(Array.isArray(message.posts) ? message.posts : [])
+        .then(result => sendResponse({ success: true, ...result }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'MARK_READ':
       markPostAsRead(message.url)
         .then(() => sendResponse({ success: true }))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
+    case 'ARTICLE_VISITED':
+      markArticleVisited([message.url, message.canonicalUrl])
+        .then(matched => sendResponse({ success: true, matched }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'ENRICH_POST':
+      enrichPost([message.url, message.canonicalUrl], message.metadata || {})
+        .then(matched => sendResponse({ success: true, matched }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'CACHE_ARTICLE':
+      cacheArticle([message.url, message.canonicalUrl], message.content)
+        .then(cached => sendResponse({ success: true, cached }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_CACHED_ARTICLE':
+      openCachedArticle(message.url)
+        .then(result => sendResponse({ success: true, article: result?.article || null, post: result?.post || null }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'READING_PROGRESS':
+      // The offline reader also sends its scroll position, to reopen there
+      Promise.all([
+        recordReadingProgress([message.url, message.canonicalUrl], message),
+        message.position !== undefined ? setArticleProgress(message.url, message.position) : null
+      ])
+        .then(([matched]) => sendResponse({ success: true, matched }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_CONTINUE_READING':
+      getContinueReading()
+        .then(posts => sendResponse({ success: true, posts }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'MARK_UNREAD':
+      markPostAsUnread(message.url)
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'SET_READ_STATE':
+      setPostsReadState(message.urls || [], Boolean(message.isRead))
+        .then(count => sendResponse({ success: true, count }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'SET_SAVED':
+      setPostSaved(message.url, Boolean(message.isSaved))
+        .then(found => sendResponse({ success: found, error: found ? undefined : 'Post not found' }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'MARK_ALL_READ':
+      markAllAsRead({ publication: message.publication, host: message.host, olderThanDays: message.olderThanDays })
+        .then(count => sendResponse({ success: true, count }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'CLEAR_POSTS':
       clearAllPosts()
         .then(() => sendResponse({ success: true }))
@@ -376,6 +2371,12 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
 
+    case 'GET_PUBLICATIONS':
+      getPublicationDirectory()
+        .then(publications => sendResponse({ success: true, publications }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     case 'GET_STORAGE_STATS':
       getStorageStats()
         .then(stats => sendResponse({ success: true, ...stats }))
@@ -384,7 +2385,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 
     case 'REFRESH_FEED':
       console.log('[SubstackFront] REFRESH_FEED received, starting refresh...');
-      refreshFeed()
+      runRefresh('manual', { deep: Boolean(message.deep) })
         .then(result => {
           console.log('[SubstackFront] Refresh completed:', result);
           sendResponse({ success: true, ...result });
@@ -395,6 +2396,23 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         });
       return true;
 
+    case 'GET_EXTRACTION_HEALTH':
+      getExtractionHealth()
+        .then(health => sendResponse({ success: true, health }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
+    case 'GET_REFRESH_STATUS':
+      Promise.all([getRefreshStatus(), chrome.alarms.get(REFRESH_ALARM_NAME), RefreshJobs.getJob()])
+        .then(([status, alarm, job]) => sendResponse({
+          success: true,
+          status,
+          nextRunAt: alarm ? new Date(alarm.scheduledTime).toISOString() : null,
+          job
+        }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+
     default:
       sendResponse({ success: false, error: 'Unknown message type' });
   }
@@ -404,10 +2422,38 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
 chrome.runtime.onInstalled.addListener((details) => {
   console.log('[SubstackFront] Extension installed/updated:', details.reason);
 
-  // Initialize storage if needed
-  chrome.storage.local.get(['posts'], (result) => {
-    if (!result.posts) {
-      chrome.storage.local.set({ posts: [], lastUpdated: null });
-    }
-  });
+  migrateLegacyPosts()
+    .catch(error => {
+      console.error('[SubstackFront] Failed to migrate posts to IndexedDB:', error);
+    })
+    .then(migratePostUrls)
+    .catch(error => {
+      console.error('[SubstackFront] Failed to canonicalize post URLs:', error);
+    })
+    .then(migratePublicationRules)
+    .catch(error => {
+      console.error('[SubstackFront] Failed to key publication rules by host:', error);
+    });
+
+  migrateLegacySettings().then(() => applyRefreshSchedule());
+  scheduleBadgeUpdate();
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  // Retry migrations that failed during the update
+  migrateLegacyPosts()
+    .catch(error => {
+      console.error('[SubstackFront] Failed to migrate posts to IndexedDB:', error);
+    })
+    .then(migratePostUrls)
+    .catch(error => {
+      console.error('[SubstackFront] Failed to canonicalize post URLs:', error);
+    })
+    .then(migratePublicationRules)
+    .catch(error => {
+      console.error('[SubstackFront] Failed to key publication rules by host:', error);
+    });
+  applyRefreshSchedule();
+  // The badge isn't kept between browser sessions
+  scheduleBadgeUpdate();
 });
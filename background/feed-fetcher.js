@@ -0,0 +1,253 @@
+// SubstackFront - Feed Fetcher
+// Fetches and parses publication RSS feeds into the post shape used by the inbox scraper
+
+(function(root) {
+  'use strict';
+
+  const FEED_TIMEOUT_MS = 15000;
+
+  const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' ',
+    hellip: '…',
+    mdash: '—',
+    ndash: '–',
+    rsquo: '’',
+    lsquo: '‘',
+    rdquo: '”',
+    ldquo: '“'
+  };
+
+  /**
+   * Get the feed URL of the publication a post belongs to, or null.
+   * Handles custom domains, name.substack.com and open.substack.com/pub/name.
+   */
+  function getFeedUrl(postUrl) {
+    try {
+      const parsed = new URL(postUrl);
+      const pubMatch = parsed.pathname.match(/^\/pub\/([^/]+)\//);
+      if (parsed.hostname.endsWith('substack.com') && pubMatch) {
+        return `https://${pubMatch[1].toLowerCase()}.substack.com/feed`;
+      }
+      // Posts on substack.com itself (e.g. /@author/p/slug) don't identify a publication
+      if (parsed.hostname === 'substack.com' || parsed.hostname === 'www.substack.com') {
+        return null;
+      }
+      return `${parsed.origin}/feed`;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Decode XML/HTML character references
+   */
+  function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+      if (entity[0] === '#') {
+        const code = entity[1].toLowerCase() === 'x'
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+        return Number.isNaN(code) ? match : String.fromCodePoint(code);
+      }
+      const named = NAMED_ENTITIES[entity.toLowerCase()];
+      return named !== undefined ? named : match;
+    });
+  }
+
+  /**
+   * Get the text of an element's content, unwrapping CDATA
+   */
+  function readText(raw) {
+    if (raw === undefined || raw === null) return '';
+    const cdata = raw.match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+    return cdata ? cdata[1] : decodeEntities(raw);
+  }
+
+  /**
+   * Reduce an HTML fragment to plain, single-spaced text
+   */
+  function stripHtml(html) {
+    return decodeEntities(html.replace(/<[^>]*>/g, ' '))
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Escape a tag name (which may contain a namespace colon) for a RegExp
+   */
+  function escapeTag(tag) {
+    return tag.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Get the raw content of the first <tag> in xml
+   */
+  function getElement(xml, tag) {
+    const match = xml.match(new RegExp(`<${escapeTag(tag)}(?:\\s[^>]*)?>([\\s\\S]*?)</${escapeTag(tag)}>`, 'i'));
+    return match ? match[1] : undefined;
+  }
+
+  /**
+   * Get an attribute of the first <tag ...> in xml
+   */
+  function getAttribute(xml, tag, attribute) {
+    const element = xml.match(new RegExp(`<${escapeTag(tag)}\\s[^>]*>`, 'i'));
+    if (!element) return undefined;
+    const value = element[0].match(new RegExp(`\\s${attribute}\\s*=\\s*("([^"]*)"|'([^']*)')`, 'i'));
+    return value ? decodeEntities(value[2] !== undefined ? value[2] : value[3]) : undefined;
+  }
+
+  /**
+   * Parse an RSS 2.0 feed
+   * @param {string} xml
+   * @returns {{title: string, imageUrl: string|null, items: Object[]}}
+   * @throws {Error} if xml is not an RSS feed
+   */
+  function parseFeed(xml) {
+    const channel = getElement(xml, 'channel');
+    if (channel === undefined) {
+      throw new Error('Not an RSS feed');
+    }
+
+    // Channel-level fields live before the first item
+    const head = channel.split(/<item[\s>]/i)[0];
+    const image = getElement(head, 'image');
+
+    const items = [];
+    const itemPattern = /<item(?:\s[^>]*)?>([\s\S]*?)<\/item>/gi;
+    let match;
+    while ((match = itemPattern.exec(channel)) !== null) {
+      const item = match[1];
+      const enclosureType = getAttribute(item, 'enclosure', 'type') || '';
+      items.push({
+        title: stripHtml(readText(getElement(item, 'title'))),
+        link: readText(getElement(item, 'link')).trim(),
+        description: stripHtml(readText(getElement(item, 'description'))),
+        creator: stripHtml(readText(getElement(item, 'dc:creator') || getElement(item, 'author'))),
+        pubDate: readText(getElement(item, 'pubDate')).trim(),
+        imageUrl: (enclosureType.startsWith('image/') && getAttribute(item, 'enclosure', 'url')) ||
+          getAttribute(item, 'media:content', 'url') ||
+          getAttribute(item, 'media:thumbnail', 'url') ||
+          null
+      });
+    }
+
+    return {
+      title: stripHtml(readText(getElement(head, 'title'))),
+      imageUrl: image ? readText(getElement(image, 'url')).trim() || null : null,
+      items
+    };
+  }
+
+  /**
+   * Parse an http(s) URL from a feed, or null for anything else (including
+   * javascript: and data: URLs, which must never reach link or image markup)
+   * @returns {URL|null}
+   */
+  function parseHttpUrl(value) {
+    if (!value) return null;
+    try {
+      const parsed = new URL(value);
+      return parsed.protocol === 'https:' || parsed.protocol === 'http:' ? parsed : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Convert a parsed feed into posts. Feeds carry no read state, so
+   * isRead is left out and the stored state is kept on merge. Items
+   * without an http(s) link are skipped, and image URLs that aren't
+   * http(s) are dropped.
+   */
+  function feedToPosts(feed, extractedAt = new Date().toISOString()) {
+    const logo = parseHttpUrl(feed.imageUrl);
+    return feed.items
+      .filter(item => item.title && parseHttpUrl(item.link))
+      .map(item => {
+        const link = parseHttpUrl(item.link);
+        const date = new Date(item.pubDate);
+        return {
+          title: item.title,
+          subtitle: item.description === item.title ? '' : item.description,
+          publication: feed.title || link.hostname,
+          publicationLogo: logo?.href || null,
+          author: item.creator,
+          coverImage: parseHttpUrl(item.imageUrl)?.href || null,
+          url: link.href,
+          publishedAt: isNaN(date.getTime()) ? null : date.toISOString(),
+          extractedAt,
+          extractionStrategy: 'feed'
+        };
+      });
+  }
+
+  /**
+   * Fetch a feed, using conditional request headers when validators are known
+   * @param {string} feedUrl
+   * @param {Object} [validators] - { etag, lastModified } from the previous fetch
+   * @param {Object} [options]
+   * @param {function} [options.fetch] - fetch implementation (defaults to the global one)
+   * @param {number} [options.timeoutMs]
+   * @returns {Promise<{notModified: boolean, posts: Object[], etag: string|null, lastModified: string|null}>}
+   * @throws {Error} on network errors, timeouts, non-2xx responses and unparseable feeds
+   */
+  async function fetchFeed(feedUrl, validators = {}, options = {}) {
+    const fetchImpl = options.fetch || root.fetch.bind(root);
+    const headers = { Accept: 'application/rss+xml, application/xml;q=0.9, text/xml;q=0.8' };
+    if (validators.etag) headers['If-None-Match'] = validators.etag;
+    if (validators.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+
+    const controller = new AbortController();
+    const timeout = setTimeout(() => controller.abort(), options.timeoutMs || FEED_TIMEOUT_MS);
+
+    try {
+      const response = await fetchImpl(feedUrl, {
+        headers,
+        signal: controller.signal,
+        credentials: 'omit',
+        redirect: 'follow'
+      });
+
+      if (response.status === 304) {
+        return {
+          notModified: true,
+          posts: [],
+          etag: validators.etag || null,
+          lastModified: validators.lastModified || null
+        };
+      }
+      if (!response.ok) {
+        throw new Error(`Feed request failed with HTTP ${response.status}`);
+      }
+
+      const feed = parseFeed(await response.text());
+      return {
+        notModified: false,
+        posts: feedToPosts(feed),
+        etag: response.headers.get('ETag'),
+        lastModified: response.headers.get('Last-Modified')
+      };
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw new Error('Feed request timed out');
+      }
+      throw error;
+    } finally {
+      clearTimeout(timeout);
+    }
+  }
+
+  root.FeedFetcher = {
+    getFeedUrl,
+    parseFeed,
+    feedToPosts,
+    fetchFeed
+  };
+
+})(globalThis);
@@ -0,0 +1,27 @@
+// SubstackFront - Offscreen Document
+// Parses article pages fetched by the service worker, which has no DOM
+
+(function() {
+  'use strict';
+
+  const Article = globalThis.SubstackFrontArticle;
+
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.target !== 'offscreen') return false;
+
+    if (message.type === 'PARSE_ARTICLE') {
+      try {
+        // DOMParser documents are inert: scripts don't run and images don't load
+        const doc = new DOMParser().parseFromString(message.html, 'text/html');
+        sendResponse({ success: true, content: Article.extractArticleContent(doc, message.url) });
+      } catch (error) {
+        sendResponse({ success: false, error: error.message });
+      }
+      return false;
+    }
+
+    sendResponse({ success: false, error: 'Unknown message type' });
+    return false;
+  });
+
+})();
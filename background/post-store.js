@@ -0,0 +1,464 @@
+// SubstackFront - Post Store
+// IndexedDB-backed post storage for the background service worker
+
+(function(root) {
+  'use strict';
+
+  const Directory = root.SubstackFrontDirectory;
+
+  const DB_NAME = 'substackfront';
+  const DB_VERSION = 2;
+  const POSTS_STORE = 'posts';
+
+  // Derived fields kept on each record so they can be indexed.
+  // IndexedDB can't index booleans, so flags are stored as 0/1, and
+  // posts without a publish date are ordered by when they were extracted.
+  // publicationHost is SubstackFrontDirectory.getPublicationHost of the URL.
+  const DERIVED_FIELDS = ['sortDate', 'readFlag', 'savedFlag', 'publicationHost'];
+
+  let dbPromise = null;
+
+  /**
+   * Wrap an IDBRequest in a promise
+   */
+  function promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Resolve when a transaction commits
+   */
+  function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  /**
+   * Open (and create or upgrade) the database
+   */
+  function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+        console.log(`[SubstackFront] Upgrading post database from v${event.oldVersion} to v${DB_VERSION}`);
+
+        if (event.oldVersion < 1) {
+          // The url key path doubles as the url index
+          const posts = db.createObjectStore(POSTS_STORE, { keyPath: 'url' });
+          posts.createIndex('publication', 'publication');
+          posts.createIndex('publishedAt', 'sortDate');
+          posts.createIndex('isRead', 'readFlag');
+          posts.createIndex('isSaved', 'savedFlag');
+        }
+        if (event.oldVersion < 2) {
+          const posts = request.transaction.objectStore(POSTS_STORE);
+          posts.createIndex('host', 'publicationHost');
+          // Records stored before the index existed get their host
+          if (event.oldVersion >= 1) {
+            posts.openCursor().onsuccess = (cursorEvent) => {
+              const cursor = cursorEvent.target.result;
+              if (!cursor) return;
+              cursor.update(toRecord(fromRecord(cursor.value)));
+              cursor.continue();
+            };
+          }
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+        // Let a newer version of the extension upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return dbPromise;
+  }
+
+  /**
+   * Add derived index fields to a post
+   */
+  function toRecord(post) {
+    return {
+      ...post,
+      sortDate: post.publishedAt || post.extractedAt || '',
+      readFlag: post.isRead ? 1 : 0,
+      savedFlag: post.isSaved ? 1 : 0,
+      publicationHost: Directory.getPublicationHost(post.url) || ''
+    };
+  }
+
+  /**
+   * Strip derived index fields from a record
+   */
+  function fromRecord(record) {
+    if (!record) return record;
+    const post = { ...record };
+    DERIVED_FIELDS.forEach(field => delete post[field]);
+    return post;
+  }
+
+  /**
+   * Run fn with the posts object store inside a transaction
+   * @returns {Promise<*>} fn's result, once the transaction has committed
+   */
+  async function withStore(mode, fn) {
+    const db = await openDatabase();
+    const transaction = db.transaction(POSTS_STORE, mode);
+    const [result] = await Promise.all([
+      fn(transaction.objectStore(POSTS_STORE), transaction),
+      transactionDone(transaction)
+    ]);
+    return result;
+  }
+
+  /**
+   * Walk a cursor, calling visit(cursor) for each record until it returns false
+   */
+  function walkCursor(request, visit) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor || visit(cursor) === false) {
+          resolve();
+          return;
+        }
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Get all posts, newest first
+   */
+  async function getAllPosts() {
+    const posts = [];
+    await withStore('readonly', store =>
+      walkCursor(store.index('publishedAt').openCursor(null, 'prev'), cursor => {
+        posts.push(fromRecord(cursor.value));
+      })
+    );
+    return posts;
+  }
+
+  /**
+   * Get posts by URL (missing posts are omitted)
+   * @returns {Promise<Map<string, Object>>} url -> post
+   */
+  async function getPosts(urls) {
+    const found = new Map();
+    await withStore('readonly', store =>
+      Promise.all(urls.map(url =>
+        promisify(store.get(url)).then(record => {
+          if (record) found.set(url, fromRecord(record));
+        })
+      ))
+    );
+    return found;
+  }
+
+  /**
+   * Get a single post by URL
+   */
+  async function getPost(url) {
+    return (await getPosts([url])).get(url) || null;
+  }
+
+  /**
+   * Insert or replace posts in one transaction
+   */
+  async function putPosts(posts) {
+    if (posts.length === 0) return;
+    await withStore('readwrite', store => {
+      posts.forEach(post => store.put(toRecord(post)));
+    });
+  }
+
+  /**
+   * Insert or merge posts in one transaction, so concurrent updates to the
+   * same records can't be lost. merge(existing, incoming) receives null
+   * for new posts and returns the post to store, or null to skip it.
+   * @returns {Promise<{added: number, updated: number, addedUrls: string[]}>}
+   */
+  async function mergePosts(posts, merge) {
+    const counts = { added: 0, updated: 0, addedUrls: [] };
+    if (posts.length === 0) return counts;
+    await withStore('readwrite', store =>
+      Promise.all(posts.map(post =>
+        promisify(store.get(post.url)).then(record => {
+          const next = merge(fromRecord(record) || null, post);
+          if (!next) return;
+          store.put(toRecord(next));
+          counts[record ? 'updated' : 'added']++;
+          if (!record) counts.addedUrls.push(post.url);
+        })
+      ))
+    );
+    return counts;
+  }
+
+  /**
+   * Update posts in place. update(post) returns the new post, or null to
+   * leave the record untouched.
+   * @returns {Promise<Object[]>} the posts that changed
+   */
+  async function updatePosts(urls, update) {
+    const changed = [];
+    await withStore('readwrite', store =>
+      Promise.all(urls.map(url =>
+        promisify(store.get(url)).then(record => {
+          if (!record) return;
+          const next = update(fromRecord(record));
+          if (!next) return;
+          store.put(toRecord(next));
+          changed.push(next);
+        })
+      ))
+    );
+    return changed;
+  }
+
+  /**
+   * Update every post matching a filter. Uses the most selective index
+   * available for the filter, then applies update() as in updatePosts.
+   * @param {Object} filter - see queryPosts
+   * @returns {Promise<Object[]>} the posts that changed
+   */
+  async function updateWhere(filter, update) {
+    const changed = [];
+    await withStore('readwrite', store =>
+      walkCursor(openFilteredCursor(store, filter, 'next'), cursor => {
+        if (!matchesFilter(cursor.value, filter)) return;
+        const next = update(fromRecord(cursor.value));
+        if (!next) return;
+        cursor.update(toRecord(next));
+        changed.push(next);
+      })
+    );
+    return changed;
+  }
+
+  /**
+   * Rewrite the store in one transaction, so updates made by other
+   * writers can't land between reading a post and replacing it.
+   * rewrite(posts) sees every post and returns the posts to store and the
+   * URLs to delete; it must not wait on anything.
+   * @param {function(Object[]): {put: Object[], remove: string[]}} rewrite
+   * @returns {Promise<Object>} what rewrite returned
+   */
+  async function rewritePosts(rewrite) {
+    return withStore('readwrite', store =>
+      promisify(store.getAll()).then(records => {
+        const result = rewrite(records.map(fromRecord));
+        result.put.forEach(post => store.put(toRecord(post)));
+        result.remove.forEach(url => store.delete(url));
+        return result;
+      })
+    );
+  }
+
+  /**
+   * Delete posts by URL
+   */
+  async function deletePosts(urls) {
+    if (urls.length === 0) return;
+    await withStore('readwrite', store => {
+      urls.forEach(url => store.delete(url));
+    });
+  }
+
+  /**
+   * Delete every post
+   */
+  async function clearPosts() {
+    await withStore('readwrite', store => {
+      store.clear();
+    });
+  }
+
+  /**
+   * Count posts, optionally only those with a given read or saved flag
+   * @param {Object} [filter] - { isRead?, isSaved? }
+   */
+  async function countPosts(filter = {}) {
+    return withStore('readonly', store => {
+      if (filter.isRead !== undefined) {
+        return promisify(store.index('isRead').count(filter.isRead ? 1 : 0));
+      }
+      if (filter.isSaved !== undefined) {
+        return promisify(store.index('isSaved').count(filter.isSaved ? 1 : 0));
+      }
+      return promisify(store.count());
+    });
+  }
+
+  /**
+   * Get the distinct publication names
+   */
+  async function getPublications() {
+    const publications = [];
+    await withStore('readonly', store =>
+      walkCursor(store.index('publication').openKeyCursor(null, 'nextunique'), cursor => {
+        publications.push(cursor.key);
+      })
+    );
+    return publications;
+  }
+
+  /**
+   * Check a stored record against a query filter
+   */
+  function matchesFilter(record, filter) {
+    if (filter.publication !== undefined && record.publication !== filter.publication) return false;
+    if (filter.host !== undefined && record.publicationHost !== filter.host) return false;
+    if (filter.isRead !== undefined && record.readFlag !== (filter.isRead ? 1 : 0)) return false;
+    if (filter.isSaved !== undefined && record.savedFlag !== (filter.isSaved ? 1 : 0)) return false;
+    if (filter.before !== undefined && !(record.sortDate < filter.before)) return false;
+    if (filter.after !== undefined && !(record.sortDate > filter.after)) return false;
+    return true;
+  }
+
+  /**
+   * Open a cursor over the index that best narrows a filter
+   */
+  function openFilteredCursor(store, filter, direction) {
+    if (filter.host !== undefined) {
+      return store.index('host').openCursor(IDBKeyRange.only(filter.host), direction);
+    }
+    if (filter.publication !== undefined) {
+      return store.index('publication').openCursor(IDBKeyRange.only(filter.publication), direction);
+    }
+    if (filter.isSaved !== undefined) {
+      return store.index('isSaved').openCursor(IDBKeyRange.only(filter.isSaved ? 1 : 0), direction);
+    }
+    if (filter.isRead !== undefined) {
+      return store.index('isRead').openCursor(IDBKeyRange.only(filter.isRead ? 1 : 0), direction);
+    }
+    if (filter.before !== undefined || filter.after !== undefined) {
+      let range;
+      if (filter.before !== undefined && filter.after !== undefined) {
+        range = IDBKeyRange.bound(filter.after, filter.before, true, true);
+      } else if (filter.before !== undefined) {
+        range = IDBKeyRange.upperBound(filter.before, true);
+      } else {
+        range = IDBKeyRange.lowerBound(filter.after, true);
+      }
+      return store.index('publishedAt').openCursor(range, direction);
+    }
+    return store.index('publishedAt').openCursor(null, direction);
+  }
+
+  /**
+   * Query a page of posts, newest first
+   * @param {Object} filter
+   * @param {string} [filter.publication] - exact publication name
+   * @param {string} [filter.host] - publication host; see SubstackFrontDirectory.getPublicationHost
+   * @param {boolean} [filter.isRead]
+   * @param {boolean} [filter.isSaved]
+   * @param {string} [filter.before] - ISO date; only posts published before it
+   * @param {string} [filter.after] - ISO date; only posts published after it
+   * @param {number} [filter.offset=0]
+   * @param {number} [filter.limit=50]
+   * @returns {Promise<{posts: Object[], total: number}>}
+   */
+  async function queryPosts(filter = {}) {
+    const offset = Math.max(0, filter.offset || 0);
+    const limit = Math.max(1, filter.limit || 50);
+    const matches = [];
+
+    // Non-date indexes are ordered by key then url, so those results are
+    // collected in full and sorted by date afterwards
+    const usesDateIndex = filter.host === undefined &&
+      filter.publication === undefined &&
+      filter.isSaved === undefined &&
+      filter.isRead === undefined;
+
+    let total = 0;
+    await withStore('readonly', store =>
+      walkCursor(openFilteredCursor(store, filter, 'prev'), cursor => {
+        if (!matchesFilter(cursor.value, filter)) return;
+        total++;
+        if (!usesDateIndex || (total > offset && matches.length < limit)) {
+          matches.push(fromRecord(cursor.value));
+        }
+      })
+    );
+
+    if (usesDateIndex) {
+      return { posts: matches, total };
+    }
+
+    const sorted = matches.sort((a, b) =>
+      (b.publishedAt || b.extractedAt || '').localeCompare(a.publishedAt || a.extractedAt || '')
+    );
+    return { posts: sorted.slice(offset, offset + limit), total };
+  }
+
+  /**
+   * Get URLs of unsaved posts beyond the newest maxPosts
+   */
+  async function getOverflowUrls(maxPosts) {
+    const urls = [];
+    let unsavedCount = 0;
+    await withStore('readonly', store =>
+      walkCursor(store.index('publishedAt').openCursor(null, 'prev'), cursor => {
+        if (cursor.value.savedFlag) return;
+        unsavedCount++;
+        if (unsavedCount > maxPosts) urls.push(cursor.value.url);
+      })
+    );
+    return urls;
+  }
+
+  /**
+   * Get URLs of unsaved posts dated before a cutoff (or with no date)
+   */
+  async function getExpiredUrls(cutoffIso) {
+    const urls = [];
+    await withStore('readonly', store =>
+      walkCursor(store.index('publishedAt').openCursor(IDBKeyRange.upperBound(cutoffIso, true)), cursor => {
+        if (!cursor.value.savedFlag) urls.push(cursor.value.url);
+      })
+    );
+    return urls;
+  }
+
+  root.PostStore = {
+    open: openDatabase,
+    getAll: getAllPosts,
+    get: getPost,
+    getMany: getPosts,
+    putMany: putPosts,
+    mergeMany: mergePosts,
+    updateMany: updatePosts,
+    updateWhere,
+    rewriteAll: rewritePosts,
+    deleteMany: deletePosts,
+    clear: clearPosts,
+    count: countPosts,
+    getPublications,
+    query: queryPosts,
+    getOverflowUrls,
+    getExpiredUrls
+  };
+
+})(globalThis);
@@ -0,0 +1,233 @@
+// SubstackFront - Article Metadata
+// Reads canonical metadata from a single article page (/p/slug)
+
+(function(root) {
+  'use strict';
+
+  const Extractors = root.SubstackFrontExtractors;
+  const Sanitize = root.SubstackFrontSanitize;
+
+  // Average adult silent reading speed
+  const WORDS_PER_MINUTE = 238;
+
+  // Article body containers, most specific first
+  const BODY_SELECTORS = ['.available-content .body', '.body.markup', '.available-content', 'article'];
+
+  // Markers Substack shows in place of the rest of a paid post
+  const PAYWALL_SELECTORS = ['.paywall', '[data-testid="paywall"]', '.paywall-content'];
+
+  // Subscribe prompts, share buttons and image zoom controls inside the body
+  const BODY_NOISE_SELECTORS = [
+    '.subscription-widget-wrap',
+    '.subscription-widget',
+    '.button-wrapper',
+    '.captioned-button-wrap',
+    '.share-dialog',
+    '.post-ufi',
+    '.image-link-expand',
+    '.paywall'
+  ];
+
+  /**
+   * Parse every JSON-LD block and return the first article-like object
+   */
+  function readJsonLd(doc) {
+    const articleTypes = ['NewsArticle', 'Article', 'BlogPosting', 'Report'];
+    const candidates = [];
+
+    doc.querySelectorAll('script[type="application/ld+json"]').forEach(script => {
+      try {
+        const data = JSON.parse(script.textContent);
+        const items = Array.isArray(data) ? data : data['@graph'] || [data];
+        candidates.push(...items);
+      } catch (error) {
+        console.warn('[SubstackFront] Could not parse JSON-LD:', error.message);
+      }
+    });
+
+    return candidates.find(item => {
+      const types = [].concat(item?.['@type'] || []);
+      return types.some(type => articleTypes.includes(type));
+    }) || null;
+  }
+
+  /**
+   * Get the content of a <meta property|name="..."> tag
+   */
+  function readMeta(doc, name) {
+    const meta = doc.querySelector(`meta[property="${name}"], meta[name="${name}"]`);
+    return meta?.getAttribute('content')?.trim() || null;
+  }
+
+  /**
+   * Get the content of every <meta property="..."> tag with a name
+   */
+  function readMetaAll(doc, name) {
+    return Array.from(doc.querySelectorAll(`meta[property="${name}"], meta[name="${name}"]`))
+      .map(meta => meta.getAttribute('content')?.trim())
+      .filter(Boolean);
+  }
+
+  /**
+   * Find the post object in the page's JSON preloads
+   */
+  function readPreloadPost(doc) {
+    for (const preload of Extractors.readPreloads(doc)) {
+      if (preload?.post && typeof preload.post === 'object') return preload.post;
+    }
+    return null;
+  }
+
+  /**
+   * Normalize a JSON-LD person or list of persons to names
+   */
+  function personNames(value) {
+    return [].concat(value || [])
+      .map(person => (typeof person === 'string' ? person : person?.name))
+      .filter(Boolean)
+      .map(name => name.trim());
+  }
+
+  /**
+   * Normalize a JSON-LD image value to a URL
+   */
+  function imageUrl(value) {
+    const first = [].concat(value || [])[0];
+    if (!first) return null;
+    return typeof first === 'string' ? first : first.url || null;
+  }
+
+  /**
+   * Convert a date string to ISO, or null
+   */
+  function toIsoDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  /**
+   * Convert a count to a non-negative integer, or null
+   */
+  function toCount(value) {
+    const number = Number(value);
+    return Number.isFinite(number) && number >= 0 ? Math.round(number) : null;
+  }
+
+  /**
+   * Find the article body container
+   */
+  function findBody(doc) {
+    for (const selector of BODY_SELECTORS) {
+      const body = doc.querySelector(selector);
+      if (body) return body;
+    }
+    return null;
+  }
+
+  /**
+   * Count the words in the visible article body
+   */
+  function countBodyWords(doc) {
+    const body = findBody(doc);
+    if (!body) return null;
+    const text = body.innerText || body.textContent || '';
+    return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+  }
+
+  /**
+   * Extract the article body as sanitized HTML for the offline reader
+   * @param {Document} doc
+   * @param {string} pageUrl - for resolving relative links and images
+   * @returns {{html: string, imageUrls: string[], isPartial: boolean}|null} null if no body was found;
+   *   isPartial when the page only has the free preview of a paid post
+   */
+  function extractArticleContent(doc, pageUrl) {
+    const body = findBody(doc);
+    if (!body) return null;
+
+    const copy = body.cloneNode(true);
+    copy.querySelectorAll(BODY_NOISE_SELECTORS.join(', ')).forEach(el => el.remove());
+
+    const { html, imageUrls } = Sanitize.sanitizeHtml(copy, pageUrl);
+    if (!html.trim()) return null;
+    return {
+      html,
+      imageUrls,
+      isPartial: PAYWALL_SELECTORS.some(selector => doc.querySelector(selector))
+    };
+  }
+
+  /**
+   * Extract metadata for the article on this page. Sources are tried in
+   * order of precision: JSON-LD, the page's post preload, OpenGraph tags
+   * and finally the DOM. Fields nothing could supply are left out.
+   */
+  function extractArticleMetadata(doc) {
+    const ld = readJsonLd(doc) || {};
+    const preload = readPreloadPost(doc) || {};
+
+    const authors = personNames(ld.author);
+    if (authors.length === 0 && Array.isArray(preload.publishedBylines)) {
+      authors.push(...personNames(preload.publishedBylines));
+    }
+    if (authors.length === 0) {
+      authors.push(...readMetaAll(doc, 'article:author').filter(author => !/^https?:/.test(author)));
+    }
+
+    // A paywalled page only contains the free preview, so the body count
+    // is a lower bound; prefer the full count when the page states it
+    const paywallShown = PAYWALL_SELECTORS.some(selector => doc.querySelector(selector));
+    const freeFlag = ld.isAccessibleForFree;
+    const isPaywalled = freeFlag === false || String(freeFlag).toLowerCase() === 'false' ||
+      (preload.audience ? preload.audience !== 'everyone' : paywallShown);
+    const statedWordCount = toCount(ld.wordCount) || toCount(preload.wordcount);
+    const wordCount = statedWordCount || countBodyWords(doc);
+
+    const tags = [
+      ...[].concat(preload.postTags || []).map(tag => tag?.name),
+      preload.section_name,
+      ...readMetaAll(doc, 'article:tag'),
+      ...[].concat(typeof ld.keywords === 'string' ? ld.keywords.split(',') : ld.keywords || [])
+    ]
+      .filter(tag => typeof tag === 'string' && tag.trim())
+      .map(tag => tag.trim());
+
+    const reactionTotal = preload.reactions && typeof preload.reactions === 'object'
+      ? Object.values(preload.reactions).reduce((sum, count) => sum + (Number(count) || 0), 0)
+      : null;
+
+    const metadata = {
+      title: ld.headline || preload.title || readMeta(doc, 'og:title'),
+      subtitle: ld.description || preload.subtitle || readMeta(doc, 'og:description'),
+      author: authors[0] || null,
+      authors: [...new Set(authors)],
+      coverImage: imageUrl(ld.image) || preload.cover_image || readMeta(doc, 'og:image'),
+      publishedAt: toIsoDate(ld.datePublished || preload.post_date || readMeta(doc, 'article:published_time')),
+      updatedAt: toIsoDate(ld.dateModified || readMeta(doc, 'article:modified_time')),
+      wordCount,
+      wordCountIsPartial: Boolean(isPaywalled && !statedWordCount),
+      readingTimeMinutes: wordCount ? Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE)) : null,
+      isPaywalled: Boolean(isPaywalled),
+      likeCount: toCount(preload.reaction_count) ?? reactionTotal,
+      commentCount: toCount(preload.comment_count),
+      tags: [...new Set(tags)]
+    };
+
+    Object.keys(metadata).forEach(key => {
+      const value = metadata[key];
+      if (value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) {
+        delete metadata[key];
+      }
+    });
+    return metadata;
+  }
+
+  root.SubstackFrontArticle = {
+    WORDS_PER_MINUTE,
+    findArticleBody: findBody,
+    extractArticleMetadata,
+    extractArticleContent
+  };
+
+})(globalThis);
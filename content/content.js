@@ -1,5 +1,6 @@
 // SubstackFront - Content Script
 // Extracts post data from Substack inbox and sends to background worker
+// (extraction strategies live in extractors.js)
 
 (function() {
   'use strict';
@@ -11,292 +12,270 @@
 
   console.log('[SubstackFront] Content script loaded on:', window.location.href);
 
+  // Settings (shared/settings.js is injected ahead of this script)
+  const Settings = globalThis.SubstackFrontSettings;
+  const Extractors = globalThis.SubstackFrontExtractors;
+  const Article = globalThis.SubstackFrontArticle;
+  const ReadingTracker = globalThis.SubstackFrontReadingTracker;
+  const DeepRefresh = globalThis.SubstackFrontDeepRefresh;
+  let settings = { ...Settings.DEFAULT_SETTINGS };
+  const settingsLoaded = Settings.load().then(loaded => { settings = loaded; });
+  Settings.onChanged(updated => { settings = updated; });
+
+  // What was last sent for each post URL, and the last report sent, so
+  // extractions triggered by scrolling only send what changed
+  const sentFingerprints = new Map();
+  let sentReport = null;
+
   /**
-   * Parse date string - handles relative times and absolute dates
+   * The parts of a post the inbox can change. Relative dates ("5m ago")
+   * come out slightly different every time, so only the hour counts.
    */
-  function parseRelativeDate(dateStr) {
-    if (!dateStr) return null;
-
-    const cleaned = dateStr.trim().toLowerCase();
-    const now = new Date();
-
-    // Handle relative times: "2h ago", "5m ago", "30s ago"
-    const relativeMatch = cleaned.match(/^(\d+)\s*(s|m|h|d)\s*ago$/i);
-    if (relativeMatch) {
-      const value = parseInt(relativeMatch[1], 10);
-      const unit = relativeMatch[2].toLowerCase();
-      const date = new Date(now);
-      if (unit === 's') date.setSeconds(date.getSeconds() - value);
-      else if (unit === 'm') date.setMinutes(date.getMinutes() - value);
-      else if (unit === 'h') date.setHours(date.getHours() - value);
-      else if (unit === 'd') date.setDate(date.getDate() - value);
-      return date.toISOString();
-    }
+  function fingerprintPost(post) {
+    return JSON.stringify([
+      post.title,
+      post.subtitle,
+      post.coverImage,
+      post.isRead,
+      (post.publishedAt || '').slice(0, 13)
+    ]);
+  }
 
-    // Handle "yesterday"
-    if (cleaned === 'yesterday') {
-      const date = new Date(now);
-      date.setDate(date.getDate() - 1);
-      return date.toISOString();
-    }
+  /**
+   * Check if a post is new or has changed since it was last sent
+   */
+  function hasPostChanged(post) {
+    return sentFingerprints.get(post.url) !== fingerprintPost(post);
+  }
 
-    // Handle "today"
-    if (cleaned === 'today') {
-      return now.toISOString();
+  /**
+   * Send extracted posts (and, on the inbox, the extraction report) to the background worker
+   */
+  function sendPostsToBackground(posts, report) {
+    if (posts.length === 0 && !report) {
+      console.log('[SubstackFront] No posts to send');
+      return;
     }
 
-    // Handle time-only format like "11:37 PM" or "3:45 AM" (means today)
-    const timeMatch = dateStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
-    if (timeMatch) {
-      let hours = parseInt(timeMatch[1], 10);
-      const minutes = parseInt(timeMatch[2], 10);
-      const period = timeMatch[3].toUpperCase();
+    console.log(`[SubstackFront] Sending ${posts.length} posts to background`);
+    posts.forEach(post => sentFingerprints.set(post.url, fingerprintPost(post)));
+    sentReport = JSON.stringify(report);
 
-      // Convert to 24-hour format
-      if (period === 'PM' && hours !== 12) hours += 12;
-      if (period === 'AM' && hours === 12) hours = 0;
+    chrome.runtime.sendMessage({
+      type: 'POSTS_EXTRACTED',
+      posts: posts,
+      report
+    }, response => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.error('[SubstackFront] Error sending message:', chrome.runtime.lastError || response?.error);
+        // Send these again next time
+        posts.forEach(post => sentFingerprints.delete(post.url));
+        sentReport = null;
+      } else {
+        console.log('[SubstackFront] Background response:', response);
+      }
+    });
+  }
 
-      const date = new Date(now);
-      date.setHours(hours, minutes, 0, 0);
-      return date.toISOString();
-    }
+  // How long the inbox gets to render posts before it is reported ready
+  // anyway (it may be empty, or its markup may have changed)
+  const INBOX_READY_TIMEOUT_MS = 10000;
+  let inboxReadyReported = false;
 
-    // Handle "X hours ago", "X minutes ago", "X days ago"
-    const longRelativeMatch = cleaned.match(/^(\d+)\s*(second|minute|hour|day)s?\s*ago$/i);
-    if (longRelativeMatch) {
-      const value = parseInt(longRelativeMatch[1], 10);
-      const unit = longRelativeMatch[2].toLowerCase();
-      const date = new Date(now);
-      if (unit === 'second') date.setSeconds(date.getSeconds() - value);
-      else if (unit === 'minute') date.setMinutes(date.getMinutes() - value);
-      else if (unit === 'hour') date.setHours(date.getHours() - value);
-      else if (unit === 'day') date.setDate(date.getDate() - value);
-      return date.toISOString();
-    }
+  /**
+   * Tell the background the inbox has rendered, once. A refresh tab waits
+   * for this before asking for the posts; other tabs are ignored.
+   */
+  function reportInboxReady(postCount) {
+    if (inboxReadyReported) return;
+    inboxReadyReported = true;
 
-    // Try parsing as "Mon DD" format (e.g., "Jan 10")
-    const currentYear = now.getFullYear();
-    const parsed = new Date(`${dateStr.trim()}, ${currentYear}`);
-    if (!isNaN(parsed.getTime())) {
-      // If the date is in the future, it's probably from last year
-      if (parsed > now) {
-        parsed.setFullYear(currentYear - 1);
+    chrome.runtime.sendMessage({ type: 'CONTENT_READY', postCount }, response => {
+      if (chrome.runtime.lastError) {
+        console.error('[SubstackFront] Error reporting inbox ready:', chrome.runtime.lastError);
+      } else if (response?.isRefreshTab) {
+        console.log('[SubstackFront] Inbox ready for refresh');
       }
-      return parsed.toISOString();
-    }
-
-    return null;
+    });
   }
 
   /**
-   * Check if a URL is a valid article URL (not a comment or other non-article)
+   * Main extraction function. Only new or changed posts are sent, and
+   * nothing at all if the report hasn't changed either, unless full is set.
    */
-  function isValidArticleUrl(url) {
-    if (!url) return false;
-    // Must contain /p/ for posts
-    if (!url.includes('/p/')) return false;
-    // Exclude comments - check various patterns
-    if (url.includes('/comments')) return false;
-    if (url.includes('/comment/')) return false;
-    if (url.includes('/comment?')) return false;
-    if (url.endsWith('/comment')) return false;
-    // Exclude other non-article patterns
-    if (url.includes('/subscribe') || url.includes('/about') || url.includes('/archive')) return false;
-    // Exclude URLs with query params that indicate non-article views
-    if (url.includes('?action=') || url.includes('&action=')) return false;
-    // Exclude discussion/thread URLs
-    if (url.includes('/discussion')) return false;
-    return true;
+  function runExtraction({ full = false } = {}) {
+    console.log('[SubstackFront] Running extraction...');
+    const { posts, report } = Extractors.extractPosts(document, window.location);
+    console.log(`[SubstackFront] Extracted ${posts.length} posts`, report?.strategies || '');
+
+    if (posts.length > 0) {
+      console.log('[SubstackFront] Sample post:', posts[0]);
+    }
+
+    const changedPosts = full ? posts : posts.filter(hasPostChanged);
+    if (changedPosts.length > 0 || (report && JSON.stringify(report) !== sentReport)) {
+      sendPostsToBackground(changedPosts, report);
+    } else {
+      console.log('[SubstackFront] Nothing changed since the last extraction');
+    }
+    if (report && posts.length > 0) {
+      reportInboxReady(posts.length);
+    }
+  }
+
+  // Debounce helper. A deep refresh sends its posts in one batch at the
+  // end, so the scrolling it does doesn't schedule extractions.
+  let extractionTimeout;
+  let deepRefreshRunning = false;
+  function scheduleExtraction(delay = 500) {
+    if (deepRefreshRunning) return;
+    clearTimeout(extractionTimeout);
+    extractionTimeout = setTimeout(() => runExtraction(), delay);
   }
 
   /**
-   * Extract post data from a reader2-inbox-post element
+   * Scroll back through the inbox for older posts, reporting progress to
+   * the background, then send everything found
+   * @param {{stopBefore: string|null, maxPages: number, maxAgeDays: number}} options
    */
-  function extractPostFromElement(postLink) {
-    try {
-      // The post link itself contains the URL
-      const url = postLink.href;
-      if (!isValidArticleUrl(url)) return null;
-
-      // Title: .reader2-post-title
-      const titleElement = postLink.querySelector('.reader2-post-title');
-      const title = titleElement?.textContent?.trim();
-      // Skip if no title or title is too short (likely not an article)
-      if (!title || title.length < 5) return null;
-      // Skip if title is a comment count (e.g., "4 Comments")
-      if (/^\d+\s+Comments?$/i.test(title)) return null;
-
-      // Subtitle/preview: .reader2-paragraph.reader2-secondary
-      const subtitleElement = postLink.querySelector('.reader2-paragraph.reader2-secondary, .reader2-clamp-lines:not(.reader2-post-title)');
-      let subtitle = subtitleElement?.textContent?.trim() || '';
-      // Clean up subtitle if it matches title
-      if (subtitle === title) subtitle = '';
-
-      // Publication name: .pub-name a
-      const pubNameElement = postLink.querySelector('.pub-name a, .pub-name');
-      const publication = pubNameElement?.textContent?.trim() || 'Unknown';
-      // Skip if publication is Unknown (likely not a proper article)
-      if (publication === 'Unknown') return null;
-
-      // Publication logo: img in the header area (small 20x20 image)
-      const logoElement = postLink.querySelector('.reader2-post-head img');
-      const publicationLogo = logoElement?.src || null;
-
-      // Cover image - try multiple selectors, support lazy-loaded images
-      let coverImage = null;
-      const coverSelectors = [
-        '.reader2-post-picture-container img',
-        '.reader2-post-picture img',
-        'img.reader2-post-picture',
-        '.reader2-post-body img'
-      ];
-      for (const selector of coverSelectors) {
-        const img = postLink.querySelector(selector);
-        if (img) {
-          // Check src, data-src, or srcset for lazy-loaded images
-          const imgSrc = img.src || img.dataset?.src || img.getAttribute('data-src');
-          if (imgSrc && imgSrc.startsWith('http')) {
-            coverImage = imgSrc;
-            break;
-          }
-        }
-      }
+  async function runDeepRefresh(options) {
+    console.log('[SubstackFront] Starting deep refresh:', options);
+    deepRefreshRunning = true;
+    clearTimeout(extractionTimeout);
 
-      // Date: .inbox-item-timestamp
-      const dateElement = postLink.querySelector('.inbox-item-timestamp');
-      const dateText = dateElement?.textContent?.trim();
-      const publishedAt = parseRelativeDate(dateText);
-
-      // Author from meta: .reader2-item-meta (contains "Author • X min read")
-      const metaElement = postLink.querySelector('.reader2-item-meta');
-      let author = '';
-      if (metaElement) {
-        const metaText = metaElement.textContent;
-        // Extract author name (before the bullet point)
-        const parts = metaText.split('∙');
-        if (parts.length > 0) {
-          author = parts[0].trim();
+    try {
+      const { posts, report, pages, reason } = await DeepRefresh.scrollInbox({
+        ...options,
+        extract: () => Extractors.extractPosts(document, window.location),
+        onProgress: progress => {
+          chrome.runtime.sendMessage({ type: 'REFRESH_TAB_PROGRESS', ...progress }, () => {
+            if (chrome.runtime.lastError) {
+              console.error('[SubstackFront] Error reporting deep refresh progress:', chrome.runtime.lastError);
+            }
+          });
         }
-      }
-
-      // Check if unread (has unread dot)
-      const unreadDot = postLink.querySelector('.reader2-unread-dot, .unreadDot-O7Wu_7');
-      const isRead = !unreadDot;
-
-      // Generate unique ID from URL
-      const id = url.replace(/[^a-zA-Z0-9]/g, '_');
-
-      return {
-        id,
-        title,
-        subtitle,
-        publication,
-        publicationLogo,
-        author,
-        coverImage,
-        url,
-        publishedAt,
-        isRead,
-        extractedAt: new Date().toISOString()
-      };
-    } catch (error) {
-      console.error('[SubstackFront] Error extracting post:', error);
-      return null;
+      });
+      console.log(`[SubstackFront] Deep refresh scrolled ${pages} pages (${reason}), found ${posts.length} posts`);
+      sendPostsToBackground(posts, report);
+    } finally {
+      deepRefreshRunning = false;
     }
   }
 
   /**
-   * Check if an element is a valid post container (not a thread notification)
+   * Check if the current page is a single article (/p/slug or /@author/p/slug)
    */
-  function isValidPostElement(link) {
-    // Skip elements inside tables (thread/comment notifications)
-    if (link.closest('table, td, tr')) return false;
-
-    // Skip thread-head-cta links (comment thread links)
-    if (link.classList.contains('thread-head-cta')) return false;
-
-    const linkText = link.textContent || '';
-    const trimmedText = linkText.trim();
-
-    // Skip navigation links
-    if (trimmedText === 'Read →' || trimmedText === 'Read') return false;
-
-    // Skip comment/thread notifications (combined pattern)
-    if (/(\d+\s+comments?|new\s+comments?|replied\s+to)/i.test(linkText)) return false;
-
-    return true;
+  function isArticlePage() {
+    return /^(\/@[^/]+)?\/p\/[^/]+\/?$/.test(window.location.pathname) &&
+      Extractors.isValidArticleUrl(window.location.href);
   }
 
   /**
-   * Find and extract all posts from the current page
+   * Tell the background an article was opened so it is marked read
    */
-  function extractAllPosts() {
-    const posts = [];
-    const seenUrls = new Set();
-
-    // Primary selector: a.reader2-inbox-post (the main post links in inbox)
-    // Be specific to avoid picking up non-article links
-    const postLinks = document.querySelectorAll('a.reader2-inbox-post, a[class*="reader2-inbox-post"]');
+  function reportArticleVisit() {
+    const canonicalUrl = document.querySelector('link[rel="canonical"]')?.href || null;
 
-    console.log(`[SubstackFront] Found ${postLinks.length} post links with reader2-inbox-post selector`);
+    chrome.runtime.sendMessage({
+      type: 'ARTICLE_VISITED',
+      url: window.location.href,
+      canonicalUrl
+    }, response => {
+      if (chrome.runtime.lastError) {
+        console.error('[SubstackFront] Error reporting article visit:', chrome.runtime.lastError);
+      } else if (response?.matched) {
+        console.log('[SubstackFront] Article marked as read');
+      }
+    });
+  }
 
-    postLinks.forEach(link => {
-      // Skip non-post elements (thread notifications, etc.)
-      if (!isValidPostElement(link)) return;
+  /**
+   * Send the article's metadata to the background to enrich the stored post
+   */
+  function reportArticleMetadata() {
+    const metadata = Article.extractArticleMetadata(document);
+    if (Object.keys(metadata).length === 0) return;
 
-      const post = extractPostFromElement(link);
-      if (post && !seenUrls.has(post.url)) {
-        seenUrls.add(post.url);
-        posts.push(post);
+    chrome.runtime.sendMessage({
+      type: 'ENRICH_POST',
+      url: window.location.href,
+      canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null,
+      metadata
+    }, response => {
+      if (chrome.runtime.lastError) {
+        console.error('[SubstackFront] Error sending article metadata:', chrome.runtime.lastError);
+      } else if (response?.matched) {
+        console.log('[SubstackFront] Stored post enriched from article page');
       }
     });
-
-    return posts;
   }
 
   /**
-   * Send extracted posts to background worker
+   * Send the article body to the background to be kept for offline reading
    */
-  function sendPostsToBackground(posts) {
-    if (posts.length === 0) {
-      console.log('[SubstackFront] No posts to send');
-      return;
-    }
+  async function cacheArticleForOffline() {
+    await settingsLoaded;
+    if (!settings.offlineReaderEnabled) return;
 
-    console.log(`[SubstackFront] Sending ${posts.length} posts to background`);
+    const content = Article.extractArticleContent(document, window.location.href);
+    if (!content) return;
 
     chrome.runtime.sendMessage({
-      type: 'POSTS_EXTRACTED',
-      posts: posts
+      type: 'CACHE_ARTICLE',
+      url: window.location.href,
+      canonicalUrl: document.querySelector('link[rel="canonical"]')?.href || null,
+      content
     }, response => {
       if (chrome.runtime.lastError) {
-        console.error('[SubstackFront] Error sending message:', chrome.runtime.lastError);
-      } else {
-        console.log('[SubstackFront] Background response:', response);
+        console.error('[SubstackFront] Error caching article:', chrome.runtime.lastError);
+      } else if (response?.cached) {
+        console.log('[SubstackFront] Article saved for offline reading');
       }
     });
   }
 
   /**
-   * Main extraction function
+   * How far through the article body the bottom of the window is, 0 to 1
    */
-  function runExtraction() {
-    console.log('[SubstackFront] Running extraction...');
-    const posts = extractAllPosts();
-    console.log(`[SubstackFront] Extracted ${posts.length} posts`);
-
-    if (posts.length > 0) {
-      console.log('[SubstackFront] Sample post:', posts[0]);
-    }
+  function getArticleProgress() {
+    const body = Article.findArticleBody(document);
+    if (!body) return 0;
+    const rect = body.getBoundingClientRect();
+    if (rect.height <= 0) return 0;
+    return Math.min(1, Math.max(0, (window.innerHeight - rect.top) / rect.height));
+  }
 
-    sendPostsToBackground(posts);
+  /**
+   * Report scroll depth and active reading time to the background
+   */
+  function trackReadingProgress() {
+    const canonicalUrl = document.querySelector('link[rel="canonical"]')?.href || null;
+
+    ReadingTracker.createReadingTracker({
+      getProgress: getArticleProgress,
+      onReport: ({ progress, activeSeconds }) => {
+        chrome.runtime.sendMessage({
+          type: 'READING_PROGRESS',
+          url: window.location.href,
+          canonicalUrl,
+          progress,
+          activeSeconds
+        }, () => {
+          if (chrome.runtime.lastError) {
+            console.error('[SubstackFront] Error reporting reading progress:', chrome.runtime.lastError);
+          }
+        });
+      }
+    });
   }
 
-  // Debounce helper
-  let extractionTimeout;
-  function scheduleExtraction(delay = 500) {
-    clearTimeout(extractionTimeout);
-    extractionTimeout = setTimeout(runExtraction, delay);
+  /**
+   * Work that needs the article body to have rendered
+   */
+  function handleArticleLoaded() {
+    reportArticleMetadata();
+    cacheArticleForOffline();
+    trackReadingProgress();
   }
 
   // Run extraction after page loads
@@ -306,23 +285,40 @@
     window.addEventListener('load', () => scheduleExtraction(500));
   }
 
+  if (Extractors.isInboxPage(window.location)) {
+    setTimeout(() => reportInboxReady(0), INBOX_READY_TIMEOUT_MS);
+  }
+
+  if (isArticlePage()) {
+    reportArticleVisit();
+    if (document.readyState === 'complete') {
+      handleArticleLoaded();
+    } else {
+      window.addEventListener('load', handleArticleLoaded);
+    }
+  }
+
   // Re-run when user scrolls (for infinite scroll)
-  window.addEventListener('scroll', () => scheduleExtraction(1000), { passive: true });
+  window.addEventListener('scroll', () => scheduleExtraction(settings.extractionDebounceMs), { passive: true });
 
-  // Observe DOM changes for dynamically loaded content
+  // Observe DOM changes for dynamically loaded content. On the inbox any
+  // new article link counts, in case the post class names have changed.
+  const newPostSelector = Extractors.isInboxPage(window.location)
+    ? `${Extractors.INBOX_POST_SELECTOR}, a[href*="/p/"]`
+    : Extractors.INBOX_POST_SELECTOR;
   const observer = new MutationObserver((mutations) => {
     const hasNewPosts = mutations.some(m =>
       Array.from(m.addedNodes).some(node =>
         node.nodeType === 1 && (
-          node.matches?.('a.reader2-inbox-post, a[class*="reader2-inbox-post"]') ||
-          node.querySelector?.('a.reader2-inbox-post, a[class*="reader2-inbox-post"]')
+          node.matches?.(newPostSelector) ||
+          node.querySelector?.(newPostSelector)
         )
       )
     );
 
     if (hasNewPosts) {
       console.log('[SubstackFront] New posts detected in DOM');
-      scheduleExtraction(1000);
+      scheduleExtraction(settings.extractionDebounceMs);
     }
   });
 
@@ -335,7 +331,14 @@
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     if (message.type === 'TRIGGER_EXTRACTION') {
       console.log('[SubstackFront] Received extraction trigger from background');
-      runExtraction();
+      if (message.deep) {
+        runDeepRefresh(message.deep).catch(error => {
+          console.error('[SubstackFront] Deep refresh failed:', error);
+        });
+      } else {
+        // The refresh counts what it found, so it gets every post
+        runExtraction({ full: true });
+      }
       sendResponse({ success: true });
     }
     return true;
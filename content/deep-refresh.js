@@ -0,0 +1,118 @@
+// SubstackFront - Deep Refresh
+// Scrolls the inbox to load older posts, so a refresh can backfill what
+// the first screenful doesn't show
+
+(function(root) {
+  'use strict';
+
+  const DAY_MS = 86400000;
+
+  // After scrolling, the DOM must be quiet this long before extracting,
+  // and a scroll that changes nothing is given up on after SCROLL_WAIT_MS
+  const SETTLE_MS = 600;
+  const SCROLL_WAIT_MS = 4000;
+
+  // Scrolls in a row that turn up no new posts before we decide the
+  // inbox has run out
+  const MAX_EMPTY_SCROLLS = 2;
+
+  /**
+   * The publish date of the oldest dated post, or null
+   */
+  function getOldestDate(posts) {
+    let oldest = null;
+    for (const post of posts) {
+      if (post.publishedAt && (!oldest || post.publishedAt < oldest)) oldest = post.publishedAt;
+    }
+    return oldest;
+  }
+
+  /**
+   * Scroll to the bottom of the page and wait for whatever it loads to
+   * finish rendering
+   */
+  function scrollForMore() {
+    return new Promise(resolve => {
+      let settleTimer = null;
+      const observer = new MutationObserver(() => {
+        clearTimeout(settleTimer);
+        settleTimer = setTimeout(finish, SETTLE_MS);
+      });
+      const giveUpTimer = setTimeout(finish, SCROLL_WAIT_MS);
+
+      function finish() {
+        observer.disconnect();
+        clearTimeout(settleTimer);
+        clearTimeout(giveUpTimer);
+        resolve();
+      }
+
+      observer.observe(document.body, { childList: true, subtree: true });
+      window.scrollTo(0, document.documentElement.scrollHeight);
+    });
+  }
+
+  /**
+   * Scroll down the inbox, extracting as it goes, until the posts reach
+   * back past stopBefore or maxAgeDays, maxPages scrolls have been made,
+   * or the inbox stops loading more. Posts are collected across scrolls,
+   * since Substack may drop ones scrolled far out of view.
+   * @param {Object} options
+   * @param {function(): {posts: Object[], report: Object|null}} options.extract
+   * @param {string|null} [options.stopBefore] - ISO date; usually the newest stored post
+   * @param {number} options.maxPages
+   * @param {number} options.maxAgeDays
+   * @param {function({pages: number, posts: number})} [options.onProgress]
+   * @returns {Promise<{posts: Object[], report: Object|null, pages: number, reason: string}>}
+   *   reason is 'caught-up', 'age-limit', 'page-limit' or 'end-of-inbox'
+   */
+  async function scrollInbox(options) {
+    const { extract, stopBefore = null, maxPages, maxAgeDays, onProgress = () => {} } = options;
+    const ageCutoff = new Date(Date.now() - maxAgeDays * DAY_MS).toISOString();
+
+    const postsByUrl = new Map();
+    let report = null;
+
+    // Returns how many posts were new
+    const collect = () => {
+      const extracted = extract();
+      report = extracted.report || report;
+      const before = postsByUrl.size;
+      extracted.posts.forEach(post => {
+        if (!postsByUrl.has(post.url)) postsByUrl.set(post.url, post);
+      });
+      return postsByUrl.size - before;
+    };
+
+    collect();
+    let pages = 0;
+    let emptyScrolls = 0;
+    let reason = null;
+
+    while (!reason) {
+      onProgress({ pages, posts: postsByUrl.size });
+
+      const oldest = getOldestDate(postsByUrl.values());
+      if (stopBefore && oldest && oldest < stopBefore) {
+        reason = 'caught-up';
+      } else if (oldest && oldest < ageCutoff) {
+        reason = 'age-limit';
+      } else if (pages >= maxPages) {
+        reason = 'page-limit';
+      } else if (emptyScrolls >= MAX_EMPTY_SCROLLS) {
+        reason = 'end-of-inbox';
+      } else {
+        await scrollForMore();
+        pages++;
+        emptyScrolls = collect() > 0 ? 0 : emptyScrolls + 1;
+      }
+    }
+
+    return { posts: Array.from(postsByUrl.values()), report, pages, reason };
+  }
+
+  root.SubstackFrontDeepRefresh = {
+    scrollInbox
+  };
+
+})(globalThis);
@@ -0,0 +1,490 @@
+// SubstackFront - Post Extractors
+// Ordered chain of strategies for reading posts from Substack pages
+
+(function(root) {
+  'use strict';
+
+  const PostUrl = root.SubstackFrontPostUrl;
+
+  // Selector for the inbox's post links (current Substack reader layout)
+  const INBOX_POST_SELECTOR = 'a.reader2-inbox-post, a[class*="reader2-inbox-post"]';
+
+  // Stop falling back once a strategy has covered this share of the post links
+  const MIN_COVERAGE = 0.6;
+
+  // Fields checked for the extraction health report
+  const REPORTED_FIELDS = ['title', 'publication', 'author', 'publishedAt', 'coverImage'];
+
+  /**
+   * Parse date string - handles relative times and absolute dates
+   */
+  function parseRelativeDate(dateStr) {
+    if (!dateStr) return null;
+
+    const cleaned = dateStr.trim().toLowerCase();
+    const now = new Date();
+
+    // Handle relative times: "2h ago", "5m ago", "30s ago"
+    const relativeMatch = cleaned.match(/^(\d+)\s*(s|m|h|d)\s*ago$/i);
+    if (relativeMatch) {
+      const value = parseInt(relativeMatch[1], 10);
+      const unit = relativeMatch[2].toLowerCase();
+      const date = new Date(now);
+      if (unit === 's') date.setSeconds(date.getSeconds() - value);
+      else if (unit === 'm') date.setMinutes(date.getMinutes() - value);
+      else if (unit === 'h') date.setHours(date.getHours() - value);
+      else if (unit === 'd') date.setDate(date.getDate() - value);
+      return date.toISOString();
+    }
+
+    // Handle "yesterday"
+    if (cleaned === 'yesterday') {
+      const date = new Date(now);
+      date.setDate(date.getDate() - 1);
+      return date.toISOString();
+    }
+
+    // Handle "today"
+    if (cleaned === 'today') {
+      return now.toISOString();
+    }
+
+    // Handle time-only format like "11:37 PM" or "3:45 AM" (means today)
+    const timeMatch = dateStr.trim().match(/^(\d{1,2}):(\d{2})\s*(AM|PM)$/i);
+    if (timeMatch) {
+      let hours = parseInt(timeMatch[1], 10);
+      const minutes = parseInt(timeMatch[2], 10);
+      const period = timeMatch[3].toUpperCase();
+
+      // Convert to 24-hour format
+      if (period === 'PM' && hours !== 12) hours += 12;
+      if (period === 'AM' && hours === 12) hours = 0;
+
+      const date = new Date(now);
+      date.setHours(hours, minutes, 0, 0);
+      return date.toISOString();
+    }
+
+    // Handle "X hours ago", "X minutes ago", "X days ago"
+    const longRelativeMatch = cleaned.match(/^(\d+)\s*(second|minute|hour|day)s?\s*ago$/i);
+    if (longRelativeMatch) {
+      const value = parseInt(longRelativeMatch[1], 10);
+      const unit = longRelativeMatch[2].toLowerCase();
+      const date = new Date(now);
+      if (unit === 'second') date.setSeconds(date.getSeconds() - value);
+      else if (unit === 'minute') date.setMinutes(date.getMinutes() - value);
+      else if (unit === 'hour') date.setHours(date.getHours() - value);
+      else if (unit === 'day') date.setDate(date.getDate() - value);
+      return date.toISOString();
+    }
+
+    // Try parsing as "Mon DD" format (e.g., "Jan 10")
+    const currentYear = now.getFullYear();
+    const parsed = new Date(`${dateStr.trim()}, ${currentYear}`);
+    if (!isNaN(parsed.getTime())) {
+      // If the date is in the future, it's probably from last year
+      if (parsed > now) {
+        parsed.setFullYear(currentYear - 1);
+      }
+      return parsed.toISOString();
+    }
+
+    return null;
+  }
+
+  /**
+   * Check if a URL is a valid article URL (not a comment or other non-article)
+   */
+  function isValidArticleUrl(url) {
+    if (!url) return false;
+    // Must contain /p/ for posts
+    if (!url.includes('/p/')) return false;
+    // Exclude comments - check various patterns
+    if (url.includes('/comments')) return false;
+    if (url.includes('/comment/')) return false;
+    if (url.includes('/comment?')) return false;
+    if (url.endsWith('/comment')) return false;
+    // Exclude other non-article patterns
+    if (url.includes('/subscribe') || url.includes('/about') || url.includes('/archive')) return false;
+    // Exclude URLs with query params that indicate non-article views
+    if (url.includes('?action=') || url.includes('&action=')) return false;
+    // Exclude discussion/thread URLs
+    if (url.includes('/discussion')) return false;
+    return true;
+  }
+
+  /**
+   * Extract post data from a reader2-inbox-post element
+   */
+  function extractPostFromElement(postLink) {
+    try {
+      // The post link itself contains the URL
+      const url = postLink.href;
+      if (!isValidArticleUrl(url)) return null;
+
+      // Title: .reader2-post-title
+      const titleElement = postLink.querySelector('.reader2-post-title');
+      const title = titleElement?.textContent?.trim();
+      // Skip if no title or title is too short (likely not an article)
+      if (!title || title.length < 5) return null;
+      // Skip if title is a comment count (e.g., "4 Comments")
+      if (/^\d+\s+Comments?$/i.test(title)) return null;
+
+      // Subtitle/preview: .reader2-paragraph.reader2-secondary
+      const subtitleElement = postLink.querySelector('.reader2-paragraph.reader2-secondary, .reader2-clamp-lines:not(.reader2-post-title)');
+      let subtitle = subtitleElement?.textContent?.trim() || '';
+      // Clean up subtitle if it matches title
+      if (subtitle === title) subtitle = '';
+
+      // Publication name: .pub-name a
+      const pubNameElement = postLink.querySelector('.pub-name a, .pub-name');
+      const publication = pubNameElement?.textContent?.trim() || 'Unknown';
+      // Skip if publication is Unknown (likely not a proper article)
+      if (publication === 'Unknown') return null;
+
+      // Publication logo: img in the header area (small 20x20 image)
+      const logoElement = postLink.querySelector('.reader2-post-head img');
+      const publicationLogo = logoElement?.src || null;
+
+      // Cover image - try multiple selectors, support lazy-loaded images
+      let coverImage = null;
+      const coverSelectors = [
+        '.reader2-post-picture-container img',
+        '.reader2-post-picture img',
+        'img.reader2-post-picture',
+        '.reader2-post-body img'
+      ];
+      for (const selector of coverSelectors) {
+        const img = postLink.querySelector(selector);
+        if (img) {
+          // Check src, data-src, or srcset for lazy-loaded images
+          const imgSrc = img.src || img.dataset?.src || img.getAttribute('data-src');
+          if (imgSrc && imgSrc.startsWith('http')) {
+            coverImage = imgSrc;
+            break;
+          }
+        }
+      }
+
+      // Date: .inbox-item-timestamp
+      const dateElement = postLink.querySelector('.inbox-item-timestamp');
+      const dateText = dateElement?.textContent?.trim();
+      const publishedAt = parseRelativeDate(dateText);
+
+      // Author from meta: .reader2-item-meta (contains "Author • X min read")
+      const metaElement = postLink.querySelector('.reader2-item-meta');
+      let author = '';
+      if (metaElement) {
+        const metaText = metaElement.textContent;
+        // Extract author name (before the bullet point)
+        const parts = metaText.split('∙');
+        if (parts.length > 0) {
+          author = parts[0].trim();
+        }
+      }
+
+      // Check if unread (has unread dot)
+      const unreadDot = postLink.querySelector('.reader2-unread-dot, [class*="unreadDot"]');
+      const isRead = !unreadDot;
+
+      return {
+        title,
+        subtitle,
+        publication,
+        publicationLogo,
+        author,
+        coverImage,
+        url,
+        publishedAt,
+        isRead,
+        extractedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      console.error('[SubstackFront] Error extracting post:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check if an element is a valid post container (not a thread notification)
+   */
+  function isValidPostElement(link) {
+    // Skip elements inside tables (thread/comment notifications)
+    if (link.closest('table, td, tr')) return false;
+
+    // Skip thread-head-cta links (comment thread links)
+    if (link.classList.contains('thread-head-cta')) return false;
+
+    const linkText = link.textContent || '';
+    const trimmedText = linkText.trim();
+
+    // Skip navigation links
+    if (trimmedText === 'Read →' || trimmedText === 'Read') return false;
+
+    // Skip comment/thread notifications (combined pattern)
+    if (/(\d+\s+comments?|new\s+comments?|replied\s+to)/i.test(linkText)) return false;
+
+    return true;
+  }
+
+  /**
+   * Get the distinct article links on the page that look like inbox posts.
+   * Used to judge how much of the page each strategy understood.
+   */
+  function findCandidateLinks(doc) {
+    const links = new Map();
+    doc.querySelectorAll('a[href*="/p/"]').forEach(link => {
+      if (!isValidArticleUrl(link.href) || !isValidPostElement(link)) return;
+      // Header, footer and nav links aren't posts
+      if (link.closest('header, footer, nav')) return;
+      if (!links.has(link.href)) links.set(link.href, link);
+    });
+    return links;
+  }
+
+  /**
+   * Strategy 1: the inbox's own class names
+   */
+  function extractWithSelectors(doc) {
+    const posts = [];
+    doc.querySelectorAll(INBOX_POST_SELECTOR).forEach(link => {
+      // Skip non-post elements (thread notifications, etc.)
+      if (!isValidPostElement(link)) return;
+      const post = extractPostFromElement(link);
+      if (post) posts.push(post);
+    });
+    return posts;
+  }
+
+  /**
+   * Read the JSON preloads Substack embeds in the page: window._preloads
+   * (as a JSON.parse("...") string literal) and __NEXT_DATA__-style
+   * application/json script tags
+   */
+  function readPreloads(doc) {
+    const preloads = [];
+    doc.querySelectorAll('script').forEach(script => {
+      const text = script.textContent || '';
+      try {
+        if (script.type === 'application/json' && (script.id === '__NEXT_DATA__' || text.includes('"canonical_url"'))) {
+          preloads.push(JSON.parse(text));
+          return;
+        }
+        const match = text.match(/window\._preloads\s*=\s*JSON\.parse\(("(?:[^"\\]|\\.)*")\)/);
+        if (match) {
+          preloads.push(JSON.parse(JSON.parse(match[1])));
+        }
+      } catch (error) {
+        console.warn('[SubstackFront] Could not parse page preload:', error.message);
+      }
+    });
+    return preloads;
+  }
+
+  /**
+   * Walk a preload tree and collect objects that look like posts
+   */
+  function collectPreloadPosts(value, found, context = {}, depth = 0) {
+    if (!value || typeof value !== 'object' || depth > 12) return;
+
+    if (Array.isArray(value)) {
+      value.forEach(item => collectPreloadPosts(item, found, context, depth + 1));
+      return;
+    }
+
+    // Inbox items pair a post with its publication and read state
+    const itemContext = {
+      publication: value.publication && typeof value.publication === 'object' ? value.publication : context.publication,
+      isRead: typeof value.is_read === 'boolean' ? value.is_read
+        : typeof value.isRead === 'boolean' ? value.isRead
+          : context.isRead
+    };
+
+    if (typeof value.title === 'string' && typeof value.canonical_url === 'string') {
+      found.push({ post: value, context: itemContext });
+    }
+
+    Object.keys(value).forEach(key => {
+      collectPreloadPosts(value[key], found, itemContext, depth + 1);
+    });
+  }
+
+  /**
+   * Strategy 2: embedded JSON preloads
+   */
+  function extractFromPreloads(doc) {
+    const found = [];
+    readPreloads(doc).forEach(preload => collectPreloadPosts(preload, found));
+
+    const extractedAt = new Date().toISOString();
+    return found
+      .filter(({ post }) => isValidArticleUrl(post.canonical_url) && post.title.trim().length >= 5)
+      .map(({ post, context }) => {
+        const publishedAt = new Date(post.post_date || post.published_at || '');
+        const byline = Array.isArray(post.publishedBylines) ? post.publishedBylines[0] : null;
+        const publication = context.publication || {};
+        return {
+          title: post.title.trim(),
+          subtitle: (post.subtitle || post.description || '').trim(),
+          publication: publication.name || getPublicationFromUrl(post.canonical_url),
+          publicationLogo: publication.logo_url || null,
+          author: byline?.name || post.author_name || '',
+          coverImage: post.cover_image || null,
+          url: post.canonical_url,
+          // Lets custom domain and substack.com/@handle URLs be mapped to
+          // the publication's subdomain
+          substackDomain: publication.subdomain ? `${publication.subdomain.toLowerCase()}.substack.com` : null,
+          authorHandle: byline?.handle ? byline.handle.toLowerCase() : null,
+          publishedAt: isNaN(publishedAt.getTime()) ? null : publishedAt.toISOString(),
+          // Omitted when the preload doesn't say, so stored read state is kept
+          ...(typeof context.isRead === 'boolean' ? { isRead: context.isRead } : {}),
+          extractedAt
+        };
+      });
+  }
+
+  /**
+   * Guess a publication name from a post URL
+   */
+  function getPublicationFromUrl(url) {
+    try {
+      const parsed = new URL(url);
+      const pubMatch = parsed.pathname.match(/^\/pub\/([^/]+)\//);
+      if (pubMatch) return pubMatch[1];
+      return parsed.hostname.replace(/^www\./, '').replace(/\.substack\.com$/, '');
+    } catch (error) {
+      return '';
+    }
+  }
+
+  /**
+   * Strategy 3: structural heuristic over any article link, for when
+   * class names and preloads both change
+   */
+  function extractWithHeuristic(doc, candidateLinks) {
+    const posts = [];
+    const extractedAt = new Date().toISOString();
+
+    candidateLinks.forEach((link, url) => {
+      // Prefer headings or title-ish elements, else the longest line of text
+      const titleElement = link.querySelector('h1, h2, h3, h4, [class*="title" i]');
+      const lines = (link.innerText || link.textContent || '')
+        .split('\n')
+        .map(line => line.trim())
+        .filter(Boolean);
+      const title = titleElement?.textContent?.trim() ||
+        [...lines].sort((a, b) => b.length - a.length)[0];
+      if (!title || title.length < 5 || /^\d+\s+Comments?$/i.test(title)) return;
+
+      const titleIndex = lines.indexOf(title);
+      const subtitle = titleIndex >= 0 && lines[titleIndex + 1] && lines[titleIndex + 1].length > 20
+        ? lines[titleIndex + 1]
+        : '';
+
+      const time = link.querySelector('time');
+      const dateLine = lines.find(line => parseRelativeDate(line) && line.length < 20);
+      // A malformed datetime falls back to the time's text like a missing one
+      const datetime = new Date(time?.getAttribute('datetime') || '');
+      const publishedAt = isNaN(datetime.getTime())
+        ? parseRelativeDate(time?.textContent || dateLine)
+        : datetime.toISOString();
+
+      const image = Array.from(link.querySelectorAll('img'))
+        .find(img => (img.naturalWidth || img.width || 0) > 40 && /^https?:/.test(img.currentSrc || img.src));
+
+      posts.push({
+        title,
+        subtitle: subtitle === title ? '' : subtitle,
+        publication: getPublicationFromUrl(url),
+        publicationLogo: null,
+        author: '',
+        coverImage: image ? (image.currentSrc || image.src) : null,
+        url,
+        publishedAt,
+        extractedAt
+      });
+    });
+
+    return posts;
+  }
+
+  // Strategies in the order they are tried. Only the first runs outside the
+  // inbox, where the other two would pick up unrelated article links.
+  const STRATEGIES = [
+    { name: 'selectors', inboxOnly: false, extract: extractWithSelectors },
+    { name: 'preload', inboxOnly: true, extract: extractFromPreloads },
+    { name: 'heuristic', inboxOnly: true, extract: extractWithHeuristic }
+  ];
+
+  /**
+   * Check if a location is the Substack inbox
+   */
+  function isInboxPage(location) {
+    return (location.hostname === 'substack.com' || location.hostname === 'www.substack.com') &&
+      /^\/inbox(\/|$)/.test(location.pathname);
+  }
+
+  /**
+   * Run the strategy chain over a document. Each strategy adds posts the
+   * earlier ones missed, and the chain stops once enough of the page's
+   * post links are covered. Every post records the strategy that found it.
+   * @returns {{posts: Object[], report: Object|null}} report is null outside the inbox
+   */
+  function extractPosts(doc, location) {
+    const inbox = isInboxPage(location);
+    const candidateLinks = inbox ? findCandidateLinks(doc) : new Map();
+    const postsByUrl = new Map();
+    const strategyCounts = {};
+
+    for (const strategy of STRATEGIES) {
+      if (strategy.inboxOnly && !inbox) continue;
+
+      let found = [];
+      try {
+        found = strategy.extract(doc, candidateLinks);
+      } catch (error) {
+        console.error(`[SubstackFront] Extraction strategy "${strategy.name}" failed:`, error);
+      }
+
+      // Strategies can find the same post under different links
+      strategyCounts[strategy.name] = 0;
+      found.forEach(extracted => {
+        const post = PostUrl.canonicalizePost(extracted);
+        if (!post || postsByUrl.has(post.url)) return;
+        postsByUrl.set(post.url, { ...post, extractionStrategy: strategy.name });
+        strategyCounts[strategy.name]++;
+      });
+
+      if (!inbox || postsByUrl.size >= candidateLinks.size * MIN_COVERAGE) break;
+    }
+
+    const posts = Array.from(postsByUrl.values());
+    if (!inbox) return { posts, report: null };
+
+    const missingFields = {};
+    REPORTED_FIELDS.forEach(field => {
+      missingFields[field] = posts.filter(post => !post[field]).length;
+    });
+
+    return {
+      posts,
+      report: {
+        url: location.href,
+        linksSeen: candidateLinks.size,
+        postsFound: posts.length,
+        strategies: strategyCounts,
+        missingFields
+      }
+    };
+  }
+
+  root.SubstackFrontExtractors = {
+    INBOX_POST_SELECTOR,
+    STRATEGIES,
+    extractPosts,
+    isInboxPage,
+    isValidArticleUrl,
+    readPreloads
+  };
+
+})(globalThis);
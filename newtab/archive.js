@@ -0,0 +1,291 @@
+// SubstackFront - Post Archive
+// Export posts to JSON, CSV and OPML, and validate JSON archives for import
+
+(function(root) {
+  'use strict';
+
+  const PostUrl = root.SubstackFrontPostUrl;
+
+  const ARCHIVE_FORMAT = 'substackfront-archive';
+  const ARCHIVE_VERSION = 1;
+
+  // Post fields carried in a JSON archive, with their expected types.
+  // Anything else found on an imported post is dropped. URLs end up in
+  // links and image markup, so only http(s) ones are accepted.
+  const POST_FIELDS = {
+    id: 'string',
+    url: 'url',
+    title: 'string',
+    subtitle: 'string',
+    author: 'string',
+    publication: 'string',
+    publicationLogo: 'url',
+    coverImage: 'url',
+    customDomain: 'string',
+    authorHandle: 'string',
+    publishedAt: 'date',
+    extractedAt: 'date',
+    extractionStrategy: 'string',
+    updatedAt: 'date',
+    authors: 'strings',
+    wordCount: 'number',
+    wordCountIsPartial: 'boolean',
+    readingTimeMinutes: 'number',
+    isPaywalled: 'boolean',
+    likeCount: 'number',
+    commentCount: 'number',
+    tags: 'strings',
+    enrichedAt: 'date',
+    progress: 'number',
+    timeSpent: 'number',
+    finishedAt: 'date',
+    progressUpdatedAt: 'date',
+    isRead: 'boolean',
+    readStateChangedAt: 'date',
+    readStateSource: 'string',
+    substackIsRead: 'boolean',
+    substackObservedAt: 'date',
+    isSaved: 'boolean',
+    savedAt: 'date',
+    revisions: 'revisions'
+  };
+
+  // Fields a revision may record a change to
+  const REVISION_FIELDS = ['title', 'subtitle', 'coverImage'];
+
+  const CSV_COLUMNS = ['title', 'subtitle', 'author', 'publication', 'url', 'publishedAt', 'isRead', 'isSaved', 'savedAt'];
+
+  /**
+   * Build a versioned JSON archive of posts and settings
+   * @returns {string} JSON text
+   */
+  function toJson(posts, settings) {
+    const archive = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      posts: posts.map(post => {
+        const copy = {};
+        Object.keys(POST_FIELDS).forEach(field => {
+          if (post[field] !== undefined) copy[field] = post[field];
+        });
+        return copy;
+      })
+    };
+    return JSON.stringify(archive, null, 2);
+  }
+
+  /**
+   * Quote a CSV cell. Cells that a spreadsheet would run as a formula
+   * are prefixed with an apostrophe.
+   */
+  function csvCell(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Build a CSV table of posts
+   * @returns {string} CSV text
+   */
+  function toCsv(posts) {
+    const rows = posts.map(post => CSV_COLUMNS.map(column => {
+      if (column === 'isRead' || column === 'isSaved') return csvCell(Boolean(post[column]));
+      return csvCell(post[column]);
+    }).join(','));
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Escape text for an XML attribute
+   */
+  function escapeXml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  /**
+   * Infer a publication's home page from a post URL.
+   * Handles custom domains, name.substack.com and open.substack.com/pub/name.
+   */
+  function getPublicationSite(url) {
+    try {
+      const parsed = new URL(url);
+      const pubMatch = parsed.pathname.match(/^\/pub\/([^/]+)\//);
+      if (parsed.hostname.endsWith('substack.com') && pubMatch) {
+        return `https://${pubMatch[1].toLowerCase()}.substack.com`;
+      }
+      // Posts on substack.com itself (e.g. /@author/p/slug) don't identify a publication
+      if (parsed.hostname === 'substack.com' || parsed.hostname === 'www.substack.com') {
+        return null;
+      }
+      return parsed.origin;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Build an OPML subscription list of the publications found in posts
+   * @returns {string} OPML text
+   */
+  function toOpml(posts) {
+    // site -> publication name (first seen, i.e. from the newest post)
+    const sites = new Map();
+    posts.forEach(post => {
+      const site = getPublicationSite(post.url);
+      if (site && !sites.has(site)) {
+        sites.set(site, post.publication || new URL(site).hostname);
+      }
+    });
+
+    const outlines = Array.from(sites.entries())
+      .sort((a, b) => a[1].localeCompare(b[1]))
+      .map(([site, name]) =>
+        `    <outline type="rss" text="${escapeXml(name)}" title="${escapeXml(name)}" ` +
+        `xmlUrl="${escapeXml(`${site}/feed`)}" htmlUrl="${escapeXml(site)}"/>`
+      );
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<opml version="2.0">',
+      '  <head>',
+      '    <title>SubstackFront publications</title>',
+      `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+      '  </head>',
+      '  <body>',
+      ...outlines,
+      '  </body>',
+      '</opml>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Check one entry of a post's revision history:
+   * { changedAt, changes: { <field>: { from, to } } }
+   */
+  function isValidRevision(revision) {
+    if (!revision || typeof revision !== 'object') return false;
+    if (!isValidFieldValue('date', revision.changedAt) || revision.changedAt === null) return false;
+    const { changes } = revision;
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) return false;
+    const fields = Object.keys(changes);
+    return fields.length > 0 && fields.every(field => {
+      const type = field === 'coverImage' ? 'url' : 'string';
+      return REVISION_FIELDS.includes(field) &&
+        changes[field] && typeof changes[field] === 'object' &&
+        isValidFieldValue(type, changes[field].from) &&
+        isValidFieldValue(type, changes[field].to);
+    });
+  }
+
+  /**
+   * Check a value against a POST_FIELDS type
+   */
+  function isValidFieldValue(type, value) {
+    if (value === null) return type !== 'boolean';
+    switch (type) {
+      case 'string':
+        return typeof value === 'string';
+      case 'url':
+        return value === '' || PostUrl.isHttpUrl(value);
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'number':
+        return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+      case 'strings':
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+      case 'date':
+        return typeof value === 'string' && !isNaN(new Date(value).getTime());
+      case 'revisions':
+        return Array.isArray(value) && value.every(isValidRevision);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Validate one imported post
+   * @returns {{post: Object|null, error: string|null}}
+   */
+  function validatePost(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      return { post: null, error: 'not an object' };
+    }
+    if (!PostUrl.isHttpUrl(input.url)) {
+      return { post: null, error: 'missing or invalid url' };
+    }
+    if (typeof input.title !== 'string' || !input.title.trim()) {
+      return { post: null, error: `missing title (${input.url})` };
+    }
+
+    const post = {};
+    for (const [field, type] of Object.entries(POST_FIELDS)) {
+      if (input[field] === undefined) continue;
+      if (!isValidFieldValue(type, input[field])) {
+        return { post: null, error: `invalid ${field} (${input.url})` };
+      }
+      post[field] = input[field];
+    }
+    return { post, error: null };
+  }
+
+  /**
+   * Parse and validate a JSON archive
+   * @returns {{posts: Object[], settings: Object|null, skipped: string[]}}
+   * @throws {Error} if the file isn't a SubstackFront archive this version can read
+   */
+  function parseJson(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch (error) {
+      throw new Error('File is not valid JSON');
+    }
+
+    if (!archive || archive.format !== ARCHIVE_FORMAT) {
+      throw new Error('File is not a SubstackFront archive');
+    }
+    if (!Number.isInteger(archive.version) || archive.version < 1) {
+      throw new Error('Archive has no valid version');
+    }
+    if (archive.version > ARCHIVE_VERSION) {
+      throw new Error(`Archive version ${archive.version} is newer than this extension supports`);
+    }
+    if (!Array.isArray(archive.posts)) {
+      throw new Error('Archive has no post list');
+    }
+
+    const posts = [];
+    const skipped = [];
+    archive.posts.forEach((input, index) => {
+      const { post, error } = validatePost(input);
+      if (post) posts.push(post);
+      else skipped.push(`Post ${index + 1}: ${error}`);
+    });
+
+    const settings = archive.settings && typeof archive.settings === 'object' && !Array.isArray(archive.settings)
+      ? archive.settings
+      : null;
+
+    return { posts, settings, skipped };
+  }
+
+  root.SubstackFrontArchive = {
+    ARCHIVE_FORMAT,
+    ARCHIVE_VERSION,
+    toJson,
+    toCsv,
+    toOpml,
+    parseJson
+  };
+
+})(globalThis);
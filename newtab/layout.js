@@ -0,0 +1,231 @@
+// SubstackFront - Front Page Layout
+// Sorts posts and arranges them into a hero story, secondary and tertiary tiers and groups
+
+(function(root) {
+  'use strict';
+
+  const LAYOUT_MODES = ['magazine', 'compact', 'headlines'];
+  const SORT_MODES = ['newest', 'oldest', 'unread', 'publication', 'readingTime'];
+  const GROUP_MODES = ['none', 'publication', 'author', 'day'];
+
+  // Day groups, newest first. A post belongs to the first bucket whose
+  // start (in days before the start of today) it is on or after.
+  const DAY_BUCKETS = [
+    { key: 'today', title: 'Today', startDaysAgo: 0 },
+    { key: 'yesterday', title: 'Yesterday', startDaysAgo: 1 },
+    { key: 'week', title: 'This week', startDaysAgo: 6 },
+    { key: 'earlier', title: 'Earlier', startDaysAgo: Infinity }
+  ];
+
+  // Posts promoted to the secondary tier: on the whole page, or in each section
+  const SECONDARY_COUNT = 4;
+  const SECTION_SECONDARY_COUNT = 2;
+
+  // Importance weights. Recency dominates; the rest break ties between
+  // posts from the same part of the day.
+  const RECENCY_WEIGHT = 10;
+  const RECENCY_HALF_LIFE_HOURS = 12;
+  const IMAGE_WEIGHT = 2;
+  const SUBTITLE_WEIGHT = 0.5;
+  const LONGFORM_WEIGHT = 1;
+  const LONGFORM_MINUTES = 8;
+
+  const DAY_MS = 86400000;
+
+  /**
+   * Get a post's publish time in ms, or 0 if unknown
+   */
+  function getPostTime(post) {
+    const time = Date.parse(post.publishedAt || post.extractedAt || '');
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Compare two optional numbers, ascending, with missing values last
+   */
+  function compareMissingLast(a, b) {
+    if (!a && !b) return 0;
+    if (!a) return 1;
+    if (!b) return -1;
+    return a - b;
+  }
+
+  /**
+   * Sort posts. 'newest' keeps the given order, which each view already
+   * sorts newest first (by publish date, save date or search relevance).
+   * Ties keep their given order.
+   * @param {Object[]} posts
+   * @param {string} sortBy - one of SORT_MODES
+   * @returns {Object[]} a new array
+   */
+  function sortPosts(posts, sortBy) {
+    const sorted = [...posts];
+    switch (sortBy) {
+      case 'oldest':
+        return sorted.sort((a, b) => compareMissingLast(getPostTime(a), getPostTime(b)));
+      case 'unread':
+        return sorted.sort((a, b) => Boolean(a.isRead) - Boolean(b.isRead));
+      case 'publication':
+        return sorted.sort((a, b) =>
+          (a.publication || '').localeCompare(b.publication || '', undefined, { sensitivity: 'base' })
+        );
+      case 'readingTime':
+        return sorted.sort((a, b) => compareMissingLast(a.readingTimeMinutes, b.readingTimeMinutes));
+      default:
+        return sorted;
+    }
+  }
+
+  /**
+   * How strongly a post deserves a prominent slot. Posts with a cover
+   * image rank a little higher so the hero usually has one, but a page
+   * with no images still gets a text-led hero.
+   */
+  function scorePost(post, now = Date.now()) {
+    const time = getPostTime(post);
+    const ageHours = time ? Math.max(0, (now - time) / 3600000) : Infinity;
+    let score = RECENCY_WEIGHT / (1 + ageHours / RECENCY_HALF_LIFE_HOURS);
+    if (post.coverImage) score += IMAGE_WEIGHT;
+    if (post.subtitle) score += SUBTITLE_WEIGHT;
+    if (post.readingTimeMinutes >= LONGFORM_MINUTES) score += LONGFORM_WEIGHT;
+    return score;
+  }
+
+  /**
+   * Unread posts, most important first (or in their given order). Posts
+   * from pinned publications come before the rest either way.
+   */
+  function rankUnread(posts, rankByImportance, now, isPinned) {
+    const unread = posts.filter(post => !post.isRead);
+    // Array.prototype.sort is stable, so equal scores keep their order
+    const scores = new Map(unread.map(post => [post, rankByImportance ? scorePost(post, now) : 0]));
+    return unread.sort((a, b) => isPinned(b) - isPinned(a) || scores.get(b) - scores.get(a));
+  }
+
+  /**
+   * The day bucket a post falls in, by local calendar day. Undated posts
+   * count as "Earlier".
+   */
+  function getDayBucket(post, now) {
+    const time = getPostTime(post);
+    if (!time) return DAY_BUCKETS[DAY_BUCKETS.length - 1];
+    const startOfToday = new Date(now).setHours(0, 0, 0, 0);
+    const daysAgo = Math.max(0, Math.ceil((startOfToday - time) / DAY_MS));
+    return DAY_BUCKETS.find(bucket => daysAgo <= bucket.startDaysAgo);
+  }
+
+  /**
+   * The group a post belongs to
+   * @returns {{key: string, title: string}}
+   */
+  function getGroup(post, groupBy, now) {
+    if (groupBy === 'publication') {
+      const title = post.publication || 'Unknown publication';
+      return { key: `publication:${title}`, title };
+    }
+    if (groupBy === 'author') {
+      const title = post.author || post.authors?.[0] || 'Unknown author';
+      return { key: `author:${title}`, title };
+    }
+    const bucket = getDayBucket(post, now);
+    return { key: `day:${bucket.key}`, title: bucket.title };
+  }
+
+  /**
+   * Split posts into groups, keeping their order within each group.
+   * Publication and author groups appear in the order of their first
+   * post; day groups are always in calendar order, oldest first when
+   * the posts are.
+   * @returns {Array<{key: string, title: string, posts: Object[]}>}
+   */
+  function groupSections(posts, groupBy, now, oldestFirst) {
+    if (groupBy === 'none') {
+      return posts.length > 0 ? [{ key: 'all', title: '', posts }] : [];
+    }
+
+    const sections = new Map();
+    posts.forEach(post => {
+      const { key, title } = getGroup(post, groupBy, now);
+      if (!sections.has(key)) sections.set(key, { key, title, posts: [] });
+      sections.get(key).posts.push(post);
+    });
+
+    const result = [...sections.values()];
+    if (groupBy === 'day') {
+      const order = DAY_BUCKETS.map(bucket => `day:${bucket.key}`);
+      result.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+      if (oldestFirst) result.reverse();
+    }
+    return result;
+  }
+
+  /**
+   * Lay out posts for the front page.
+   *
+   * In magazine mode the most important unread post becomes the hero and
+   * the next few unread posts fill the secondary tier; everything else is
+   * tertiary, in its original order. When grouped each group promotes
+   * its own secondary posts. The compact and headlines modes are plain
+   * lists, so every post is a "row".
+   *
+   * Posts should already be sorted; see sortPosts.
+   *
+   * @param {Object[]} posts - in display order
+   * @param {Object} options
+   * @param {string} [options.mode] - one of LAYOUT_MODES
+   * @param {string} [options.groupBy] - one of GROUP_MODES
+   * @param {string} [options.sortBy] - the sort the posts are in, one of SORT_MODES
+   * @param {boolean} [options.frontPage] - pick the hero and secondary posts by
+   *   importance. Otherwise (saved posts, search results) the order is
+   *   meaningful: there is no hero and the first unread posts are promoted.
+   * @param {function(Object): boolean} [options.isPinned] - posts from pinned publications
+   * @param {number} [options.now]
+   * @returns {{mode: string, hero: Object|null,
+   *   sections: Array<{key: string, title: string, items: Array<{post: Object, tier: string}>}>}}
+   */
+  function planLayout(posts, options = {}) {
+    const mode = LAYOUT_MODES.includes(options.mode) ? options.mode : 'magazine';
+    const groupBy = GROUP_MODES.includes(options.groupBy) ? options.groupBy : 'none';
+    const oldestFirst = options.sortBy === 'oldest';
+    const frontPage = Boolean(options.frontPage);
+    const isPinned = options.isPinned || (() => false);
+    const now = options.now ?? Date.now();
+
+    if (mode !== 'magazine') {
+      return {
+        mode,
+        hero: null,
+        sections: groupSections(posts, groupBy, now, oldestFirst).map(section => ({
+          key: section.key,
+          title: section.title,
+          items: section.posts.map(post => ({ post, tier: 'row' }))
+        }))
+      };
+    }
+
+    const hero = frontPage ? rankUnread(posts, true, now, isPinned)[0] || null : null;
+    const remaining = hero ? posts.filter(post => post !== hero) : posts;
+    const secondaryCount = groupBy === 'none' ? SECONDARY_COUNT : SECTION_SECONDARY_COUNT;
+
+    const sections = groupSections(remaining, groupBy, now, oldestFirst).map(section => {
+      const promoted = new Set(rankUnread(section.posts, frontPage, now, isPinned).slice(0, secondaryCount));
+      const secondary = [...promoted].map(post => ({ post, tier: 'secondary' }));
+      const tertiary = section.posts
+        .filter(post => !promoted.has(post))
+        .map(post => ({ post, tier: 'tertiary' }));
+      return { key: section.key, title: section.title, items: [...secondary, ...tertiary] };
+    });
+
+    return { mode, hero, sections };
+  }
+
+  root.SubstackFrontLayout = {
+    LAYOUT_MODES,
+    SORT_MODES,
+    GROUP_MODES,
+    scorePost,
+    sortPosts,
+    planLayout
+  };
+
+})(globalThis);
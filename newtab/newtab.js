@@ -8,15 +8,95 @@
   const emptyStateEl = document.getElementById('empty-state');
   const postGridEl = document.getElementById('post-grid');
   const publicationFilterEl = document.getElementById('publication-filter');
+  const layoutModeEl = document.getElementById('layout-mode');
+  const sortByEl = document.getElementById('sort-by');
+  const groupByEl = document.getElementById('group-by');
+  const searchInputEl = document.getElementById('search-input');
+  const noResultsEl = document.getElementById('no-results');
+  const noSavedEl = document.getElementById('no-saved');
   const refreshBtnEl = document.getElementById('refresh-btn');
+  const markReadBtnEl = document.getElementById('mark-read-btn');
+  const viewTabEls = document.querySelectorAll('.view-tab');
   const statsEl = document.getElementById('stats');
+  const refreshStatusEl = document.getElementById('refresh-status');
+  const refreshProgressEl = document.getElementById('refresh-progress');
+  const settingsBtnEl = document.getElementById('settings-btn');
+  const archiveBtnEl = document.getElementById('archive-btn');
+  const importInputEl = document.getElementById('import-input');
+  const extractionWarningEl = document.getElementById('extraction-warning');
+  const extractionWarningTextEl = extractionWarningEl.querySelector('.extraction-warning-text');
+  const continueReadingEl = document.getElementById('continue-reading');
+  const continueListEl = continueReadingEl.querySelector('.continue-list');
   const toastEl = document.getElementById('toast');
   const toastMessageEl = toastEl.querySelector('.toast-message');
 
+  const Settings = globalThis.SubstackFrontSettings;
+  const Rules = globalThis.SubstackFrontRules;
+  const Search = globalThis.SubstackFrontSearch;
+  const Menu = globalThis.SubstackFrontMenu;
+  const Archive = globalThis.SubstackFrontArchive;
+  const Layout = globalThis.SubstackFrontLayout;
+  const Directory = globalThis.SubstackFrontDirectory;
+  const Keyboard = globalThis.SubstackFrontKeyboard;
+  const RefreshJobs = globalThis.SubstackFrontRefreshJobs;
+  const PostUrl = globalThis.SubstackFrontPostUrl;
+
+  // Fields that change when a post is read/unread, saved/unsaved or read
+  // further; changes limited to these are patched into cards without re-rendering
+  const CARD_STATE_FIELDS = [
+    'isRead',
+    'readStateChangedAt',
+    'readStateSource',
+    'substackIsRead',
+    'substackObservedAt',
+    'isSaved',
+    'savedAt',
+    'progress',
+    'timeSpent',
+    'finishedAt',
+    'progressUpdatedAt'
+  ];
+
+  // How each tracked field is named in a post's change history
+  const REVISION_FIELD_LABELS = {
+    title: 'Title',
+    subtitle: 'Subtitle',
+    coverImage: 'Cover image'
+  };
+
+  const BOOKMARK_ICON = `
+    <svg width="12" height="12" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+    </svg>`;
+
   // State
+  let settings = { ...Settings.DEFAULT_SETTINGS };
+  let rules = Rules.normalizeRules(null);
   let allPosts = [];
+  let continuePosts = [];
+  let currentView = 'all';
+  // Publication filter, by host (see SubstackFrontDirectory)
   let currentFilter = '';
+  let publicationNames = new Map();
+  let currentQuery = '';
+  // Sort and grouping come from the URL hash when there is one, so that a
+  // bookmarked view opens as it was saved; otherwise from settings
+  let currentSort = settings.sortBy;
+  let currentGroup = settings.groupBy;
+  let collapsedGroups = new Set();
+  // Learned by the background; maps hosts in bookmarked views (see readViewHash)
+  let publicationDomains = {};
   let toastTimeout = null;
+  let searchTimeout = null;
+  let loadSequence = 0;
+  let activeRevisionPopover = null;
+  const searchIndex = Search.createSearchIndex();
+
+  // j/k move between the cards that are showing, skipping collapsed groups
+  const cardFocus = Keyboard.createRovingFocus(postGridEl, {
+    itemSelector: '.post-card',
+    isAvailable: card => !card.closest('.layout-section.collapsed')
+  });
 
   /**
    * Show toast notification
@@ -43,10 +123,10 @@
     toastMessageEl.textContent = message;
     toastEl.classList.add('show');
 
-    // Auto-hide after 3 seconds
+    // Auto-hide after the configured duration
     toastTimeout = setTimeout(() => {
       toastEl.classList.remove('show');
-    }, 3000);
+    }, settings.toastDurationMs);
   }
 
   /**
@@ -81,19 +161,121 @@
   }
 
   /**
-   * Create post card HTML
+   * Get the page to open for a post: the offline reader when the article
+   * is cached, otherwise the post itself
+   */
+  function getPostOpenUrl(post) {
+    if (settings.offlineReaderEnabled && post.offlineCachedAt) {
+      return chrome.runtime.getURL(`newtab/reader.html?url=${encodeURIComponent(post.url)}`);
+    }
+    return PostUrl.getSiteUrl(post);
+  }
+
+  /**
+   * Whether opening a post should mark it read straight away. Otherwise
+   * the article page (or the offline reader) reports reading progress and
+   * the post is marked read once enough of it has been read. Custom
+   * domains are out of the content script's reach, so those are marked
+   * read on open.
+   */
+  function marksReadOnOpen(post) {
+    if (settings.markReadWhen === 'opened') return true;
+    const openUrl = getPostOpenUrl(post);
+    if (openUrl !== PostUrl.getSiteUrl(post)) return false;
+    try {
+      return !/(^|\.)substack\.com$/.test(new URL(openUrl).hostname);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Show how far a started post has been read
+   */
+  function applyCardProgress(card, post) {
+    let bar = card.querySelector('.post-progress');
+    if (!(post.progress > 0) || post.finishedAt) {
+      bar?.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.className = 'post-progress';
+      bar.appendChild(document.createElement('span'));
+      card.appendChild(bar);
+    }
+    const percent = Math.round(post.progress * 100);
+    bar.title = `${percent}% read`;
+    bar.firstElementChild.style.width = `${percent}%`;
+  }
+
+  /**
+   * Describe how much of a started post is left
    */
-  function createPostCard(post) {
+  function formatRemaining(post) {
+    const percent = Math.round(post.progress * 100);
+    if (!post.readingTimeMinutes) return `${percent}% read`;
+    const minutesLeft = Math.max(1, Math.ceil(post.readingTimeMinutes * (1 - post.progress)));
+    return `${percent}% read · ${minutesLeft} min left`;
+  }
+
+  /**
+   * Create a card for the "Continue reading" rail
+   */
+  function createContinueCard(post) {
     const card = document.createElement('article');
-    card.className = `post-card${post.isRead ? ' read' : ''}`;
+    card.className = 'continue-card';
     card.dataset.url = post.url;
+    card.innerHTML = `
+      <span class="publication-name">${escapeHtml(post.publication)}</span>
+      <h3 class="continue-title">${escapeHtml(post.title)}</h3>
+      <span class="continue-meta">${formatRemaining(post)}</span>
+    `;
+    applyCardProgress(card, post);
+    card.addEventListener('click', () => openPost(post));
+    return card;
+  }
 
-    const imageHtml = post.coverImage
-      ? `<img class="post-image" src="${post.coverImage}" alt="" loading="lazy">`
-      : `<div class="post-image-placeholder">${getInitial(post.publication)}</div>`;
+  /**
+   * Open a post in a new tab
+   */
+  function openPost(post) {
+    if (marksReadOnOpen(post)) markAsRead(post.url);
+    window.open(getPostOpenUrl(post), '_blank');
+  }
+
+  /**
+   * Get the image markup for a card. Hero and secondary cards without a
+   * cover image are laid out text-first instead of showing a placeholder;
+   * list rows keep a placeholder so their titles stay aligned.
+   */
+  function getCardImageHtml(post, tier) {
+    if (tier === 'row') {
+      return post.coverImage
+        ? `<img class="post-thumb" src="${escapeHtml(post.coverImage)}" alt="" loading="lazy">`
+        : `<div class="post-thumb post-image-placeholder">${getInitial(post.publication)}</div>`;
+    }
+    if ((tier === 'hero' || tier === 'secondary') && post.coverImage) {
+      return `<img class="post-image" src="${escapeHtml(post.coverImage)}" alt="" loading="${tier === 'hero' ? 'eager' : 'lazy'}">`;
+    }
+    return '';
+  }
+
+  /**
+   * Create post card HTML
+   * @param {Object} post
+   * @param {string[]} highlightTerms - search terms to mark in the card text
+   * @param {string} tier - 'hero', 'secondary', 'tertiary' or 'row'
+   */
+  function createPostCard(post, highlightTerms = [], tier = 'secondary') {
+    const card = document.createElement('article');
+    const imageHtml = getCardImageHtml(post, tier);
+    card.className = `post-card tier-${tier}${imageHtml ? '' : ' no-image'}${post.isRead ? ' read' : ''}`;
+    card.dataset.url = post.url;
+    card.setAttribute('aria-label', post.title || 'Untitled');
 
     const logoHtml = post.publicationLogo
-      ? `<img class="publication-logo" src="${post.publicationLogo}" alt="">`
+      ? `<img class="publication-logo" src="${escapeHtml(post.publicationLogo)}" alt="">`
       : '';
 
     card.innerHTML = `
@@ -101,62 +283,518 @@
       <div class="post-content">
         <div class="post-publication">
           ${logoHtml}
-          <span class="publication-name">${escapeHtml(post.publication)}</span>
+          <span class="publication-name">${Search.highlight(post.publication, highlightTerms)}</span>
         </div>
-        <h2 class="post-title">${escapeHtml(post.title)}</h2>
-        ${post.subtitle ? `<p class="post-subtitle">${escapeHtml(post.subtitle)}</p>` : ''}
+        <h2 class="post-title">${Search.highlight(post.title, highlightTerms)}</h2>
+        ${post.subtitle ? `<p class="post-subtitle">${Search.highlight(post.subtitle, highlightTerms)}</p>` : ''}
         <div class="post-meta">
-          <span class="post-date">${formatRelativeDate(post.publishedAt)}</span>
+          <span class="post-date">${formatRelativeDate(post.publishedAt)}${post.readingTimeMinutes ? ` · ${post.readingTimeMinutes} min read` : ''}</span>
+          ${post.isPaywalled ? '<span class="post-paywall" title="For paid subscribers">Paid</span>' : ''}
+          ${post.offlineCachedAt ? '<span class="post-offline" title="Saved for offline reading">Offline</span>' : ''}
+          ${post.revisions?.length ? '<button type="button" class="post-updated" aria-haspopup="dialog" title="Changed since it was first seen">Updated</button>' : ''}
+          <button type="button" class="save-btn" aria-pressed="false">${BOOKMARK_ICON}</button>
           ${!post.isRead ? '<span class="unread-dot" title="Unread"></span>' : ''}
         </div>
       </div>
     `;
+    applyCardSavedState(card, Boolean(post.isSaved));
+    applyCardProgress(card, post);
 
     // Click handler
-    card.addEventListener('click', () => {
-      markAsRead(post.url);
-      window.open(post.url, '_blank');
+    card.addEventListener('click', () => openPost(post));
+
+    card.querySelector('.save-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const current = allPosts.find(p => p.url === post.url);
+      setSaved(post.url, !current?.isSaved);
+    });
+
+    card.querySelector('.post-updated')?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (activeRevisionPopover?.anchor === e.currentTarget) closeRevisionPopover();
+      else openRevisionPopover(post, e.currentTarget);
+    });
+
+    card.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      openCardMenu(post.url, e.clientX, e.clientY, card);
     });
 
     return card;
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Get the markup for one changed field: the old value struck out above
+   * the new one
+   */
+  function getRevisionChangeHtml(field, change) {
+    const describe = (value, tag) => {
+      if (!value) return `<${tag} class="revision-empty">None</${tag}>`;
+      if (field === 'coverImage') {
+        return `<${tag}><img class="revision-image" src="${escapeHtml(value)}" alt="" loading="lazy"></${tag}>`;
+      }
+      return `<${tag}>${escapeHtml(value)}</${tag}>`;
+    };
+    return `
+      <div class="revision-change">
+        <span class="revision-field">${REVISION_FIELD_LABELS[field] || escapeHtml(field)}</span>
+        ${describe(change.from, 'del')}
+        ${describe(change.to, 'ins')}
+      </div>`;
+  }
+
+  /**
+   * Close the change history popover, if open
+   */
+  function closeRevisionPopover() {
+    if (!activeRevisionPopover) return;
+    const { element, anchor, cleanup } = activeRevisionPopover;
+    activeRevisionPopover = null;
+    cleanup();
+    element.remove();
+    if (document.contains(anchor)) anchor.focus();
+  }
+
+  /**
+   * Get what the change popover opens below: the card's "Updated" marker,
+   * or the card itself when the layout leaves the marker out or hides it
+   */
+  function getRevisionAnchor(card) {
+    const marker = card.querySelector('.post-updated');
+    return marker && marker.getClientRects().length > 0 ? marker : card;
+  }
+
+  /**
+   * Open a popover below a card's "Updated" marker listing how the post
+   * has changed, newest change first
+   */
+  function openRevisionPopover(post, anchor) {
+    closeRevisionPopover();
+    Menu.close();
+
+    const popover = document.createElement('div');
+    popover.className = 'revision-popover';
+    popover.setAttribute('role', 'dialog');
+    popover.setAttribute('aria-label', `Changes to ${post.title || 'this post'}`);
+    popover.tabIndex = -1;
+    popover.innerHTML = `
+      <h3 class="revision-heading">Changed since first seen</h3>
+      <ol class="revision-list">
+        ${post.revisions.slice().reverse().map(revision => `
+          <li class="revision">
+            <span class="revision-date">${formatRelativeDate(revision.changedAt)}</span>
+            ${Object.entries(revision.changes).map(([field, change]) => getRevisionChangeHtml(field, change)).join('')}
+          </li>`).join('')}
+      </ol>`;
+    document.body.appendChild(popover);
+
+    // Below the marker, kept inside the viewport
+    const anchorRect = anchor.getBoundingClientRect();
+    const rect = popover.getBoundingClientRect();
+    popover.style.left = `${Math.max(4, Math.min(anchorRect.left, window.innerWidth - rect.width - 4))}px`;
+    popover.style.top = `${Math.max(4, Math.min(anchorRect.bottom + 2, window.innerHeight - rect.height - 4))}px`;
+
+    const handlePointerDown = (event) => {
+      if (!popover.contains(event.target) && event.target !== anchor) closeRevisionPopover();
+    };
+    const handleKeyDown = (event) => {
+      if (event.key === 'Escape' || event.key === 'Tab') {
+        event.preventDefault();
+        closeRevisionPopover();
+      }
+    };
+
+    document.addEventListener('mousedown', handlePointerDown, true);
+    popover.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('blur', closeRevisionPopover);
+    window.addEventListener('resize', closeRevisionPopover);
+
+    activeRevisionPopover = {
+      element: popover,
+      anchor,
+      cleanup: () => {
+        document.removeEventListener('mousedown', handlePointerDown, true);
+        window.removeEventListener('blur', closeRevisionPopover);
+        window.removeEventListener('resize', closeRevisionPopover);
+      }
+    };
+
+    popover.focus();
+  }
+
+  /**
+   * Show a card as read or unread
+   */
+  function applyCardReadState(card, isRead) {
+    card.classList.toggle('read', isRead);
+    const unreadDot = card.querySelector('.unread-dot');
+    if (isRead && unreadDot) {
+      unreadDot.remove();
+    } else if (!isRead && !unreadDot) {
+      card.querySelector('.post-meta').insertAdjacentHTML('beforeend',
+        '<span class="unread-dot" title="Unread"></span>');
+    }
+  }
+
+  /**
+   * Show a card as saved or not saved
+   */
+  function applyCardSavedState(card, isSaved) {
+    card.classList.toggle('saved', isSaved);
+    const saveBtn = card.querySelector('.save-btn');
+    saveBtn.setAttribute('aria-pressed', String(isSaved));
+    saveBtn.title = isSaved ? 'Remove from saved' : 'Save for later';
+  }
+
+  /**
+   * Menu items that pin or mute a post's publication, by host. Posts
+   * whose URL doesn't identify a publication get none.
+   */
+  function getPublicationRuleItems(post) {
+    const host = Directory.getPublicationHost(post.url);
+    if (!host) return [];
+    return [
+      rules.pinnedPublications.includes(host)
+        ? {
+          label: `Unpin ${post.publication}`,
+          action: () => changeRules(Rules.setPublicationPinned(host, false), `Unpinned ${post.publication}`)
+        }
+        : {
+          label: `Pin ${post.publication} to the top`,
+          action: () => changeRules(Rules.setPublicationPinned(host, true), `Pinned ${post.publication}`)
+        },
+      {
+        label: `Mute ${post.publication}`,
+        action: () => changeRules(Rules.setPublicationMuted(host, true), `Muted ${post.publication}`)
+      }
+    ];
+  }
+
+  /**
+   * Open the context menu for a card
+   */
+  function openCardMenu(url, x, y, card) {
+    const post = allPosts.find(p => p.url === url);
+    if (!post) return;
+
+    Menu.open({
+      x,
+      y,
+      returnFocusTo: card,
+      items: [
+        { label: 'Open', action: () => card.click() },
+        post.isRead
+          ? { label: 'Mark as unread', action: () => setReadState([post.url], false) }
+          : { label: 'Mark as read', action: () => setReadState([post.url], true) },
+        post.isSaved
+          ? { label: 'Remove from saved', action: () => setSaved(post.url, false) }
+          : { label: 'Save for later', action: () => setSaved(post.url, true) },
+        { label: 'Hide this post', action: () => changeRules(Rules.setPostHidden(post.url, true), 'Post hidden') },
+        ...(post.revisions?.length
+          ? [{ label: 'Show what changed', action: () => openRevisionPopover(post, getRevisionAnchor(card)) }]
+          : []),
+        'separator',
+        {
+          label: `Mark all from ${post.publication} as read`,
+          action: () => markAllRead(getPublicationScope(post))
+        },
+        ...getPublicationRuleItems(post)
+      ]
+    });
+  }
+
+  /**
+   * Wait for a rule change and confirm it (cards update via the rules listener)
+   */
+  async function changeRules(pending, successMessage) {
+    try {
+      await pending;
+      showToast(successMessage, 'success');
+    } catch (error) {
+      console.error('[SubstackFront] Error updating rules:', error);
+      showToast('Could not update filters', 'error');
+    }
+  }
+
+  /**
+   * Load the mute, hide, pin and keyword rules
+   */
+  async function loadRules() {
+    try {
+      rules = await Rules.load();
+    } catch (error) {
+      console.error('[SubstackFront] Error loading rules:', error);
+    }
+  }
+
+  /**
+   * Escape HTML to prevent XSS. Quotes are escaped too, so the result is
+   * safe inside a quoted attribute.
    */
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Build the elements for a planned layout. Consecutive items of the same
+   * tier share a container: a grid for magazine tiers, a list for rows.
+   */
+  function renderLayout(layout, highlightTerms) {
+    postGridEl.dataset.layout = layout.mode;
+
+    if (layout.hero) {
+      postGridEl.appendChild(createPostCard(layout.hero, highlightTerms, 'hero'));
+    }
+
+    layout.sections.forEach(section => {
+      const sectionEl = document.createElement('section');
+      sectionEl.className = 'layout-section';
+      sectionEl.dataset.key = section.key;
+      if (section.title) {
+        sectionEl.appendChild(createGroupHeader(section.title, sectionEl));
+        applyGroupCollapsed(sectionEl, collapsedGroups.has(section.key));
+      }
+
+      let containerEl = null;
+      section.items.forEach(({ post, tier }) => {
+        if (containerEl?.dataset.tier !== tier) {
+          containerEl = document.createElement('div');
+          containerEl.className = tier === 'row' ? 'post-list' : `post-grid post-grid-${tier}`;
+          containerEl.dataset.tier = tier;
+          sectionEl.appendChild(containerEl);
+        }
+        containerEl.appendChild(createPostCard(post, highlightTerms, tier));
+      });
+
+      postGridEl.appendChild(sectionEl);
+    });
+    updateGroupCounts();
+  }
+
+  /**
+   * Create the collapsible header of a group
+   */
+  function createGroupHeader(title, sectionEl) {
+    const headerEl = document.createElement('h2');
+    headerEl.className = 'section-title';
+    headerEl.innerHTML = `
+      <button type="button" class="section-toggle" aria-expanded="true">
+        <span class="section-name">${escapeHtml(title)}</span>
+        <span class="section-count"></span>
+      </button>
+    `;
+    headerEl.querySelector('.section-toggle').addEventListener('click', () => toggleGroup(sectionEl));
+    return headerEl;
+  }
+
+  /**
+   * Show a group as collapsed or expanded
+   */
+  function applyGroupCollapsed(sectionEl, collapsed) {
+    sectionEl.classList.toggle('collapsed', collapsed);
+    sectionEl.querySelector('.section-toggle')?.setAttribute('aria-expanded', String(!collapsed));
+  }
+
+  /**
+   * Collapse or expand a group, remembering the choice
+   */
+  function toggleGroup(sectionEl) {
+    const key = sectionEl.dataset.key;
+    const collapsed = !collapsedGroups.has(key);
+    if (collapsed) {
+      collapsedGroups.add(key);
+    } else {
+      collapsedGroups.delete(key);
+    }
+    applyGroupCollapsed(sectionEl, collapsed);
+    cardFocus.sync();
+    chrome.storage.local.set({ collapsedGroups: [...collapsedGroups] });
+  }
+
+  /**
+   * Load which groups were collapsed
+   */
+  async function loadCollapsedGroups() {
+    try {
+      const stored = await chrome.storage.local.get(['collapsedGroups']);
+      collapsedGroups = new Set(stored.collapsedGroups || []);
+    } catch (error) {
+      console.error('[SubstackFront] Error loading collapsed groups:', error);
+    }
+  }
+
+  /**
+   * Load the learned publication domains. A view bookmarked before a
+   * publication's posts moved to its substack.com subdomain is shown,
+   * and kept in the URL, under the new host.
+   */
+  async function loadPublicationDomains() {
+    try {
+      const stored = await chrome.storage.local.get(['publicationDomains']);
+      publicationDomains = stored.publicationDomains || {};
+      const view = readViewHash();
+      if (view.host && view.host !== currentFilter) {
+        currentFilter = view.host;
+        updateViewHash({ pub: currentFilter });
+      }
+    } catch (error) {
+      console.error('[SubstackFront] Error loading publication domains:', error);
+    }
+  }
+
+  /**
+   * Show each group's unread count in its header
+   */
+  function updateGroupCounts() {
+    postGridEl.querySelectorAll('.layout-section').forEach(sectionEl => {
+      const countEl = sectionEl.querySelector('.section-count');
+      if (!countEl) return;
+      const unread = sectionEl.querySelectorAll('.post-card:not(.read)').length;
+      countEl.textContent = unread > 0 ? `${unread} unread` : 'All read';
+    });
   }
 
   /**
    * Render posts to grid
    */
-  function renderPosts(posts) {
+  function renderPosts(posts, highlightTerms = []) {
     postGridEl.innerHTML = '';
 
     if (posts.length === 0) {
       postGridEl.classList.add('hidden');
-      emptyStateEl.classList.remove('hidden');
+      // Distinguish "nothing collected yet", "nothing saved" and "nothing matches"
+      const nothingCollected = allPosts.length === 0;
+      const nothingSaved = !nothingCollected && currentView === 'saved' &&
+        !allPosts.some(p => p.isSaved);
+      emptyStateEl.classList.toggle('hidden', !nothingCollected);
+      noSavedEl.classList.toggle('hidden', !nothingSaved);
+      noResultsEl.classList.toggle('hidden', nothingCollected || nothingSaved);
       return;
     }
 
     emptyStateEl.classList.add('hidden');
+    noSavedEl.classList.add('hidden');
+    noResultsEl.classList.add('hidden');
     postGridEl.classList.remove('hidden');
 
-    posts.forEach((post) => {
-      const card = createPostCard(post);
-      postGridEl.appendChild(card);
+    renderLayout(Layout.planLayout(posts, {
+      mode: settings.layoutMode,
+      groupBy: currentGroup,
+      sortBy: currentSort,
+      frontPage: currentView === 'all' && !currentQuery.trim() && currentSort === 'newest',
+      isPinned: post => rules.pinnedPublications.includes(Directory.getPublicationHost(post.url))
+    }), highlightTerms);
+    cardFocus.sync();
+  }
+
+  /**
+   * Show the current layout, sort and grouping in the header controls
+   */
+  function updateLayoutControls() {
+    layoutModeEl.value = settings.layoutMode;
+    sortByEl.value = currentSort;
+    groupByEl.value = currentGroup;
+  }
+
+  /**
+   * Read sort, grouping and publication from the URL hash
+   * (#sort=oldest&group=day&pub=example.substack.com)
+   * @returns {{sortBy?: string, groupBy?: string, host?: string}} only the valid values
+   */
+  function readViewHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const view = {};
+    if (Layout.SORT_MODES.includes(params.get('sort'))) view.sortBy = params.get('sort');
+    if (Layout.GROUP_MODES.includes(params.get('group'))) view.groupBy = params.get('group');
+    if (params.get('pub')) {
+      view.host = Directory.resolvePublicationHost(params.get('pub').toLowerCase(), publicationDomains);
+    }
+    return view;
+  }
+
+  /**
+   * Use the view in the URL hash, falling back to settings for the sort
+   * and grouping and to all publications
+   */
+  function applyViewHash() {
+    const view = readViewHash();
+    currentSort = view.sortBy || settings.sortBy;
+    currentGroup = view.groupBy || settings.groupBy;
+    currentFilter = view.host || '';
+  }
+
+  /**
+   * Set or remove (with an empty value) parameters in the URL hash,
+   * keeping the others
+   * @param {Object<string, string>} changes
+   */
+  function updateViewHash(changes) {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    Object.entries(changes).forEach(([key, value]) => {
+      if (value) params.set(key, value);
+      else params.delete(key);
     });
+    const hash = params.toString();
+    history.replaceState(null, '', hash ? `#${hash}` : window.location.pathname + window.location.search);
+  }
+
+  /**
+   * Change the sort or grouping: shown in the URL hash for bookmarking
+   * and stored as the default for new tabs
+   * @param {{sortBy?: string, groupBy?: string}} changes
+   */
+  async function setSortAndGroup(changes) {
+    currentSort = changes.sortBy || currentSort;
+    currentGroup = changes.groupBy || currentGroup;
+    updateViewHash({ sort: currentSort, group: currentGroup });
+    filterPosts();
+
+    try {
+      settings = await Settings.save(changes);
+    } catch (error) {
+      console.error('[SubstackFront] Could not save sort and grouping:', error);
+      showToast('Could not save sort and grouping', 'error');
+    }
+  }
+
+  /**
+   * Store a layout change and re-render with it
+   */
+  async function setLayout(changes) {
+    try {
+      settings = await Settings.save(changes);
+    } catch (error) {
+      console.error('[SubstackFront] Could not save layout:', error);
+      showToast('Could not save layout', 'error');
+    }
+    updateLayoutControls();
+    filterPosts();
+  }
+
+  /**
+   * Scope a "Mark all as read" to a post's publication, by host when the
+   * post URL identifies one
+   */
+  function getPublicationScope(post) {
+    const host = Directory.getPublicationHost(post.url);
+    return host ? { host } : { publication: post.publication };
   }
 
   /**
-   * Update publication filter dropdown
+   * Update publication filter dropdown. Options are publication hosts,
+   * labelled with each one's newest name. Pinned publications come
+   * first; muted ones are left out.
    */
   function updatePublicationFilter(posts) {
-    const publications = [...new Set(posts.map(p => p.publication))].sort();
+    const pinned = new Set(rules.pinnedPublications);
+    const muted = new Set(rules.mutedPublications);
+    const publications = Directory.buildDirectory(posts)
+      .filter(pub => !muted.has(pub.host))
+      .sort((a, b) => pinned.has(b.host) - pinned.has(a.host) || a.name.localeCompare(b.name));
+    publicationNames = new Map(publications.map(pub => [pub.host, pub.name]));
 
     // Clear existing options except first
     while (publicationFilterEl.options.length > 1) {
@@ -165,50 +803,203 @@
 
     publications.forEach(pub => {
       const option = document.createElement('option');
-      option.value = pub;
-      option.textContent = pub;
+      option.value = pub.host;
+      option.textContent = pinned.has(pub.host) ? `★ ${pub.name}` : pub.name;
+      option.title = pub.host;
       publicationFilterEl.appendChild(option);
     });
+    publicationFilterEl.value = currentFilter;
   }
 
   /**
-   * Update stats footer
+   * Update stats footer. Posts hidden by rules are counted separately.
    */
   function updateStats(posts) {
-    const total = posts.length;
-    const unread = posts.filter(p => !p.isRead).length;
-    const publications = new Set(posts.map(p => p.publication)).size;
+    const { posts: visible, hiddenCounts } = Rules.applyRules(posts, rules);
+    const total = visible.length;
+    const unread = visible.filter(p => !p.isRead).length;
+    const saved = visible.filter(p => p.isSaved).length;
+    const publications = new Set(visible.map(p => p.publication)).size;
+    const hidden = hiddenCounts.total > 0 ? ` • ${hiddenCounts.total} hidden` : '';
 
-    statsEl.textContent = `${total} posts from ${publications} publications • ${unread} unread`;
+    statsEl.textContent = `${total} posts from ${publications} publications • ${unread} unread • ${saved} saved${hidden}`;
+    statsEl.title = Rules.describeHiddenCounts(hiddenCounts);
   }
 
   /**
-   * Filter posts
+   * Filter posts by the current view, the publication dropdown and the search box
    */
   function filterPosts() {
-    let filtered = allPosts;
+    let filtered = Rules.applyRules(allPosts, rules).posts;
+    let highlightTerms = [];
+
+    if (currentView === 'saved') {
+      // Reading queue: most recently saved first
+      filtered = filtered
+        .filter(p => p.isSaved)
+        .sort((a, b) => (b.savedAt || '').localeCompare(a.savedAt || ''));
+    }
+
+    if (currentQuery.trim()) {
+      const results = searchIndex.search(currentQuery);
+      const inView = new Set(filtered.map(p => p.url));
+      filtered = results.posts.filter(p => inView.has(p.url));
+      highlightTerms = results.highlightTerms;
+    }
 
     if (currentFilter) {
-      filtered = allPosts.filter(p => p.publication === currentFilter);
+      filtered = filtered.filter(p => Directory.getPublicationHost(p.url) === currentFilter);
+    }
+
+    filtered = Rules.pinFirst(Layout.sortPosts(filtered, currentSort), rules);
+
+    renderPosts(filtered, highlightTerms);
+    renderContinueReading();
+  }
+
+  /**
+   * Show the "Continue reading" rail on the unfiltered All view
+   */
+  function renderContinueReading() {
+    const posts = Rules.applyRules(continuePosts, rules).posts;
+    const visible = posts.length > 0 && currentView === 'all' &&
+      !currentQuery.trim() && !currentFilter;
+    continueReadingEl.classList.toggle('hidden', !visible);
+    continueListEl.innerHTML = '';
+    if (!visible) return;
+    posts.forEach(post => continueListEl.appendChild(createContinueCard(post)));
+  }
+
+  /**
+   * Load the posts that were started but not finished
+   */
+  async function loadContinueReading() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CONTINUE_READING' });
+      if (!response.success) throw new Error(response.error);
+      continuePosts = response.posts || [];
+      renderContinueReading();
+    } catch (error) {
+      console.error('[SubstackFront] Error loading continue reading:', error);
+    }
+  }
+
+  /**
+   * Patch in reading progress reported while this page is open, without
+   * reloading the posts. The rail is only reloaded when a post joins it.
+   * @param {Object[]} updates - from the background's READING_PROGRESS_CHANGED
+   */
+  function applyReadingProgress(updates) {
+    let railChanged = false;
+    let railJoined = false;
+    updates.forEach(({ continueReading, ...update }) => {
+      const post = allPosts.find(candidate => candidate.url === update.url);
+      if (post) {
+        Object.assign(post, update);
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (card) applyCardProgress(card, post);
+      }
+
+      const index = continuePosts.findIndex(candidate => candidate.url === update.url);
+      if (index === -1) {
+        railJoined = railJoined || continueReading;
+        return;
+      }
+      if (continueReading) {
+        continuePosts[index] = { ...continuePosts[index], ...update };
+      } else {
+        continuePosts.splice(index, 1);
+      }
+      railChanged = true;
+    });
+
+    if (railJoined) {
+      loadContinueReading();
+    } else if (railChanged) {
+      continuePosts.sort((a, b) => (b.progressUpdatedAt || '').localeCompare(a.progressUpdatedAt || ''));
+      renderContinueReading();
     }
+  }
+
+  /**
+   * If newPosts differ from oldPosts only in read/saved state or reading
+   * progress, return what changed per post; otherwise null (a full
+   * re-render is needed)
+   * @returns {Array<{post: Object, readChanged: boolean, savedChanged: boolean}>|null}
+   */
+  function diffCardState(oldPosts, newPosts) {
+    if (oldPosts.length === 0 || oldPosts.length !== newPosts.length) return null;
+
+    const withoutCardState = (post) => {
+      const copy = { ...post };
+      CARD_STATE_FIELDS.forEach(field => delete copy[field]);
+      return JSON.stringify(copy);
+    };
+
+    const changes = [];
+    for (let i = 0; i < newPosts.length; i++) {
+      const before = oldPosts[i];
+      const after = newPosts[i];
+      if (before.url !== after.url) return null;
+      if (before !== after && withoutCardState(before) !== withoutCardState(after)) return null;
 
-    renderPosts(filtered);
+      const readChanged = Boolean(before.isRead) !== Boolean(after.isRead);
+      const savedChanged = Boolean(before.isSaved) !== Boolean(after.isSaved);
+      const progressChanged = before.progress !== after.progress || before.finishedAt !== after.finishedAt;
+      if (readChanged || savedChanged || progressChanged) {
+        changes.push({ post: after, readChanged, savedChanged });
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Replace the post list and refresh everything derived from it.
+   * Read/saved-only changes patch the existing cards in place.
+   */
+  function setPosts(posts) {
+    const changes = diffCardState(allPosts, posts);
+    allPosts = posts;
+    searchIndex.update(allPosts);
+
+    // The Saved view and is:read / is:unread searches need re-filtering
+    const needsRefilter = changes && changes.some(change =>
+      (change.savedChanged && currentView === 'saved') ||
+      (change.readChanged && /\bis:/i.test(currentQuery))
+    );
+
+    if (changes && !needsRefilter) {
+      changes.forEach(({ post }) => {
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (!card) return;
+        applyCardReadState(card, Boolean(post.isRead));
+        applyCardSavedState(card, Boolean(post.isSaved));
+        applyCardProgress(card, post);
+      });
+      updateGroupCounts();
+      updateStats(allPosts);
+      return;
+    }
+
+    updatePublicationFilter(allPosts);
+    updateStats(allPosts);
+    filterPosts();
   }
 
   /**
    * Load posts from storage
    */
   async function loadPosts() {
+    const sequence = ++loadSequence;
     try {
       const response = await chrome.runtime.sendMessage({ type: 'GET_POSTS' });
+      // A newer load started while this one was in flight
+      if (sequence !== loadSequence) return;
 
       if (response.success) {
-        allPosts = response.posts || [];
-
         loadingEl.classList.add('hidden');
-        updatePublicationFilter(allPosts);
-        updateStats(allPosts);
-        filterPosts();
+        setPosts(response.posts || []);
+        loadContinueReading();
       } else {
         throw new Error(response.error || 'Failed to load posts');
       }
@@ -220,36 +1011,280 @@
   }
 
   /**
-   * Mark post as read
+   * Set read state for posts and update their cards
    */
-  async function markAsRead(url) {
+  async function setReadState(urls, isRead) {
     try {
-      await chrome.runtime.sendMessage({ type: 'MARK_READ', url });
+      const response = await chrome.runtime.sendMessage({ type: 'SET_READ_STATE', urls, isRead });
+      if (!response.success) throw new Error(response.error);
 
       // Update local state
-      const post = allPosts.find(p => p.url === url);
-      if (post) {
-        post.isRead = true;
+      const urlSet = new Set(urls);
+      allPosts.forEach(post => {
+        if (!urlSet.has(post.url)) return;
+        post.isRead = isRead;
 
         // Update the card visually
-        const card = document.querySelector(`[data-url="${CSS.escape(url)}"]`);
-        if (card) {
-          card.classList.add('read');
-          const unreadDot = card.querySelector('.unread-dot');
-          if (unreadDot) unreadDot.remove();
-        }
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (card) applyCardReadState(card, isRead);
+      });
 
-        updateStats(allPosts);
+      updateGroupCounts();
+      updateStats(allPosts);
+    } catch (error) {
+      console.error('[SubstackFront] Error updating read state:', error);
+      showToast('Could not update read state', 'error');
+    }
+  }
+
+  /**
+   * Save a post for later, or remove it from saved
+   */
+  async function setSaved(url, isSaved) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SET_SAVED', url, isSaved });
+      if (!response.success) throw new Error(response.error);
+      showToast(isSaved ? 'Saved for later' : 'Removed from saved', 'success');
+    } catch (error) {
+      console.error('[SubstackFront] Error saving post:', error);
+      showToast('Could not update saved posts', 'error');
+    }
+  }
+
+  /**
+   * Switch between the All and Saved views
+   */
+  function setView(view) {
+    currentView = view;
+    viewTabEls.forEach(tab => {
+      const isActive = tab.dataset.view === view;
+      tab.classList.toggle('active', isActive);
+      tab.setAttribute('aria-selected', String(isActive));
+    });
+    filterPosts();
+  }
+
+  /**
+   * Mark post as read
+   */
+  function markAsRead(url) {
+    return setReadState([url], true);
+  }
+
+  /**
+   * Mark all posts in a scope as read (cards update via the storage listener)
+   * @param {Object} scope - { publication?, host?, olderThanDays? }
+   */
+  async function markAllRead(scope = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'MARK_ALL_READ', ...scope });
+      if (!response.success) throw new Error(response.error);
+      showToast(`Marked ${response.count} post${response.count === 1 ? '' : 's'} as read`, 'success');
+    } catch (error) {
+      console.error('[SubstackFront] Error marking all as read:', error);
+      showToast('Could not mark posts as read', 'error');
+    }
+  }
+
+  /**
+   * Open the "Mark read" toolbar menu
+   */
+  function openMarkReadMenu() {
+    const items = [
+      { label: 'Mark all as read', action: () => markAllRead() }
+    ];
+    if (currentFilter) {
+      items.push({
+        label: `Mark all from ${publicationNames.get(currentFilter) || currentFilter} as read`,
+        action: () => markAllRead({ host: currentFilter })
+      });
+    }
+    items.push(
+      'separator',
+      { label: 'Older than 1 day', action: () => markAllRead({ olderThanDays: 1 }) },
+      { label: 'Older than 7 days', action: () => markAllRead({ olderThanDays: 7 }) },
+      { label: 'Older than 30 days', action: () => markAllRead({ olderThanDays: 30 }) }
+    );
+    Menu.openBelow(markReadBtnEl, items);
+  }
+
+  /**
+   * Save text to a file in the user's downloads
+   */
+  function downloadFile(filename, mimeType, text) {
+    const url = URL.createObjectURL(new Blob([text], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Export every stored post in the given format
+   * @param {'json'|'csv'|'opml'} format
+   */
+  async function exportArchive(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_POSTS' });
+      if (!response.success) throw new Error(response.error);
+      const posts = response.posts || [];
+      const date = new Date().toISOString().slice(0, 10);
+
+      if (format === 'json') {
+        const currentSettings = await Settings.load();
+        downloadFile(`substackfront-${date}.json`, 'application/json', Archive.toJson(posts, currentSettings));
+      } else if (format === 'csv') {
+        downloadFile(`substackfront-${date}.csv`, 'text/csv', Archive.toCsv(posts));
+      } else {
+        downloadFile(`substackfront-publications-${date}.opml`, 'text/x-opml', Archive.toOpml(posts));
+      }
+      showToast(`Exported ${posts.length} posts`, 'success');
+    } catch (error) {
+      console.error('[SubstackFront] Error exporting archive:', error);
+      showToast('Could not export posts', 'error');
+    }
+  }
+
+  /**
+   * Import a JSON archive chosen in the file picker
+   */
+  async function importArchive(file) {
+    try {
+      const { posts, settings: archiveSettings, skipped } = Archive.parseJson(await file.text());
+      if (skipped.length > 0) {
+        console.warn('[SubstackFront] Skipped invalid posts in archive:', skipped);
+      }
+
+      const response = await chrome.runtime.sendMessage({ type: 'IMPORT_POSTS', posts });
+      if (!response.success) throw new Error(response.error);
+
+      if (archiveSettings && confirm('Also restore the settings saved in this archive?')) {
+        // Keep current values for anything the archive has wrong
+        const { settings: restored, errors } = Settings.validateSettings(Settings.migrateSettings(archiveSettings));
+        Object.keys(errors).forEach(key => delete restored[key]);
+        await Settings.save(restored);
       }
+
+      const skippedNote = skipped.length > 0 ? `, ${skipped.length} skipped` : '';
+      showToast(`Imported ${response.added} new, ${response.updated} updated${skippedNote}`, 'success');
+    } catch (error) {
+      console.error('[SubstackFront] Error importing archive:', error);
+      showToast(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Open the export/import menu
+   */
+  function openArchiveMenu() {
+    Menu.openBelow(archiveBtnEl, [
+      { label: 'Export as JSON (full backup)', action: () => exportArchive('json') },
+      { label: 'Export as CSV', action: () => exportArchive('csv') },
+      { label: 'Export publications as OPML', action: () => exportArchive('opml') },
+      'separator',
+      { label: 'Import JSON backup…', action: () => importInputEl.click() }
+    ]);
+  }
+
+  /**
+   * Warn when the last inbox extraction looked broken. A dismissed warning
+   * stays hidden until extraction recovers and degrades again.
+   */
+  async function loadExtractionHealth() {
+    try {
+      const [response, stored] = await Promise.all([
+        chrome.runtime.sendMessage({ type: 'GET_EXTRACTION_HEALTH' }),
+        chrome.storage.local.get(['extractionWarningDismissedFor'])
+      ]);
+      const health = response.success ? response.health : null;
+      const dismissed = stored.extractionWarningDismissedFor !== undefined &&
+        stored.extractionWarningDismissedFor === (health?.lastOkAt || null);
+
+      if (!health || health.status === 'ok' || dismissed) {
+        extractionWarningEl.classList.add('hidden');
+        return;
+      }
+
+      const lead = health.status === 'failing'
+        ? 'SubstackFront could not read your Substack inbox.'
+        : 'Substack may have changed its layout; some posts or details may be missing.';
+      extractionWarningTextEl.textContent = `${lead} ${health.problems.join('. ')}.`;
+      extractionWarningEl.dataset.lastOkAt = health.lastOkAt || '';
+      extractionWarningEl.classList.remove('hidden');
+    } catch (error) {
+      console.error('[SubstackFront] Error loading extraction health:', error);
+    }
+  }
+
+  /**
+   * Hide the extraction warning until extraction recovers and degrades again
+   */
+  function dismissExtractionWarning() {
+    extractionWarningEl.classList.add('hidden');
+    chrome.storage.local.set({
+      extractionWarningDismissedFor: extractionWarningEl.dataset.lastOkAt || null
+    });
+  }
+
+  /**
+   * Show last refresh time, last error and next scheduled run
+   */
+  function updateRefreshStatus(status, nextRunAt) {
+    const parts = [];
+
+    if (status.lastSuccessAt) {
+      parts.push(`Last refreshed: ${formatRelativeDate(status.lastSuccessAt)}`);
+    }
+
+    const failedLast = status.lastError &&
+      (!status.lastSuccessAt || status.lastErrorAt > status.lastSuccessAt);
+    if (failedLast) {
+      parts.push(`Last refresh failed: ${status.lastError}`);
+    }
+
+    if (nextRunAt) {
+      const next = new Date(nextRunAt);
+      parts.push(`Next ${next.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`);
+    }
+
+    refreshStatusEl.textContent = parts.join(' • ');
+    refreshStatusEl.classList.toggle('error', Boolean(failedLast));
+  }
+
+  /**
+   * Show how a refresh is going under the header, whichever surface (or
+   * schedule) started it. Finished refreshes are reported by toast and
+   * in the footer instead.
+   */
+  function showRefreshProgress(job) {
+    const running = Boolean(job) && job.stage !== 'done' && job.stage !== 'failed';
+    refreshProgressEl.textContent = running ? RefreshJobs.describeJob(job) : '';
+    refreshProgressEl.classList.toggle('hidden', !running);
+    refreshBtnEl.classList.toggle('loading', running);
+  }
+
+  /**
+   * Load refresh status into the footer
+   */
+  async function loadRefreshStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_REFRESH_STATUS' });
+      if (!response.success) throw new Error(response.error);
+      updateRefreshStatus(response.status, response.nextRunAt);
+      showRefreshProgress(response.job);
     } catch (error) {
-      console.error('[SubstackFront] Error marking as read:', error);
+      console.error('[SubstackFront] Error loading refresh status:', error);
     }
   }
 
   /**
-   * Refresh feed in background
+   * Refresh feed in background. A deep refresh also scrolls back through
+   * the inbox for older posts.
    */
-  async function handleRefresh() {
+  async function handleRefresh({ deep = false } = {}) {
     // Disable button and show loading state
     refreshBtnEl.disabled = true;
     refreshBtnEl.classList.add('loading');
@@ -263,13 +1298,13 @@
     `;
 
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'REFRESH_FEED' });
+      const response = await chrome.runtime.sendMessage({ type: 'REFRESH_FEED', deep });
 
       if (response.success) {
         console.log('[SubstackFront] Refresh complete:', response);
         // Force reload posts instead of relying on storage listener
         await loadPosts();
-        showToast('Feed refreshed successfully', 'success');
+        showToast(RefreshJobs.describeResult(response), 'success');
       } else {
         console.error('[SubstackFront] Refresh failed:', response.error);
         showToast('Refresh failed: ' + response.error, 'error');
@@ -285,25 +1320,199 @@
     }
   }
 
+  /**
+   * Hand the tab over to the browser's default new tab page when
+   * Popup Only Mode is on. Pages opened from inside the extension (the
+   * popup's "Tab view" button, the publications page) carry a ?source
+   * and always show the front page.
+   * @returns {boolean} true if the tab is being redirected
+   */
+  async function redirectIfPopupOnly() {
+    if (new URLSearchParams(window.location.search).has('source')) {
+      return false;
+    }
+
+    if (!settings.popupOnlyMode) return false;
+
+    // chrome://newtab would resolve back to this override, so target the
+    // browser's own new tab page directly
+    const tab = await chrome.tabs.getCurrent();
+    await chrome.tabs.update(tab.id, { url: 'chrome://new-tab-page/' });
+    return true;
+  }
+
+  /**
+   * Run an action on the post whose card has keyboard focus
+   */
+  function withFocusedPost(action) {
+    const card = cardFocus.getFocused();
+    const post = card && allPosts.find(p => p.url === card.dataset.url);
+    if (post) action(post);
+  }
+
+  const shortcuts = [
+    { keys: ['j'], description: 'Next post', action: () => cardFocus.move(1) },
+    { keys: ['k'], description: 'Previous post', action: () => cardFocus.move(-1) },
+    { keys: ['Enter', 'o'], description: 'Open post', action: () => withFocusedPost(openPost) },
+    {
+      keys: ['m'],
+      description: 'Mark as read or unread',
+      action: () => withFocusedPost(post => setReadState([post.url], !post.isRead))
+    },
+    {
+      keys: ['s'],
+      description: 'Save for later or remove from saved',
+      action: () => withFocusedPost(post => setSaved(post.url, !post.isSaved))
+    },
+    { keys: ['/'], description: 'Search', action: () => searchInputEl.focus() },
+    {
+      keys: ['g p'],
+      description: 'Go to publications',
+      action: () => { window.location.href = 'publications.html'; }
+    },
+    {
+      keys: ['r'],
+      description: 'Refresh',
+      action: () => {
+        if (!refreshBtnEl.disabled) handleRefresh();
+      }
+    },
+    {
+      keys: ['R'],
+      description: 'Deep refresh (scroll back for older posts)',
+      action: () => {
+        if (!refreshBtnEl.disabled) handleRefresh({ deep: true });
+      }
+    },
+    { keys: ['?'], description: 'Show keyboard shortcuts', action: () => shortcutHelp.toggle() }
+  ];
+  const shortcutHelp = Keyboard.createHelpOverlay(shortcuts);
+
   // Event Listeners
+  Keyboard.bindShortcuts(shortcuts);
+
   publicationFilterEl.addEventListener('change', (e) => {
     currentFilter = e.target.value;
+    updateViewHash({ pub: currentFilter });
     filterPosts();
   });
 
-  refreshBtnEl.addEventListener('click', handleRefresh);
+  layoutModeEl.addEventListener('change', () => setLayout({ layoutMode: layoutModeEl.value }));
+  sortByEl.addEventListener('change', () => setSortAndGroup({ sortBy: sortByEl.value }));
+  groupByEl.addEventListener('change', () => setSortAndGroup({ groupBy: groupByEl.value }));
+
+  // A bookmarked view opened in this tab, or the hash edited by hand
+  window.addEventListener('hashchange', () => {
+    applyViewHash();
+    updateLayoutControls();
+    publicationFilterEl.value = currentFilter;
+    filterPosts();
+  });
+
+  searchInputEl.addEventListener('input', () => {
+    clearTimeout(searchTimeout);
+    searchTimeout = setTimeout(() => {
+      currentQuery = searchInputEl.value;
+      filterPosts();
+    }, 120);
+  });
+
+  searchInputEl.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && searchInputEl.value) {
+      searchInputEl.value = '';
+      currentQuery = '';
+      filterPosts();
+    } else if (e.key === 'Escape') {
+      // Back to the cards
+      searchInputEl.blur();
+      cardFocus.move(0);
+    }
+  });
+
+  refreshBtnEl.addEventListener('click', (e) => handleRefresh({ deep: e.shiftKey }));
+  viewTabEls.forEach(tab => {
+    tab.addEventListener('click', () => setView(tab.dataset.view));
+  });
+  markReadBtnEl.addEventListener('click', openMarkReadMenu);
+  settingsBtnEl.addEventListener('click', () => chrome.runtime.openOptionsPage());
+  archiveBtnEl.addEventListener('click', openArchiveMenu);
+  extractionWarningEl.querySelector('.extraction-warning-dismiss')
+    .addEventListener('click', dismissExtractionWarning);
+  importInputEl.addEventListener('change', () => {
+    const file = importInputEl.files[0];
+    importInputEl.value = '';
+    if (file) importArchive(file);
+  });
 
   // Listen for storage changes (real-time updates)
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'local' && changes.posts) {
-      allPosts = changes.posts.newValue || [];
-      updatePublicationFilter(allPosts);
-      updateStats(allPosts);
+    if (areaName === 'local' && changes.postsRevision) {
+      loadPosts();
+    }
+    if (areaName === 'local' && changes.refreshStatus) {
+      loadRefreshStatus();
+    }
+    if (areaName === 'local' && changes.extractionHealth) {
+      loadExtractionHealth();
+    }
+  });
+
+  // Progress of a refresh started here, in another surface or on a schedule,
+  // and of posts being read in other tabs
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'REFRESH_PROGRESS') {
+      showRefreshProgress(message.job);
+    }
+    if (message.type === 'READING_PROGRESS_CHANGED') {
+      applyReadingProgress(message.posts);
+    }
+  });
+
+  Rules.onChanged(updated => {
+    rules = updated;
+    updatePublicationFilter(allPosts);
+    updateStats(allPosts);
+    filterPosts();
+  });
+
+  Settings.onChanged(updated => {
+    const intervalChanged = updated.refreshIntervalMinutes !== settings.refreshIntervalMinutes;
+    // Changed in another tab or on the options page. A tab whose URL
+    // names a sort or grouping keeps it.
+    const view = readViewHash();
+    const layoutChanged = updated.layoutMode !== settings.layoutMode ||
+      (!view.sortBy && updated.sortBy !== settings.sortBy) ||
+      (!view.groupBy && updated.groupBy !== settings.groupBy);
+    settings = updated;
+    if (intervalChanged) loadRefreshStatus();
+    if (layoutChanged) {
+      applyViewHash();
+      updateLayoutControls();
       filterPosts();
     }
   });
 
   // Initialize
-  loadPosts();
+  Settings.load()
+    .then(loaded => {
+      settings = loaded;
+      applyViewHash();
+      updateLayoutControls();
+      return redirectIfPopupOnly();
+    })
+    .catch(error => {
+      console.error('[SubstackFront] Popup Only Mode check failed:', error);
+      return false;
+    })
+    .then(redirected => {
+      if (redirected) return;
+      // The popup's "/" shortcut opens this page ready to search
+      if (new URLSearchParams(window.location.search).get('focus') === 'search') {
+        searchInputEl.focus();
+      }
+      Promise.all([loadCollapsedGroups(), loadRules(), loadPublicationDomains()]).then(loadPosts);
+      loadRefreshStatus();
+      loadExtractionHealth();
+    });
 
 })();
@@ -0,0 +1,178 @@
+// SubstackFront - Publications Page Script
+// Lists every publication we have posts from, keyed by host
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const statusEl = document.getElementById('status');
+  const summaryEl = document.getElementById('summary');
+  const listEl = document.getElementById('publication-list');
+
+  const Rules = globalThis.SubstackFrontRules;
+  const Directory = globalThis.SubstackFrontDirectory;
+
+  // State
+  let publications = [];
+  let rules = Rules.normalizeRules(null);
+  let loadSequence = 0;
+
+  /**
+   * Format a date for the "Last post" column
+   */
+  function formatDate(dateString) {
+    if (!dateString) return 'Unknown';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * The front page filtered to one publication
+   */
+  function getFeedUrl(host) {
+    return `newtab.html?source=publications#${new URLSearchParams({ pub: host })}`;
+  }
+
+  /**
+   * Create an external link that opens in a new tab
+   */
+  function createExternalLink(href, text) {
+    const link = document.createElement('a');
+    link.className = 'publication-link';
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    link.textContent = text;
+    return link;
+  }
+
+  /**
+   * Create a list row for a publication. Clicking anywhere outside its
+   * links opens the publication's feed.
+   */
+  function createPublicationRow(publication) {
+    const row = document.createElement('li');
+    row.className = 'publication';
+    row.classList.toggle('muted', rules.mutedPublications.includes(publication.host));
+
+    let logo;
+    if (publication.logo) {
+      logo = document.createElement('img');
+      logo.src = publication.logo;
+      logo.alt = '';
+    } else {
+      logo = document.createElement('div');
+      logo.textContent = publication.name.charAt(0).toUpperCase();
+    }
+    logo.classList.add('publication-logo');
+
+    const info = document.createElement('div');
+    info.className = 'publication-info';
+
+    const name = document.createElement('a');
+    name.className = 'publication-name';
+    name.href = getFeedUrl(publication.host);
+    name.textContent = publication.name;
+    if (publication.otherNames.length > 0) {
+      name.title = `Also seen as ${publication.otherNames.join(', ')}`;
+    }
+
+    const host = document.createElement('div');
+    host.className = 'publication-host';
+    host.textContent = publication.host;
+    if (rules.pinnedPublications.includes(publication.host)) host.append(' · Pinned');
+    if (rules.mutedPublications.includes(publication.host)) host.append(' · Muted');
+
+    info.append(name, host);
+
+    const stats = document.createElement('div');
+    stats.className = 'publication-stats';
+    [
+      `${publication.postCount} post${publication.postCount === 1 ? '' : 's'}`,
+      `${publication.unreadCount} unread`,
+      `Last post ${formatDate(publication.lastPostAt)}`,
+      Directory.describeCadence(publication.medianIntervalDays)
+    ].forEach(text => {
+      const item = document.createElement('span');
+      item.textContent = text;
+      stats.appendChild(item);
+    });
+
+    const links = document.createElement('div');
+    links.className = 'publication-links';
+    links.appendChild(createExternalLink(publication.homepageUrl, 'Homepage'));
+    if (publication.archiveUrl) {
+      links.appendChild(createExternalLink(publication.archiveUrl, 'Archive'));
+    }
+
+    row.append(logo, info, stats, links);
+    row.addEventListener('click', (e) => {
+      if (e.target.closest('a')) return;
+      window.location.href = name.href;
+    });
+    return row;
+  }
+
+  /**
+   * Render the publication list
+   */
+  function renderPublications() {
+    listEl.innerHTML = '';
+    if (publications.length === 0) {
+      statusEl.textContent = 'No publications yet. Visit substack.com/inbox to collect posts.';
+      statusEl.classList.remove('hidden');
+      listEl.classList.add('hidden');
+      summaryEl.textContent = '';
+      return;
+    }
+
+    publications.forEach(publication => listEl.appendChild(createPublicationRow(publication)));
+    const unread = publications.reduce((sum, publication) => sum + publication.unreadCount, 0);
+    summaryEl.textContent = `${publications.length} publications • ${unread} unread`;
+    statusEl.classList.add('hidden');
+    listEl.classList.remove('hidden');
+  }
+
+  /**
+   * Load the publication directory from the background
+   */
+  async function loadPublications() {
+    const sequence = ++loadSequence;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PUBLICATIONS' });
+      if (sequence !== loadSequence) return;
+      if (!response.success) throw new Error(response.error);
+      publications = response.publications || [];
+      renderPublications();
+    } catch (error) {
+      console.error('[SubstackFront Publications] Error loading publications:', error);
+      statusEl.textContent = 'Could not load publications.';
+      statusEl.classList.remove('hidden');
+      listEl.classList.add('hidden');
+    }
+  }
+
+  // Listen for storage changes (real-time updates)
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes.postsRevision) {
+      loadPublications();
+    }
+  });
+
+  Rules.onChanged(updated => {
+    rules = updated;
+    renderPublications();
+  });
+
+  // Initialize
+  Rules.load()
+    .then(loaded => {
+      rules = loaded;
+    })
+    .catch(error => console.error('[SubstackFront Publications] Error loading rules:', error))
+    .then(loadPublications);
+
+})();
@@ -0,0 +1,213 @@
+// SubstackFront - Offline Reader Script
+// Shows an article cached for offline reading (reader.html?url=<post url>)
+
+(function() {
+  'use strict';
+
+  // DOM Elements
+  const progressEl = document.getElementById('reader-progress');
+  const statusEl = document.getElementById('reader-status');
+  const articleEl = document.getElementById('reader-article');
+  const publicationEl = document.getElementById('article-publication');
+  const titleEl = document.getElementById('article-title');
+  const subtitleEl = document.getElementById('article-subtitle');
+  const bylineEl = document.getElementById('article-byline');
+  const partialEl = document.getElementById('article-partial');
+  const bodyEl = document.getElementById('article-body');
+  const footerEl = document.getElementById('article-footer');
+  const originalLinkEl = document.getElementById('original-link');
+  const fontSmallerBtnEl = document.getElementById('font-smaller-btn');
+  const fontLargerBtnEl = document.getElementById('font-larger-btn');
+  const fontFamilyBtnEl = document.getElementById('font-family-btn');
+  const widthSelectEl = document.getElementById('width-select');
+
+  const Settings = globalThis.SubstackFrontSettings;
+  const Sanitize = globalThis.SubstackFrontSanitize;
+  const ReadingTracker = globalThis.SubstackFrontReadingTracker;
+
+  const READER_WIDTHS = { narrow: '560px', medium: '680px', wide: '840px' };
+
+  const postUrl = new URLSearchParams(window.location.search).get('url');
+
+  // State
+  let settings = { ...Settings.DEFAULT_SETTINGS };
+
+  /**
+   * Apply the typography settings to the page
+   */
+  function applyTypography() {
+    const fontSize = Settings.SETTINGS_SCHEMA.readerFontSize;
+    document.documentElement.style.setProperty('--reader-font-size', `${settings.readerFontSize}px`);
+    document.documentElement.style.setProperty('--reader-width', READER_WIDTHS[settings.readerWidth]);
+    document.body.classList.toggle('font-sans', settings.readerFontFamily === 'sans');
+
+    fontSmallerBtnEl.disabled = settings.readerFontSize <= fontSize.min;
+    fontLargerBtnEl.disabled = settings.readerFontSize >= fontSize.max;
+    fontFamilyBtnEl.textContent = settings.readerFontFamily === 'sans' ? 'Serif' : 'Sans';
+    widthSelectEl.value = settings.readerWidth;
+  }
+
+  /**
+   * Store a typography change and apply it
+   */
+  async function updateTypography(changes) {
+    try {
+      settings = await Settings.save(changes);
+      applyTypography();
+    } catch (error) {
+      console.error('[SubstackFront Reader] Could not save reader settings:', error);
+    }
+  }
+
+  /**
+   * Format a date for the byline
+   */
+  function formatDate(dateString) {
+    if (!dateString) return '';
+    return new Date(dateString).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+  }
+
+  /**
+   * How far through the article the page is scrolled, from 0 to 1
+   */
+  function getScrollProgress() {
+    const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+    if (scrollable <= 0) return 1;
+    return Math.min(1, Math.max(0, window.scrollY / scrollable));
+  }
+
+  /**
+   * Update the progress bar
+   */
+  function handleScroll() {
+    const progress = getScrollProgress();
+    progressEl.style.transform = `scaleX(${progress})`;
+    progressEl.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+  }
+
+  /**
+   * Report reading progress and time to the background, along with the
+   * scroll position so the article reopens where the reader left off
+   */
+  function trackReadingProgress() {
+    ReadingTracker.createReadingTracker({
+      getProgress: getScrollProgress,
+      onReport: ({ progress, activeSeconds }) => {
+        chrome.runtime.sendMessage({
+          type: 'READING_PROGRESS',
+          url: postUrl,
+          progress,
+          activeSeconds,
+          position: Math.round(getScrollProgress() * 100) / 100
+        });
+      }
+    });
+  }
+
+  /**
+   * Show a message in place of the article
+   */
+  function showStatus(message) {
+    statusEl.textContent = message;
+    if (postUrl) {
+      statusEl.append(' ');
+      const link = document.createElement('a');
+      link.href = postUrl;
+      link.textContent = 'Open the original post';
+      statusEl.appendChild(link);
+    }
+    statusEl.classList.remove('hidden');
+    articleEl.classList.add('hidden');
+  }
+
+  /**
+   * Render a cached article
+   */
+  function renderArticle(article, post) {
+    const title = post?.title || 'Untitled';
+    document.title = `${title} - SubstackFront`;
+
+    publicationEl.textContent = post?.publication || '';
+    titleEl.textContent = title;
+    subtitleEl.textContent = post?.subtitle || '';
+    subtitleEl.classList.toggle('hidden', !post?.subtitle);
+    bylineEl.textContent = [
+      post?.authors?.join(', ') || post?.author,
+      formatDate(post?.publishedAt),
+      post?.readingTimeMinutes ? `${post.readingTimeMinutes} min read` : ''
+    ].filter(Boolean).join(' · ');
+    partialEl.classList.toggle('hidden', !article.isPartial);
+    footerEl.textContent = `Saved for offline reading ${formatDate(article.cachedAt)}.`;
+
+    // Cached HTML was sanitized when it was captured; clean it again so
+    // nothing unexpected in storage can reach the page
+    bodyEl.innerHTML = Sanitize.sanitizeHtml(article.html, postUrl).html;
+    bodyEl.querySelectorAll('img').forEach(img => {
+      const cached = article.images?.[img.getAttribute('src')];
+      if (cached) img.src = cached;
+      img.loading = 'lazy';
+    });
+
+    statusEl.classList.add('hidden');
+    articleEl.classList.remove('hidden');
+
+    // Pick up where the reader left off
+    if (article.progress > 0.02 && article.progress < 0.98) {
+      const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+      window.scrollTo(0, scrollable * article.progress);
+    }
+    handleScroll();
+    trackReadingProgress();
+  }
+
+  /**
+   * Load the article from the offline cache
+   */
+  function loadArticle() {
+    if (!postUrl) {
+      showStatus('No article was given.');
+      return;
+    }
+    originalLinkEl.href = postUrl;
+
+    chrome.runtime.sendMessage({ type: 'GET_CACHED_ARTICLE', url: postUrl }, response => {
+      if (chrome.runtime.lastError || !response?.success) {
+        console.error('[SubstackFront Reader] Failed to load article:', chrome.runtime.lastError || response?.error);
+        showStatus('Could not load this article.');
+        return;
+      }
+      if (!response.article) {
+        showStatus('This article is not saved for offline reading.');
+        return;
+      }
+      renderArticle(response.article, response.post);
+    });
+  }
+
+  // Event Listeners
+  fontSmallerBtnEl.addEventListener('click', () => updateTypography({ readerFontSize: settings.readerFontSize - 1 }));
+  fontLargerBtnEl.addEventListener('click', () => updateTypography({ readerFontSize: settings.readerFontSize + 1 }));
+  fontFamilyBtnEl.addEventListener('click', () =>
+    updateTypography({ readerFontFamily: settings.readerFontFamily === 'sans' ? 'serif' : 'sans' })
+  );
+  widthSelectEl.addEventListener('change', () => updateTypography({ readerWidth: widthSelectEl.value }));
+  window.addEventListener('scroll', handleScroll, { passive: true });
+
+  // Typography changed in another reader tab or the options page
+  Settings.onChanged(updated => {
+    settings = updated;
+    applyTypography();
+  });
+
+  // Initialize
+  Settings.load().then(loaded => {
+    settings = loaded;
+    applyTypography();
+    loadArticle();
+  });
+
+})();
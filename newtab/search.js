@@ -0,0 +1,338 @@
+// SubstackFront - Post Search
+// In-memory inverted index over title, subtitle, author and publication
+
+(function(root) {
+  'use strict';
+
+  // Relative weight of a match in each field
+  const FIELD_WEIGHTS = {
+    title: 4,
+    publication: 2,
+    author: 2,
+    subtitle: 1
+  };
+  const FIELDS = Object.keys(FIELD_WEIGHTS);
+
+  /**
+   * Lowercase and strip diacritics so "Café" matches "cafe"
+   */
+  function normalize(text) {
+    return (text || '')
+      .normalize('NFKD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase();
+  }
+
+  /**
+   * Split text into normalized word tokens
+   */
+  function tokenize(text) {
+    return normalize(text).split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  }
+
+  /**
+   * Parse a query string into free-text terms, phrases and operators.
+   * Supports: pub:"Name", pub:name, author:"Name", author:name,
+   * is:unread, is:read and "quoted phrases".
+   */
+  function parseQuery(query) {
+    const parsed = {
+      terms: [],
+      phrases: [],
+      publication: null,
+      author: null,
+      isRead: null
+    };
+
+    const pattern = /(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+    let match;
+
+    while ((match = pattern.exec(query || '')) !== null) {
+      const operator = (match[1] || match[3] || '').toLowerCase();
+      const operand = match[2] !== undefined ? match[2] : match[4];
+
+      if (operator === 'pub' || operator === 'publication') {
+        parsed.publication = normalize(operand).trim() || null;
+      } else if (operator === 'author' || operator === 'by') {
+        parsed.author = normalize(operand).trim() || null;
+      } else if (operator === 'is' && /^(un)?read$/i.test(operand)) {
+        parsed.isRead = operand.toLowerCase() === 'read';
+      } else if (match[5] !== undefined) {
+        const phrase = normalize(match[5]).trim();
+        if (phrase) parsed.phrases.push(phrase);
+      } else {
+        // Unknown operators are treated as plain text
+        parsed.terms.push(...tokenize(match[0]));
+      }
+    }
+
+    return parsed;
+  }
+
+  /**
+   * Check if a parsed query has anything to match
+   */
+  function isEmptyQuery(parsed) {
+    return parsed.terms.length === 0 &&
+      parsed.phrases.length === 0 &&
+      parsed.publication === null &&
+      parsed.author === null &&
+      parsed.isRead === null;
+  }
+
+  /**
+   * Get the publish date of a post in ms (0 if unknown)
+   */
+  function getPostTime(post) {
+    const time = new Date(post.publishedAt || post.extractedAt).getTime();
+    return isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Escape HTML special characters
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Escape a string for use inside a RegExp
+   */
+  function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
+  /**
+   * Return escaped HTML for text with every highlight term wrapped in <mark>.
+   * Terms match at word starts, so "econ" highlights "Economics".
+   */
+  function highlight(text, highlightTerms) {
+    if (!text) return '';
+    if (!highlightTerms || highlightTerms.length === 0) return escapeHtml(text);
+
+    // Match against a normalized copy, which keeps the same length for
+    // most Latin text; fall back to plain escaping when it doesn't
+    const normalized = normalize(text);
+    if (normalized.length !== text.length) return escapeHtml(text);
+
+    const sorted = [...highlightTerms].sort((a, b) => b.length - a.length);
+    const pattern = new RegExp(`(^|[^\\p{L}\\p{N}])(${sorted.map(escapeRegExp).join('|')})`, 'gu');
+
+    let html = '';
+    let lastIndex = 0;
+    let match;
+    while ((match = pattern.exec(normalized)) !== null) {
+      const start = match.index + match[1].length;
+      const end = start + match[2].length;
+      html += escapeHtml(text.slice(lastIndex, start));
+      html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+      lastIndex = end;
+      if (match[0].length === 0) pattern.lastIndex++;
+    }
+    html += escapeHtml(text.slice(lastIndex));
+    return html;
+  }
+
+  /**
+   * Create a search index. Call update() with the full post list whenever
+   * it changes; only added, removed or edited posts are re-indexed.
+   */
+  function createSearchIndex() {
+    // url -> { post, signature, fields: {field: normalized text}, tokens: Set }
+    const documents = new Map();
+    // token -> Set of urls
+    const postings = new Map();
+
+    function getSignature(post) {
+      return FIELDS.map(field => post[field] || '').join('\u0000');
+    }
+
+    function removeDocument(url) {
+      const doc = documents.get(url);
+      if (!doc) return;
+      doc.tokens.forEach(token => {
+        const urls = postings.get(token);
+        if (!urls) return;
+        urls.delete(url);
+        if (urls.size === 0) postings.delete(token);
+      });
+      documents.delete(url);
+    }
+
+    function addDocument(post, signature) {
+      const fields = {};
+      const tokens = new Set();
+      FIELDS.forEach(field => {
+        fields[field] = normalize(post[field]);
+        tokenize(post[field]).forEach(token => tokens.add(token));
+      });
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(post.url);
+      });
+      documents.set(post.url, { post, signature, fields, tokens });
+    }
+
+    /**
+     * Sync the index with a post list
+     * @returns {{added: number, updated: number, removed: number}}
+     */
+    function update(posts) {
+      const stats = { added: 0, updated: 0, removed: 0 };
+      const seen = new Set();
+
+      posts.forEach(post => {
+        seen.add(post.url);
+        const signature = getSignature(post);
+        const existing = documents.get(post.url);
+
+        if (!existing) {
+          addDocument(post, signature);
+          stats.added++;
+        } else if (existing.signature !== signature) {
+          removeDocument(post.url);
+          addDocument(post, signature);
+          stats.updated++;
+        } else {
+          // Text unchanged; keep the latest object for read state etc.
+          existing.post = post;
+        }
+      });
+
+      Array.from(documents.keys()).forEach(url => {
+        if (!seen.has(url)) {
+          removeDocument(url);
+          stats.removed++;
+        }
+      });
+
+      return stats;
+    }
+
+    /**
+     * Get urls of posts with a token starting with term
+     */
+    function lookupPrefix(term) {
+      const urls = new Set();
+      postings.get(term)?.forEach(url => urls.add(url));
+      postings.forEach((tokenUrls, token) => {
+        if (token !== term && token.startsWith(term)) {
+          tokenUrls.forEach(url => urls.add(url));
+        }
+      });
+      return urls;
+    }
+
+    /**
+     * Score one free-text term against a document's fields
+     */
+    function scoreTerm(doc, term) {
+      let score = 0;
+      const wordStart = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u');
+      const wholeWord = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}($|[^\\p{L}\\p{N}])`, 'u');
+
+      FIELDS.forEach(field => {
+        const text = doc.fields[field];
+        if (wholeWord.test(text)) score += FIELD_WEIGHTS[field];
+        else if (wordStart.test(text)) score += FIELD_WEIGHTS[field] * 0.5;
+      });
+      return score;
+    }
+
+    /**
+     * Score a phrase (substring match, weighted higher than single terms)
+     */
+    function scorePhrase(doc, phrase) {
+      let score = 0;
+      FIELDS.forEach(field => {
+        if (doc.fields[field].includes(phrase)) score += FIELD_WEIGHTS[field] * 2;
+      });
+      return score;
+    }
+
+    /**
+     * Search the index
+     * @param {string} query - raw query string
+     * @returns {{posts: Object[], highlightTerms: string[]}} ranked posts
+     */
+    function search(query) {
+      const parsed = parseQuery(query);
+      const allPosts = Array.from(documents.values(), doc => doc.post);
+
+      if (isEmptyQuery(parsed)) {
+        return { posts: allPosts, highlightTerms: [] };
+      }
+
+      // Narrow candidates with the inverted index, one term at a time
+      let candidates = null;
+      parsed.terms.forEach(term => {
+        const urls = lookupPrefix(term);
+        candidates = candidates === null
+          ? urls
+          : new Set([...candidates].filter(url => urls.has(url)));
+      });
+
+      const docs = candidates === null
+        ? Array.from(documents.values())
+        : Array.from(candidates, url => documents.get(url));
+
+      const hasText = parsed.terms.length > 0 || parsed.phrases.length > 0;
+      const now = Date.now();
+      const results = [];
+
+      docs.forEach(doc => {
+        const { post, fields } = doc;
+        if (parsed.isRead !== null && Boolean(post.isRead) !== parsed.isRead) return;
+        if (parsed.publication !== null && !fields.publication.includes(parsed.publication)) return;
+        if (parsed.author !== null && !fields.author.includes(parsed.author)) return;
+
+        let score = 0;
+        for (const phrase of parsed.phrases) {
+          const phraseScore = scorePhrase(doc, phrase);
+          if (phraseScore === 0) return;
+          score += phraseScore;
+        }
+        parsed.terms.forEach(term => {
+          score += scoreTerm(doc, term);
+        });
+
+        // Small recency boost so equally good matches show newest first
+        const ageDays = Math.max(0, (now - getPostTime(post)) / 86400000);
+        score += 1 / (1 + ageDays);
+
+        results.push({ post, score });
+      });
+
+      if (hasText) {
+        results.sort((a, b) => b.score - a.score || getPostTime(b.post) - getPostTime(a.post));
+      } else {
+        results.sort((a, b) => getPostTime(b.post) - getPostTime(a.post));
+      }
+
+      return {
+        posts: results.map(result => result.post),
+        highlightTerms: [...parsed.terms, ...parsed.phrases]
+      };
+    }
+
+    return {
+      update,
+      search,
+      get size() {
+        return documents.size;
+      }
+    };
+  }
+
+  root.SubstackFrontSearch = {
+    createSearchIndex,
+    parseQuery,
+    highlight
+  };
+
+})(globalThis);
@@ -0,0 +1,350 @@
+// SubstackFront - Options Page Script
+
+(function() {
+  'use strict';
+
+  const Settings = globalThis.SubstackFrontSettings;
+  const Rules = globalThis.SubstackFrontRules;
+
+  // DOM Elements
+  const formEl = document.getElementById('settings-form');
+  const resetBtnEl = document.getElementById('reset-btn');
+  const saveStatusEl = document.getElementById('save-status');
+  const customDomainStatusEl = document.getElementById('custom-domain-status');
+  const customDomainBtnEl = document.getElementById('custom-domain-btn');
+  const offlineUsageEl = document.getElementById('offline-usage');
+  const notifyPublicationListEl = document.getElementById('notify-publication-list');
+  const rulesFormEl = document.getElementById('rules-form');
+  const keywordRuleInputEl = document.getElementById('keyword-rule-input');
+  const keywordRuleErrorEl = document.getElementById('keyword-rule-error');
+  const keywordRuleListEl = document.getElementById('keyword-rule-list');
+  const mutedListEl = document.getElementById('muted-list');
+  const pinnedListEl = document.getElementById('pinned-list');
+  const hiddenPostsStatusEl = document.getElementById('hidden-posts-status');
+  const unhidePostsBtnEl = document.getElementById('unhide-posts-btn');
+
+  // Optional permission that lets the background fetch feeds from any host
+  const CUSTOM_DOMAIN_ORIGINS = ['https://*/*'];
+
+  let statusTimeout = null;
+  // Publication host -> newest name, for labelling muted and pinned hosts
+  let publicationNames = new Map();
+  let currentRules = null;
+
+  /**
+   * Show a short status message next to the save button
+   */
+  function showStatus(message, isError = false) {
+    clearTimeout(statusTimeout);
+    saveStatusEl.textContent = message;
+    saveStatusEl.classList.toggle('error', isError);
+    statusTimeout = setTimeout(() => {
+      saveStatusEl.textContent = '';
+    }, 3000);
+  }
+
+  /**
+   * Fill the form from a settings object
+   */
+  function populateForm(settings) {
+    Object.entries(Settings.SETTINGS_SCHEMA).forEach(([key, field]) => {
+      if (field.type === 'list') {
+        formEl.querySelectorAll(`input[name="${key}"]`).forEach(input => {
+          input.checked = settings[key].includes(input.value);
+        });
+        return;
+      }
+      const input = formEl.elements[key];
+      if (!input) return;
+      if (input.type === 'checkbox') {
+        input.checked = settings[key];
+      } else {
+        input.value = String(settings[key]);
+      }
+    });
+    showErrors({});
+  }
+
+  /**
+   * Read raw values from the form, keyed by setting name
+   */
+  function readForm() {
+    const values = {};
+    Object.entries(Settings.SETTINGS_SCHEMA).forEach(([key, field]) => {
+      if (field.type === 'list') {
+        // Lists are a checkbox per entry; without any the list is left alone
+        const inputs = [...formEl.querySelectorAll(`input[name="${key}"]`)];
+        if (inputs.length > 0) {
+          values[key] = inputs.filter(input => input.checked).map(input => input.value);
+        }
+        return;
+      }
+      const input = formEl.elements[key];
+      if (!input) return;
+      if (field.type === 'boolean') {
+        values[key] = input.checked;
+      } else if (field.type === 'integer') {
+        values[key] = input.value === '' ? '' : Number(input.value);
+      } else {
+        values[key] = input.value;
+      }
+    });
+    return values;
+  }
+
+  /**
+   * Show validation errors next to their fields
+   */
+  function showErrors(errors) {
+    formEl.querySelectorAll('[data-error-for]').forEach(el => {
+      const key = el.dataset.errorFor;
+      el.textContent = errors[key] || '';
+      formEl.elements[key]?.classList.toggle('invalid', Boolean(errors[key]));
+    });
+  }
+
+  /**
+   * Validate and save the form
+   */
+  async function handleSubmit(event) {
+    event.preventDefault();
+
+    const { errors } = Settings.validateSettings(readForm());
+    showErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      showStatus('Please fix the highlighted fields', true);
+      return;
+    }
+
+    try {
+      await Settings.save(readForm());
+      showStatus('Saved');
+    } catch (error) {
+      console.error('[SubstackFront Options] Error saving settings:', error);
+      showErrors(error.errors || {});
+      showStatus('Could not save settings', true);
+    }
+  }
+
+  /**
+   * Restore defaults
+   */
+  async function handleReset() {
+    try {
+      populateForm(await Settings.reset());
+      showStatus('Defaults restored');
+    } catch (error) {
+      console.error('[SubstackFront Options] Error resetting settings:', error);
+      showStatus('Could not restore defaults', true);
+    }
+  }
+
+  /**
+   * Show whether feeds on custom domains can be fetched
+   */
+  async function updateCustomDomainStatus() {
+    const granted = await chrome.permissions.contains({ origins: CUSTOM_DOMAIN_ORIGINS });
+    customDomainStatusEl.textContent = granted
+      ? 'Feeds from publications on their own domains are allowed.'
+      : 'Feeds from publications on their own domains need extra permission.';
+    customDomainBtnEl.classList.toggle('hidden', granted);
+  }
+
+  /**
+   * Ask for permission to fetch feeds from custom domains.
+   * Must run from the click handler for Chrome to show the prompt.
+   */
+  async function handleCustomDomainRequest() {
+    try {
+      const granted = await chrome.permissions.request({ origins: CUSTOM_DOMAIN_ORIGINS });
+      if (!granted) showStatus('Permission not granted', true);
+    } catch (error) {
+      console.error('[SubstackFront Options] Error requesting permission:', error);
+      showStatus('Could not request permission', true);
+    }
+    updateCustomDomainStatus();
+  }
+
+  /**
+   * Show how much space offline articles take up
+   */
+  function updateOfflineUsage() {
+    chrome.runtime.sendMessage({ type: 'GET_STORAGE_STATS' }, response => {
+      if (chrome.runtime.lastError || !response?.success) {
+        offlineUsageEl.textContent = '';
+        return;
+      }
+      const usedMb = Math.round(response.offlineBytes / 1024 / 1024 * 10) / 10;
+      const maxMb = Math.round(response.offlineBytesMax / 1024 / 1024);
+      offlineUsageEl.textContent =
+        `${response.offlineArticles} articles saved offline, using about ${usedMb} of ${maxMb} MB.`;
+    });
+  }
+
+  /**
+   * List the publications that can send new-post notifications, by host.
+   * Chosen hosts we no longer have posts from stay listed so saving
+   * doesn't drop them.
+   */
+  function renderNotifyPublications(publications, settings) {
+    const entries = publications.map(pub => ({ host: pub.host, name: pub.name }));
+    const listed = new Set(entries.map(entry => entry.host));
+    settings.notifyPublications
+      .filter(host => !listed.has(host))
+      .forEach(host => entries.push({ host, name: host }));
+
+    notifyPublicationListEl.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = 'No publications yet';
+      notifyPublicationListEl.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const label = document.createElement('label');
+      const input = document.createElement('input');
+      input.type = 'checkbox';
+      input.name = 'notifyPublications';
+      input.value = entry.host;
+      input.checked = settings.notifyPublications.includes(entry.host);
+      const text = document.createElement('span');
+      text.className = 'rule-text';
+      text.textContent = entry.name;
+      if (entry.name !== entry.host) {
+        const host = document.createElement('span');
+        host.className = 'notify-host';
+        host.textContent = ` ${entry.host}`;
+        text.appendChild(host);
+      }
+      label.append(input, text);
+      item.appendChild(label);
+      notifyPublicationListEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Load the publications for the notification list
+   */
+  async function loadNotifyPublications(settings) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PUBLICATIONS' });
+      if (!response.success) throw new Error(response.error);
+      publicationNames = new Map(response.publications.map(pub => [pub.host, pub.name]));
+      renderNotifyPublications(response.publications, settings);
+      if (currentRules) renderRules(currentRules);
+    } catch (error) {
+      console.error('[SubstackFront Options] Error loading publications:', error);
+      renderNotifyPublications([], settings);
+    }
+  }
+
+  /**
+   * Fill a rule list, with a button on each entry that removes it.
+   * Publication hosts are shown with the publication's name.
+   */
+  function renderRuleList(listEl, entries, buttonLabel, remove, isHostList = false) {
+    listEl.innerHTML = '';
+    if (entries.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'rule-empty';
+      empty.textContent = 'None';
+      listEl.appendChild(empty);
+      return;
+    }
+
+    entries.forEach(entry => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.className = 'rule-text';
+      text.textContent = isHostList ? publicationNames.get(entry) || entry : entry;
+      if (text.textContent !== entry) {
+        const host = document.createElement('span');
+        host.className = 'rule-host';
+        host.textContent = ` ${entry}`;
+        text.appendChild(host);
+      }
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'btn';
+      button.textContent = buttonLabel;
+      button.addEventListener('click', () => updateRules(remove(entry)));
+      item.append(text, button);
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Show the current filter rules
+   */
+  function renderRules(rules) {
+    currentRules = rules;
+    renderRuleList(keywordRuleListEl, rules.keywordRules, 'Remove', rule => Rules.removeKeywordRule(rule));
+    renderRuleList(mutedListEl, rules.mutedPublications, 'Unmute', host => Rules.setPublicationMuted(host, false), true);
+    renderRuleList(pinnedListEl, rules.pinnedPublications, 'Unpin', host => Rules.setPublicationPinned(host, false), true);
+
+    const hiddenCount = rules.hiddenPosts.length;
+    hiddenPostsStatusEl.textContent = hiddenCount === 0
+      ? 'No posts are hidden individually.'
+      : `${hiddenCount} post${hiddenCount === 1 ? ' is' : 's are'} hidden individually.`;
+    unhidePostsBtnEl.disabled = hiddenCount === 0;
+  }
+
+  /**
+   * Wait for a rule change (the list re-renders via the rules listener)
+   */
+  async function updateRules(pending) {
+    try {
+      await pending;
+    } catch (error) {
+      console.error('[SubstackFront Options] Error updating filters:', error);
+      showStatus('Could not update filters', true);
+    }
+  }
+
+  /**
+   * Add the keyword rule typed into the filter box
+   */
+  async function handleAddKeywordRule(event) {
+    event.preventDefault();
+    const rule = keywordRuleInputEl.value;
+    try {
+      Rules.compileKeywordRule(rule);
+    } catch (error) {
+      keywordRuleErrorEl.textContent = error.message;
+      keywordRuleInputEl.classList.add('invalid');
+      return;
+    }
+
+    keywordRuleErrorEl.textContent = '';
+    keywordRuleInputEl.classList.remove('invalid');
+    keywordRuleInputEl.value = '';
+    await updateRules(Rules.addKeywordRule(rule));
+  }
+
+  // Event Listeners
+  formEl.addEventListener('submit', handleSubmit);
+  rulesFormEl.addEventListener('submit', handleAddKeywordRule);
+  unhidePostsBtnEl.addEventListener('click', () => updateRules(Rules.unhideAllPosts()));
+  Rules.onChanged(renderRules);
+  resetBtnEl.addEventListener('click', handleReset);
+  customDomainBtnEl.addEventListener('click', handleCustomDomainRequest);
+
+  // Keep the form in sync with changes made elsewhere (e.g. the popup toggle)
+  Settings.onChanged(settings => {
+    populateForm(settings);
+    updateOfflineUsage();
+  });
+
+  // Initialize
+  Settings.load().then(async settings => {
+    await loadNotifyPublications(settings);
+    populateForm(settings);
+  });
+  Rules.load().then(renderRules);
+  updateCustomDomainStatus();
+  updateOfflineUsage();
+
+})();
@@ -9,13 +9,56 @@
   const postGridEl = document.getElementById('post-grid');
   const refreshBtnEl = document.getElementById('refresh-btn');
   const expandBtnEl = document.getElementById('expand-btn');
+  const markReadBtnEl = document.getElementById('mark-read-btn');
+  const popupOnlyToggleEl = document.getElementById('popup-only-toggle');
   const statsEl = document.getElementById('stats');
+  const refreshProgressEl = document.getElementById('refresh-progress');
+  const extractionWarningEl = document.getElementById('extraction-warning');
+  const continueReadingEl = document.getElementById('continue-reading');
+  const continueListEl = continueReadingEl.querySelector('.continue-list');
   const toastEl = document.getElementById('toast');
   const toastMessageEl = toastEl.querySelector('.toast-message');
 
+  const Settings = globalThis.SubstackFrontSettings;
+  const Rules = globalThis.SubstackFrontRules;
+  const Directory = globalThis.SubstackFrontDirectory;
+  const Menu = globalThis.SubstackFrontMenu;
+  const Keyboard = globalThis.SubstackFrontKeyboard;
+  const RefreshJobs = globalThis.SubstackFrontRefreshJobs;
+  const PostUrl = globalThis.SubstackFrontPostUrl;
+
+  // Fields that change when a post is read/unread, saved/unsaved or read
+  // further; changes limited to these are patched into cards without re-rendering
+  const CARD_STATE_FIELDS = [
+    'isRead',
+    'readStateChangedAt',
+    'readStateSource',
+    'substackIsRead',
+    'substackObservedAt',
+    'isSaved',
+    'savedAt',
+    'progress',
+    'timeSpent',
+    'finishedAt',
+    'progressUpdatedAt'
+  ];
+
+  const BOOKMARK_ICON = `
+    <svg width="10" height="10" viewBox="0 0 24 24" stroke="currentColor" stroke-width="2">
+      <path d="M19 21l-7-5-7 5V5a2 2 0 0 1 2-2h10a2 2 0 0 1 2 2z"/>
+    </svg>`;
+
+  // The popup only shows the newest posts; the new tab page has the rest
+  const POPUP_POST_LIMIT = 150;
+
   // State
+  let settings = { ...Settings.DEFAULT_SETTINGS };
+  let rules = Rules.normalizeRules(null);
   let allPosts = [];
+  let continuePosts = [];
   let toastTimeout = null;
+  let loadSequence = 0;
+  const cardFocus = Keyboard.createRovingFocus(postGridEl, { itemSelector: '.post-card' });
 
   /**
    * Show toast notification
@@ -40,7 +83,7 @@
 
     toastTimeout = setTimeout(() => {
       toastEl.classList.remove('show');
-    }, 3000);
+    }, settings.toastDurationMs);
   }
 
   /**
@@ -72,13 +115,98 @@
   }
 
   /**
-   * Escape HTML to prevent XSS
+   * Escape HTML to prevent XSS. Quotes are escaped too, so the result is
+   * safe inside a quoted attribute.
    */
   function escapeHtml(text) {
     if (!text) return '';
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Get the page to open for a post: the offline reader when the article
+   * is cached, otherwise the post itself
+   */
+  function getPostOpenUrl(post) {
+    if (settings.offlineReaderEnabled && post.offlineCachedAt) {
+      return chrome.runtime.getURL(`newtab/reader.html?url=${encodeURIComponent(post.url)}`);
+    }
+    return PostUrl.getSiteUrl(post);
+  }
+
+  /**
+   * Whether opening a post should mark it read straight away. Otherwise
+   * the article page (or the offline reader) reports reading progress and
+   * the post is marked read once enough of it has been read. Custom
+   * domains are out of the content script's reach, so those are marked
+   * read on open.
+   */
+  function marksReadOnOpen(post) {
+    if (settings.markReadWhen === 'opened') return true;
+    const openUrl = getPostOpenUrl(post);
+    if (openUrl !== PostUrl.getSiteUrl(post)) return false;
+    try {
+      return !/(^|\.)substack\.com$/.test(new URL(openUrl).hostname);
+    } catch (error) {
+      return true;
+    }
+  }
+
+  /**
+   * Show how far a started post has been read
+   */
+  function applyCardProgress(card, post) {
+    let bar = card.querySelector('.post-progress');
+    if (!(post.progress > 0) || post.finishedAt) {
+      bar?.remove();
+      return;
+    }
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.className = 'post-progress';
+      bar.appendChild(document.createElement('span'));
+      card.appendChild(bar);
+    }
+    const percent = Math.round(post.progress * 100);
+    bar.title = `${percent}% read`;
+    bar.firstElementChild.style.width = `${percent}%`;
+  }
+
+  /**
+   * Describe how much of a started post is left
+   */
+  function formatRemaining(post) {
+    const percent = Math.round(post.progress * 100);
+    if (!post.readingTimeMinutes) return `${percent}% read`;
+    const minutesLeft = Math.max(1, Math.ceil(post.readingTimeMinutes * (1 - post.progress)));
+    return `${percent}% read · ${minutesLeft} min left`;
+  }
+
+  /**
+   * Create a card for the "Continue reading" rail
+   */
+  function createContinueCard(post) {
+    const card = document.createElement('article');
+    card.className = 'continue-card';
+    card.dataset.url = post.url;
+    card.innerHTML = `
+      <span class="publication-name">${escapeHtml(post.publication)}</span>
+      <h3 class="continue-title">${escapeHtml(post.title)}</h3>
+      <span class="continue-meta">${formatRemaining(post)}</span>
+    `;
+    applyCardProgress(card, post);
+    card.addEventListener('click', () => openPost(post));
+    return card;
+  }
+
+  /**
+   * Open a post in a new tab
+   */
+  function openPost(post) {
+    if (marksReadOnOpen(post)) markAsRead(post.url);
+    chrome.tabs.create({ url: getPostOpenUrl(post) });
   }
 
   /**
@@ -88,13 +216,14 @@
     const card = document.createElement('article');
     card.className = `post-card${post.isRead ? ' read' : ''}`;
     card.dataset.url = post.url;
+    card.setAttribute('aria-label', post.title || 'Untitled');
 
     const imageHtml = post.coverImage
-      ? `<img class="post-image" src="${post.coverImage}" alt="" loading="lazy">`
+      ? `<img class="post-image" src="${escapeHtml(post.coverImage)}" alt="" loading="lazy">`
       : `<div class="post-image-placeholder">${getInitial(post.publication)}</div>`;
 
     const logoHtml = post.publicationLogo
-      ? `<img class="publication-logo" src="${post.publicationLogo}" alt="">`
+      ? `<img class="publication-logo" src="${escapeHtml(post.publicationLogo)}" alt="">`
       : '';
 
     card.innerHTML = `
@@ -106,28 +235,143 @@
         </div>
         <h2 class="post-title">${escapeHtml(post.title)}</h2>
         <div class="post-meta">
-          <span class="post-date">${formatRelativeDate(post.publishedAt)}</span>
+          <span class="post-date">${formatRelativeDate(post.publishedAt)}${post.readingTimeMinutes ? ` · ${post.readingTimeMinutes} min` : ''}</span>
+          ${post.isPaywalled ? '<span class="post-paywall" title="For paid subscribers">Paid</span>' : ''}
+          ${post.offlineCachedAt ? '<span class="post-offline" title="Saved for offline reading">Offline</span>' : ''}
+          <button type="button" class="save-btn" aria-pressed="false">${BOOKMARK_ICON}</button>
           ${!post.isRead ? '<span class="unread-dot" title="Unread"></span>' : ''}
         </div>
       </div>
     `;
+    applyCardSavedState(card, Boolean(post.isSaved));
+    applyCardProgress(card, post);
 
     // Click handler - opens in new tab
-    card.addEventListener('click', () => {
-      markAsRead(post.url);
-      chrome.tabs.create({ url: post.url });
+    card.addEventListener('click', () => openPost(post));
+
+    card.querySelector('.save-btn').addEventListener('click', (e) => {
+      e.stopPropagation();
+      const current = allPosts.find(p => p.url === post.url);
+      setSaved(post.url, !current?.isSaved);
+    });
+
+    card.addEventListener('contextmenu', (e) => {
+      e.preventDefault();
+      openCardMenu(post.url, e.clientX, e.clientY, card);
     });
 
     return card;
   }
 
   /**
-   * Render posts to grid (all posts, scrollable)
+   * Show a card as read or unread
+   */
+  function applyCardReadState(card, isRead) {
+    card.classList.toggle('read', isRead);
+    const unreadDot = card.querySelector('.unread-dot');
+    if (isRead && unreadDot) {
+      unreadDot.remove();
+    } else if (!isRead && !unreadDot) {
+      card.querySelector('.post-meta').insertAdjacentHTML('beforeend',
+        '<span class="unread-dot" title="Unread"></span>');
+    }
+  }
+
+  /**
+   * Show a card as saved or not saved
+   */
+  function applyCardSavedState(card, isSaved) {
+    card.classList.toggle('saved', isSaved);
+    const saveBtn = card.querySelector('.save-btn');
+    saveBtn.setAttribute('aria-pressed', String(isSaved));
+    saveBtn.title = isSaved ? 'Remove from saved' : 'Save for later';
+  }
+
+  /**
+   * Menu items that pin or mute a post's publication, by host. Posts
+   * whose URL doesn't identify a publication get none.
+   */
+  function getPublicationRuleItems(post) {
+    const host = Directory.getPublicationHost(post.url);
+    if (!host) return [];
+    return [
+      rules.pinnedPublications.includes(host)
+        ? {
+          label: `Unpin ${post.publication}`,
+          action: () => changeRules(Rules.setPublicationPinned(host, false), `Unpinned ${post.publication}`)
+        }
+        : {
+          label: `Pin ${post.publication} to the top`,
+          action: () => changeRules(Rules.setPublicationPinned(host, true), `Pinned ${post.publication}`)
+        },
+      {
+        label: `Mute ${post.publication}`,
+        action: () => changeRules(Rules.setPublicationMuted(host, true), `Muted ${post.publication}`)
+      }
+    ];
+  }
+
+  /**
+   * Open the context menu for a card
+   */
+  function openCardMenu(url, x, y, card) {
+    const post = allPosts.find(p => p.url === url);
+    if (!post) return;
+
+    Menu.open({
+      x,
+      y,
+      returnFocusTo: card,
+      items: [
+        post.isRead
+          ? { label: 'Mark as unread', action: () => setReadState([post.url], false) }
+          : { label: 'Mark as read', action: () => setReadState([post.url], true) },
+        post.isSaved
+          ? { label: 'Remove from saved', action: () => setSaved(post.url, false) }
+          : { label: 'Save for later', action: () => setSaved(post.url, true) },
+        { label: 'Hide this post', action: () => changeRules(Rules.setPostHidden(post.url, true), 'Post hidden') },
+        {
+          label: `Mark all from ${post.publication} as read`,
+          action: () => markAllRead(getPublicationScope(post))
+        },
+        ...getPublicationRuleItems(post)
+      ]
+    });
+  }
+
+  /**
+   * Wait for a rule change and confirm it (cards update via the rules listener)
+   */
+  async function changeRules(pending, successMessage) {
+    try {
+      await pending;
+      showToast(successMessage, 'success');
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error updating rules:', error);
+      showToast('Could not update filters', 'error');
+    }
+  }
+
+  /**
+   * Load the mute, hide, pin and keyword rules
+   */
+  async function loadRules() {
+    try {
+      rules = await Rules.load();
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error loading rules:', error);
+    }
+  }
+
+  /**
+   * Render posts to grid (all posts, scrollable), leaving out the ones
+   * hidden by rules and putting pinned publications first
    */
   function renderPosts(posts) {
+    const visible = Rules.pinFirst(Rules.applyRules(posts, rules).posts, rules);
     postGridEl.innerHTML = '';
 
-    if (posts.length === 0) {
+    if (visible.length === 0) {
       postGridEl.classList.add('hidden');
       emptyStateEl.classList.remove('hidden');
       return;
@@ -136,33 +380,157 @@
     emptyStateEl.classList.add('hidden');
     postGridEl.classList.remove('hidden');
 
-    posts.forEach((post) => {
+    visible.forEach((post) => {
       const card = createPostCard(post);
       postGridEl.appendChild(card);
     });
+    cardFocus.sync();
+  }
+
+  /**
+   * Show the "Continue reading" rail above the grid
+   */
+  function renderContinueReading() {
+    const posts = Rules.applyRules(continuePosts, rules).posts;
+    continueReadingEl.classList.toggle('hidden', posts.length === 0);
+    continueListEl.innerHTML = '';
+    posts.forEach(post => continueListEl.appendChild(createContinueCard(post)));
   }
 
   /**
-   * Update stats display (compact format)
+   * Load the posts that were started but not finished
    */
-  function updateStats(posts) {
-    const total = posts.length;
-    const unread = posts.filter(p => !p.isRead).length;
-    statsEl.textContent = `${unread}/${total} unread`;
+  async function loadContinueReading() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CONTINUE_READING' });
+      if (!response.success) throw new Error(response.error);
+      continuePosts = response.posts || [];
+      renderContinueReading();
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error loading continue reading:', error);
+    }
+  }
+
+  /**
+   * Patch in reading progress reported while this page is open, without
+   * reloading the posts. The rail is only reloaded when a post joins it.
+   * @param {Object[]} updates - from the background's READING_PROGRESS_CHANGED
+   */
+  function applyReadingProgress(updates) {
+    let railChanged = false;
+    let railJoined = false;
+    updates.forEach(({ continueReading, ...update }) => {
+      const post = allPosts.find(candidate => candidate.url === update.url);
+      if (post) {
+        Object.assign(post, update);
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (card) applyCardProgress(card, post);
+      }
+
+      const index = continuePosts.findIndex(candidate => candidate.url === update.url);
+      if (index === -1) {
+        railJoined = railJoined || continueReading;
+        return;
+      }
+      if (continueReading) {
+        continuePosts[index] = { ...continuePosts[index], ...update };
+      } else {
+        continuePosts.splice(index, 1);
+      }
+      railChanged = true;
+    });
+
+    if (railJoined) {
+      loadContinueReading();
+    } else if (railChanged) {
+      continuePosts.sort((a, b) => (b.progressUpdatedAt || '').localeCompare(a.progressUpdatedAt || ''));
+      renderContinueReading();
+    }
+  }
+
+  /**
+   * Update stats display (compact format). Counts come from the background
+   * since the popup only holds the newest posts.
+   */
+  async function updateStats() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_STATS' });
+      if (!response.success) return;
+      const hidden = response.hiddenPosts > 0 ? ` · ${response.hiddenPosts} hidden` : '';
+      statsEl.textContent = `${response.unreadPosts}/${response.totalPosts} unread${hidden}`;
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error loading stats:', error);
+    }
+  }
+
+  /**
+   * Show last refresh time (and last error) as a tooltip on the stats
+   */
+  async function loadRefreshStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_REFRESH_STATUS' });
+      if (!response.success) return;
+
+      const { status } = response;
+      const lines = [];
+      if (status.lastSuccessAt) {
+        lines.push(`Last refreshed: ${new Date(status.lastSuccessAt).toLocaleString()}`);
+      }
+      if (status.lastError && (!status.lastSuccessAt || status.lastErrorAt > status.lastSuccessAt)) {
+        lines.push(`Last refresh failed: ${status.lastError}`);
+      }
+      statsEl.title = lines.join('\n');
+      showRefreshProgress(response.job);
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error loading refresh status:', error);
+    }
+  }
+
+  /**
+   * Show how a refresh is going below the header, whether it was started
+   * here, in another surface or on a schedule
+   */
+  function showRefreshProgress(job) {
+    const running = Boolean(job) && job.stage !== 'done' && job.stage !== 'failed';
+    refreshProgressEl.textContent = running ? RefreshJobs.describeJob(job) : '';
+    refreshProgressEl.classList.toggle('hidden', !running);
+    refreshBtnEl.classList.toggle('loading', running);
+  }
+
+  /**
+   * Show a warning icon when the last inbox extraction looked broken
+   */
+  async function loadExtractionHealth() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_EXTRACTION_HEALTH' });
+      const health = response.success ? response.health : null;
+      const degraded = health && health.status !== 'ok';
+      extractionWarningEl.classList.toggle('hidden', !degraded);
+      extractionWarningEl.title = degraded
+        ? `Some inbox posts could not be read: ${health.problems.join('; ')}`
+        : '';
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error loading extraction health:', error);
+    }
   }
 
   /**
    * Load posts from storage
    */
   async function loadPosts() {
+    const sequence = ++loadSequence;
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_POSTS' });
+      const response = await chrome.runtime.sendMessage({
+        type: 'QUERY_POSTS',
+        filter: { limit: POPUP_POST_LIMIT }
+      });
+      // A newer load started while this one was in flight
+      if (sequence !== loadSequence) return;
 
       if (response.success) {
-        allPosts = response.posts || [];
         loadingEl.classList.add('hidden');
-        updateStats(allPosts);
-        renderPosts(allPosts);
+        setPosts(response.posts || []);
+        loadContinueReading();
       } else {
         throw new Error(response.error || 'Failed to load posts');
       }
@@ -174,40 +542,148 @@
   }
 
   /**
-   * Mark post as read
+   * If newPosts differ from oldPosts only in read/saved state or reading
+   * progress, return the posts that changed; otherwise null (a full
+   * re-render is needed)
+   */
+  function diffCardState(oldPosts, newPosts) {
+    if (oldPosts.length === 0 || oldPosts.length !== newPosts.length) return null;
+
+    const withoutCardState = (post) => {
+      const copy = { ...post };
+      CARD_STATE_FIELDS.forEach(field => delete copy[field]);
+      return JSON.stringify(copy);
+    };
+
+    const changed = [];
+    for (let i = 0; i < newPosts.length; i++) {
+      const before = oldPosts[i];
+      const after = newPosts[i];
+      if (before.url !== after.url) return null;
+      if (before !== after && withoutCardState(before) !== withoutCardState(after)) return null;
+      if (Boolean(before.isRead) !== Boolean(after.isRead) ||
+          Boolean(before.isSaved) !== Boolean(after.isSaved) ||
+          before.progress !== after.progress ||
+          before.finishedAt !== after.finishedAt) {
+        changed.push(after);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Replace the post list; read/saved-only changes patch cards in place
    */
-  async function markAsRead(url) {
+  function setPosts(posts) {
+    const changed = diffCardState(allPosts, posts);
+    allPosts = posts;
+    updateStats();
+
+    if (changed) {
+      changed.forEach(post => {
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (!card) return;
+        applyCardReadState(card, Boolean(post.isRead));
+        applyCardSavedState(card, Boolean(post.isSaved));
+        applyCardProgress(card, post);
+      });
+      return;
+    }
+
+    renderPosts(allPosts);
+  }
+
+  /**
+   * Set read state for posts and update their cards
+   */
+  async function setReadState(urls, isRead) {
     try {
-      await chrome.runtime.sendMessage({ type: 'MARK_READ', url });
+      const response = await chrome.runtime.sendMessage({ type: 'SET_READ_STATE', urls, isRead });
+      if (!response.success) throw new Error(response.error);
+
+      const urlSet = new Set(urls);
+      allPosts.forEach(post => {
+        if (!urlSet.has(post.url)) return;
+        post.isRead = isRead;
+        const card = postGridEl.querySelector(`[data-url="${CSS.escape(post.url)}"]`);
+        if (card) applyCardReadState(card, isRead);
+      });
+      updateStats();
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error updating read state:', error);
+      showToast('Could not update read state', 'error');
+    }
+  }
 
-      const post = allPosts.find(p => p.url === url);
-      if (post) {
-        post.isRead = true;
-        const card = document.querySelector(`[data-url="${CSS.escape(url)}"]`);
-        if (card) {
-          card.classList.add('read');
-          const unreadDot = card.querySelector('.unread-dot');
-          if (unreadDot) unreadDot.remove();
-        }
-        updateStats(allPosts);
-      }
+  /**
+   * Save a post for later, or remove it from saved
+   */
+  async function setSaved(url, isSaved) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SET_SAVED', url, isSaved });
+      if (!response.success) throw new Error(response.error);
+      showToast(isSaved ? 'Saved for later' : 'Removed from saved', 'success');
     } catch (error) {
-      console.error('[SubstackFront Popup] Error marking as read:', error);
+      console.error('[SubstackFront Popup] Error saving post:', error);
+      showToast('Could not update saved posts', 'error');
     }
   }
 
   /**
-   * Handle refresh button click
+   * Mark post as read
+   */
+  function markAsRead(url) {
+    return setReadState([url], true);
+  }
+
+  /**
+   * Scope a "Mark all as read" to a post's publication, by host when the
+   * post URL identifies one
    */
-  async function handleRefresh() {
+  function getPublicationScope(post) {
+    const host = Directory.getPublicationHost(post.url);
+    return host ? { host } : { publication: post.publication };
+  }
+
+  /**
+   * Mark all posts in a scope as read (cards update via the storage listener)
+   * @param {Object} scope - { publication?, host?, olderThanDays? }
+   */
+  async function markAllRead(scope = {}) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'MARK_ALL_READ', ...scope });
+      if (!response.success) throw new Error(response.error);
+      showToast(`Marked ${response.count} as read`, 'success');
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error marking all as read:', error);
+      showToast('Could not mark posts as read', 'error');
+    }
+  }
+
+  /**
+   * Open the "Mark read" header menu
+   */
+  function openMarkReadMenu() {
+    Menu.openBelow(markReadBtnEl, [
+      { label: 'Mark all as read', action: () => markAllRead() },
+      { label: 'Older than 1 day', action: () => markAllRead({ olderThanDays: 1 }) },
+      { label: 'Older than 7 days', action: () => markAllRead({ olderThanDays: 7 }) }
+    ]);
+  }
+
+  /**
+   * Handle refresh button click. A deep refresh also scrolls back through
+   * the inbox for older posts.
+   */
+  async function handleRefresh({ deep = false } = {}) {
     refreshBtnEl.disabled = true;
     refreshBtnEl.classList.add('loading');
 
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'REFRESH_FEED' });
+      const response = await chrome.runtime.sendMessage({ type: 'REFRESH_FEED', deep });
       if (response.success) {
         await loadPosts();
-        showToast('Feed refreshed', 'success');
+        showToast(RefreshJobs.describeResult(response), 'success');
       } else {
         console.error('[SubstackFront Popup] Refresh failed:', response.error);
         showToast('Refresh failed: ' + response.error, 'error');
@@ -221,28 +697,140 @@
     }
   }
 
+  /**
+   * Open an extension page in a tab and close the popup
+   */
+  function openPage(path) {
+    chrome.tabs.create({ url: chrome.runtime.getURL(path) });
+    window.close();
+  }
+
   /**
    * Open full new tab page
+   * (source=popup keeps it from redirecting away in Popup Only Mode)
    */
   function handleExpand() {
-    chrome.tabs.create({ url: chrome.runtime.getURL('newtab/newtab.html') });
-    window.close();
+    openPage('newtab/newtab.html?source=popup');
+  }
+
+  /**
+   * Load settings and reflect them in the header controls
+   */
+  async function loadSettings() {
+    settings = await Settings.load();
+    popupOnlyToggleEl.checked = settings.popupOnlyMode;
   }
 
+  /**
+   * Persist Popup Only Mode toggle
+   */
+  async function handlePopupOnlyToggle() {
+    const popupOnlyMode = popupOnlyToggleEl.checked;
+    try {
+      await Settings.save({ popupOnlyMode });
+      showToast(popupOnlyMode ? 'New tab page disabled' : 'New tab page enabled', 'success');
+    } catch (error) {
+      console.error('[SubstackFront Popup] Error saving Popup Only Mode:', error);
+      popupOnlyToggleEl.checked = !popupOnlyMode;
+      showToast('Could not save setting', 'error');
+    }
+  }
+
+  /**
+   * Run an action on the post whose card has keyboard focus
+   */
+  function withFocusedPost(action) {
+    const card = cardFocus.getFocused();
+    const post = card && allPosts.find(p => p.url === card.dataset.url);
+    if (post) action(post);
+  }
+
+  // The popup has no search box, so "/" searches in the tab view
+  const shortcuts = [
+    { keys: ['j'], description: 'Next post', action: () => cardFocus.move(1) },
+    { keys: ['k'], description: 'Previous post', action: () => cardFocus.move(-1) },
+    { keys: ['Enter', 'o'], description: 'Open post', action: () => withFocusedPost(openPost) },
+    {
+      keys: ['m'],
+      description: 'Mark as read or unread',
+      action: () => withFocusedPost(post => setReadState([post.url], !post.isRead))
+    },
+    {
+      keys: ['s'],
+      description: 'Save for later or remove from saved',
+      action: () => withFocusedPost(post => setSaved(post.url, !post.isSaved))
+    },
+    {
+      keys: ['/'],
+      description: 'Search in the tab view',
+      action: () => openPage('newtab/newtab.html?source=popup&focus=search')
+    },
+    { keys: ['g p'], description: 'Go to publications', action: () => openPage('newtab/publications.html') },
+    {
+      keys: ['r'],
+      description: 'Refresh',
+      action: () => {
+        if (!refreshBtnEl.disabled) handleRefresh();
+      }
+    },
+    {
+      keys: ['R'],
+      description: 'Deep refresh (scroll back for older posts)',
+      action: () => {
+        if (!refreshBtnEl.disabled) handleRefresh({ deep: true });
+      }
+    },
+    { keys: ['?'], description: 'Show keyboard shortcuts', action: () => shortcutHelp.toggle() }
+  ];
+  const shortcutHelp = Keyboard.createHelpOverlay(shortcuts);
+
   // Event Listeners
-  refreshBtnEl.addEventListener('click', handleRefresh);
+  Keyboard.bindShortcuts(shortcuts);
+  refreshBtnEl.addEventListener('click', (e) => handleRefresh({ deep: e.shiftKey }));
+  markReadBtnEl.addEventListener('click', openMarkReadMenu);
   expandBtnEl.addEventListener('click', handleExpand);
+  popupOnlyToggleEl.addEventListener('change', handlePopupOnlyToggle);
 
   // Listen for storage changes (real-time updates)
   chrome.storage.onChanged.addListener((changes, areaName) => {
-    if (areaName === 'local' && changes.posts) {
-      allPosts = changes.posts.newValue || [];
-      updateStats(allPosts);
-      renderPosts(allPosts);
+    if (areaName === 'local' && changes.postsRevision) {
+      loadPosts();
+    }
+    if (areaName === 'local' && changes.refreshStatus) {
+      loadRefreshStatus();
+    }
+    if (areaName === 'local' && changes.extractionHealth) {
+      loadExtractionHealth();
+    }
+  });
+
+  // Progress of a refresh started here, in another surface or on a schedule,
+  // and of posts being read in other tabs
+  chrome.runtime.onMessage.addListener((message) => {
+    if (message.type === 'REFRESH_PROGRESS') {
+      showRefreshProgress(message.job);
+    }
+    if (message.type === 'READING_PROGRESS_CHANGED') {
+      applyReadingProgress(message.posts);
     }
   });
 
+  Settings.onChanged(updated => {
+    settings = updated;
+    popupOnlyToggleEl.checked = settings.popupOnlyMode;
+  });
+
+  Rules.onChanged(updated => {
+    rules = updated;
+    renderPosts(allPosts);
+    renderContinueReading();
+    updateStats();
+  });
+
   // Initialize posts
-  loadPosts();
+  loadRules().then(loadPosts);
+  loadRefreshStatus();
+  loadExtractionHealth();
+  loadSettings();
 
 })();
@@ -0,0 +1,145 @@
+// SubstackFront - Publication Directory
+// Identifies publications by host and summarizes the posts stored for each
+
+(function(root) {
+  'use strict';
+
+  const DAY_MS = 86400000;
+
+  /**
+   * Get the host that identifies the publication a post belongs to.
+   * Display names can collide or be renamed; the host can't. Posts read
+   * through open.substack.com/pub/name map to name.substack.com, and
+   * substack.com/@author posts to "substack.com/@author".
+   * @returns {string|null}
+   */
+  function getPublicationHost(postUrl) {
+    try {
+      const parsed = new URL(postUrl);
+      const hostname = parsed.hostname.toLowerCase().replace(/^www\./, '');
+      const pubMatch = parsed.pathname.match(/^\/pub\/([^/]+)\//);
+      if (hostname.endsWith('substack.com') && pubMatch) {
+        return `${pubMatch[1].toLowerCase()}.substack.com`;
+      }
+      if (hostname === 'substack.com') {
+        const profileMatch = parsed.pathname.match(/^\/(@[^/]+)\//);
+        return profileMatch ? `substack.com/${profileMatch[1].toLowerCase()}` : null;
+      }
+      return hostname;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get the host a publication's posts are stored under now. Posts on a
+   * custom domain or linked from an author's profile move to the
+   * publication's substack.com subdomain once it is learned, so hosts
+   * saved before then (in settings, rules or a bookmarked view) are
+   * mapped the same way.
+   * @param {string} host
+   * @param {Object<string, string|null>} domains - see SubstackFrontPostUrl.canonicalizePostUrl
+   * @returns {string}
+   */
+  function resolvePublicationHost(host, domains) {
+    const match = Object.entries(domains).find(([key, substackHost]) =>
+      substackHost && getPublicationHost(`https://${key}/p/`) === host);
+    return match ? match[1] : host;
+  }
+
+  /**
+   * Links to a publication's homepage and archive. Author profiles on
+   * substack.com have no archive page.
+   * @returns {{homepageUrl: string, archiveUrl: string|null}}
+   */
+  function getPublicationLinks(host) {
+    return {
+      homepageUrl: `https://${host}`,
+      archiveUrl: host.includes('/') ? null : `https://${host}/archive`
+    };
+  }
+
+  /**
+   * Get a post's publish time in ms, or 0 if unknown
+   */
+  function getPostTime(post) {
+    const time = Date.parse(post.publishedAt || post.extractedAt || '');
+    return Number.isNaN(time) ? 0 : time;
+  }
+
+  /**
+   * Median gap in days between consecutive posts, or null with fewer
+   * than two dated posts
+   */
+  function getMedianIntervalDays(times) {
+    const sorted = [...new Set(times.filter(Boolean))].sort((a, b) => a - b);
+    if (sorted.length < 2) return null;
+
+    const gaps = sorted.slice(1).map((time, index) => (time - sorted[index]) / DAY_MS).sort((a, b) => a - b);
+    const middle = Math.floor(gaps.length / 2);
+    const median = gaps.length % 2 ? gaps[middle] : (gaps[middle - 1] + gaps[middle]) / 2;
+    return Math.round(median * 10) / 10;
+  }
+
+  /**
+   * Describe how often a publication posts, e.g. "Weekly"
+   */
+  function describeCadence(medianIntervalDays) {
+    if (medianIntervalDays === null || medianIntervalDays === undefined) return 'Not enough posts yet';
+    if (medianIntervalDays < 0.75) return 'Several times a day';
+    if (medianIntervalDays < 1.5) return 'Daily';
+    if (medianIntervalDays < 5) return `About ${Math.round(7 / medianIntervalDays)} times a week`;
+    if (medianIntervalDays < 10) return 'Weekly';
+    if (medianIntervalDays < 24) return `Every ${Math.round(medianIntervalDays / 7)} weeks`;
+    if (medianIntervalDays < 45) return 'Monthly';
+    return 'Less than monthly';
+  }
+
+  /**
+   * Summarize stored posts by publication, most recently active first.
+   * The name and logo come from the newest post that has them; earlier
+   * names are listed in otherNames.
+   * @param {Object[]} posts
+   * @returns {Array<{host: string, name: string, otherNames: string[], logo: string|null,
+   *   homepageUrl: string, archiveUrl: string|null, postCount: number, unreadCount: number,
+   *   lastPostAt: string|null, medianIntervalDays: number|null}>}
+   */
+  function buildDirectory(posts) {
+    const byHost = new Map();
+    posts.forEach(post => {
+      const host = getPublicationHost(post.url);
+      if (!host) return;
+      if (!byHost.has(host)) byHost.set(host, []);
+      byHost.get(host).push(post);
+    });
+
+    const directory = [...byHost.entries()].map(([host, hostPosts]) => {
+      const newestFirst = [...hostPosts].sort((a, b) => getPostTime(b) - getPostTime(a));
+      const names = [...new Set(newestFirst.map(post => post.publication).filter(Boolean))];
+      const lastTime = getPostTime(newestFirst[0]);
+
+      return {
+        host,
+        name: names[0] || host,
+        otherNames: names.slice(1),
+        logo: newestFirst.find(post => post.publicationLogo)?.publicationLogo || null,
+        ...getPublicationLinks(host),
+        postCount: hostPosts.length,
+        unreadCount: hostPosts.filter(post => !post.isRead).length,
+        lastPostAt: lastTime ? new Date(lastTime).toISOString() : null,
+        medianIntervalDays: getMedianIntervalDays(hostPosts.map(getPostTime))
+      };
+    });
+
+    return directory.sort((a, b) => (b.lastPostAt || '').localeCompare(a.lastPostAt || ''));
+  }
+
+  root.SubstackFrontDirectory = {
+    getPublicationHost,
+    resolvePublicationHost,
+    getPublicationLinks,
+    describeCadence,
+    buildDirectory
+  };
+
+})(globalThis);
@@ -0,0 +1,239 @@
+// SubstackFront - Keyboard Navigation
+// Roving focus over post cards, single-key shortcuts and the shortcut help
+// overlay, shared by the popup and new tab page
+
+(function(root) {
+  'use strict';
+
+  // How long the second key of a sequence like "g p" is waited for
+  const SEQUENCE_TIMEOUT_MS = 1000;
+
+  /**
+   * Whether a key event comes from somewhere typing happens
+   */
+  function isTypingTarget(target) {
+    return Boolean(target.closest?.('input, textarea, select, [contenteditable=""], [contenteditable="true"]'));
+  }
+
+  /**
+   * Keep one item in a container tabbable at a time (a roving tabindex) and
+   * move focus between items. Items are found again on every call, so the
+   * container can be re-rendered freely; call sync() afterwards.
+   *
+   * The container gets role="feed" and each item its position in it, the
+   * ARIA pattern for a scrolling list of articles.
+   *
+   * @param {HTMLElement} container
+   * @param {Object} options
+   * @param {string} options.itemSelector
+   * @param {function(HTMLElement): boolean} [options.isAvailable] - leave items
+   *   out of navigation, e.g. ones in a collapsed group
+   * @returns {{getCurrent: function(): HTMLElement|null, getFocused: function(): HTMLElement|null,
+   *   move: function(number), sync: function()}}
+   */
+  function createRovingFocus(container, { itemSelector, isAvailable = () => true }) {
+    let currentKey = null;
+    // The item that last had focus, while focus stays in the container
+    let focusedItem = null;
+
+    container.setAttribute('role', 'feed');
+
+    const getItems = () => Array.from(container.querySelectorAll(itemSelector)).filter(isAvailable);
+    const findItem = key => getItems().find(item => item.dataset.url === key) || null;
+
+    /**
+     * Make an item the tabbable one
+     */
+    function setCurrent(item) {
+      currentKey = item.dataset.url;
+      getItems().forEach(other => {
+        other.tabIndex = other === item ? 0 : -1;
+      });
+    }
+
+    /**
+     * The item that has focus, if any
+     */
+    function getFocused() {
+      const item = document.activeElement?.closest?.(itemSelector);
+      return item && container.contains(item) ? item : null;
+    }
+
+    /**
+     * The tabbable item
+     */
+    function getCurrent() {
+      return findItem(currentKey);
+    }
+
+    /**
+     * Focus the next (delta 1) or previous (delta -1) item. With nothing
+     * focused yet, focuses the current item instead.
+     */
+    function move(delta) {
+      const items = getItems();
+      if (items.length === 0) return;
+
+      const focused = getFocused();
+      let index = items.indexOf(focused || getCurrent());
+      if (index === -1) {
+        index = 0;
+      } else if (focused) {
+        index = Math.max(0, Math.min(items.length - 1, index + delta));
+      }
+
+      setCurrent(items[index]);
+      items[index].focus();
+      items[index].scrollIntoView({ block: 'nearest' });
+    }
+
+    /**
+     * Update tabindexes and positions after the items change. If the
+     * focused item was re-rendered, its replacement gets focus back.
+     */
+    function sync() {
+      const items = getItems();
+      const focusLost = Boolean(focusedItem) && !focusedItem.isConnected &&
+        (!document.activeElement || document.activeElement === document.body);
+
+      container.querySelectorAll(itemSelector).forEach(item => {
+        item.tabIndex = -1;
+      });
+      items.forEach((item, index) => {
+        item.setAttribute('aria-posinset', String(index + 1));
+        item.setAttribute('aria-setsize', String(items.length));
+      });
+
+      const current = findItem(currentKey) || items[0];
+      if (!current) return;
+      setCurrent(current);
+      if (focusLost && current.dataset.url === focusedItem.dataset.url) {
+        current.focus({ preventScroll: true });
+      }
+    }
+
+    // Clicking or tabbing onto an item makes it the current one
+    container.addEventListener('focusin', (event) => {
+      const item = event.target.closest(itemSelector);
+      if (item && isAvailable(item)) setCurrent(item);
+      focusedItem = item;
+    });
+    container.addEventListener('focusout', (event) => {
+      if (event.relatedTarget && !container.contains(event.relatedTarget)) focusedItem = null;
+    });
+
+    return { getCurrent, getFocused, move, sync };
+  }
+
+  /**
+   * Format a shortcut's keys for display, e.g. ["Enter", "o"] or ["g p"]
+   */
+  function describeKeys(keys) {
+    return keys
+      .map(sequence => sequence.split(' ').map(key => `<kbd>${key === ' ' ? 'Space' : key}</kbd>`).join(' then '))
+      .join(' or ');
+  }
+
+  /**
+   * Create the shortcut help overlay
+   * @param {Array<{keys: string[], description: string}>} shortcuts
+   * @returns {{toggle: function(), close: function(), isOpen: function(): boolean}}
+   */
+  function createHelpOverlay(shortcuts) {
+    let overlay = null;
+    let restoreFocus = null;
+
+    function close() {
+      if (!overlay) return;
+      overlay.remove();
+      overlay = null;
+      if (restoreFocus && document.contains(restoreFocus)) restoreFocus.focus();
+    }
+
+    function open() {
+      restoreFocus = document.activeElement;
+      overlay = document.createElement('div');
+      overlay.className = 'shortcut-help';
+      overlay.innerHTML = `
+        <div class="shortcut-help-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcut-help-title" tabindex="-1">
+          <h2 id="shortcut-help-title" class="shortcut-help-title">Keyboard shortcuts</h2>
+          <dl class="shortcut-help-list">
+            ${shortcuts.map(shortcut => `
+              <dt>${describeKeys(shortcut.keys)}</dt>
+              <dd>${shortcut.description}</dd>`).join('')}
+          </dl>
+          <button type="button" class="shortcut-help-close">Close</button>
+        </div>`;
+      overlay.addEventListener('click', (event) => {
+        if (event.target === overlay || event.target.closest('.shortcut-help-close')) close();
+      });
+      overlay.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' || event.key === '?') {
+          event.preventDefault();
+          event.stopPropagation();
+          close();
+        } else if (event.key === 'Tab') {
+          // The close button is the only control; keep focus in the dialog
+          event.preventDefault();
+          overlay.querySelector('.shortcut-help-close').focus();
+        }
+      });
+      document.body.appendChild(overlay);
+      overlay.querySelector('.shortcut-help-dialog').focus();
+    }
+
+    return {
+      toggle: () => (overlay ? close() : open()),
+      close,
+      isOpen: () => Boolean(overlay)
+    };
+  }
+
+  /**
+   * Listen for keyboard shortcuts. A key is a KeyboardEvent.key value; a
+   * space-separated pair like "g p" is a sequence. Shortcuts are ignored
+   * while typing, with modifier keys held, inside menus and dialogs, and
+   * Enter keeps its own meaning on buttons and links.
+   * @param {Array<{keys: string[], description: string, action: function(KeyboardEvent)}>} shortcuts
+   */
+  function bindShortcuts(shortcuts) {
+    let pendingPrefix = null;
+    let pendingTimeout = null;
+
+    const prefixes = new Set(shortcuts.flatMap(shortcut =>
+      shortcut.keys.filter(sequence => sequence.includes(' ')).map(sequence => sequence.split(' ')[0])
+    ));
+
+    document.addEventListener('keydown', (event) => {
+      if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (isTypingTarget(event.target)) return;
+      if (event.target.closest?.('[role="menu"], [role="dialog"]')) return;
+      if (event.key === 'Enter' && event.target.closest?.('button, a[href]')) return;
+
+      const sequence = pendingPrefix ? `${pendingPrefix} ${event.key}` : event.key;
+      clearTimeout(pendingTimeout);
+      pendingPrefix = null;
+
+      const shortcut = shortcuts.find(candidate => candidate.keys.includes(sequence));
+      if (shortcut) {
+        event.preventDefault();
+        shortcut.action(event);
+        return;
+      }
+
+      if (prefixes.has(event.key)) {
+        pendingPrefix = event.key;
+        pendingTimeout = setTimeout(() => {
+          pendingPrefix = null;
+        }, SEQUENCE_TIMEOUT_MS);
+      }
+    });
+  }
+
+  root.SubstackFrontKeyboard = {
+    createRovingFocus,
+    createHelpOverlay,
+    bindShortcuts
+  };
+
+})(globalThis);
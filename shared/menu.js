@@ -0,0 +1,125 @@
+// SubstackFront - Shared Menu
+// Small dropdown / context menu used by the popup and new tab page
+
+(function(root) {
+  'use strict';
+
+  let activeMenu = null;
+
+  /**
+   * Close the open menu, if any
+   */
+  function closeMenu() {
+    if (!activeMenu) return;
+    const { element, restoreFocus, cleanup } = activeMenu;
+    activeMenu = null;
+    cleanup();
+    element.remove();
+    if (restoreFocus && document.contains(restoreFocus)) {
+      restoreFocus.focus();
+    }
+  }
+
+  /**
+   * Open a menu at a viewport position
+   * @param {Object} options
+   * @param {number} options.x - left position in px
+   * @param {number} options.y - top position in px
+   * @param {Array<{label: string, action: function, disabled?: boolean}|'separator'>} options.items
+   * @param {HTMLElement} [options.returnFocusTo] - element to refocus when the menu closes
+   */
+  function openMenu({ x, y, items, returnFocusTo }) {
+    closeMenu();
+
+    const menu = document.createElement('div');
+    menu.className = 'menu';
+    menu.setAttribute('role', 'menu');
+
+    items.forEach(item => {
+      if (item === 'separator') {
+        const separator = document.createElement('div');
+        separator.className = 'menu-separator';
+        separator.setAttribute('role', 'separator');
+        menu.appendChild(separator);
+        return;
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'menu-item';
+      button.setAttribute('role', 'menuitem');
+      button.textContent = item.label;
+      button.disabled = Boolean(item.disabled);
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        closeMenu();
+        item.action();
+      });
+      menu.appendChild(button);
+    });
+
+    document.body.appendChild(menu);
+
+    // Keep the menu inside the viewport
+    const rect = menu.getBoundingClientRect();
+    menu.style.left = `${Math.max(4, Math.min(x, window.innerWidth - rect.width - 4))}px`;
+    menu.style.top = `${Math.max(4, Math.min(y, window.innerHeight - rect.height - 4))}px`;
+
+    const menuItems = () => Array.from(menu.querySelectorAll('.menu-item:not(:disabled)'));
+
+    const handlePointerDown = (event) => {
+      if (!menu.contains(event.target)) closeMenu();
+    };
+
+    const handleKeyDown = (event) => {
+      const focusable = menuItems();
+      const index = focusable.indexOf(document.activeElement);
+
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        closeMenu();
+      } else if (event.key === 'ArrowDown') {
+        event.preventDefault();
+        focusable[(index + 1) % focusable.length]?.focus();
+      } else if (event.key === 'ArrowUp') {
+        event.preventDefault();
+        focusable[(index - 1 + focusable.length) % focusable.length]?.focus();
+      } else if (event.key === 'Tab') {
+        closeMenu();
+      }
+    };
+
+    document.addEventListener('mousedown', handlePointerDown, true);
+    document.addEventListener('keydown', handleKeyDown, true);
+    window.addEventListener('blur', closeMenu);
+    window.addEventListener('resize', closeMenu);
+
+    activeMenu = {
+      element: menu,
+      restoreFocus: returnFocusTo || document.activeElement,
+      cleanup: () => {
+        document.removeEventListener('mousedown', handlePointerDown, true);
+        document.removeEventListener('keydown', handleKeyDown, true);
+        window.removeEventListener('blur', closeMenu);
+        window.removeEventListener('resize', closeMenu);
+      }
+    };
+
+    menuItems()[0]?.focus();
+  }
+
+  /**
+   * Open a menu below an anchor element (for toolbar buttons)
+   */
+  function openMenuBelow(anchor, items) {
+    const rect = anchor.getBoundingClientRect();
+    openMenu({ x: rect.left, y: rect.bottom + 2, items, returnFocusTo: anchor });
+  }
+
+  root.SubstackFrontMenu = {
+    open: openMenu,
+    openBelow: openMenuBelow,
+    close: closeMenu
+  };
+
+})(globalThis);
@@ -0,0 +1,148 @@
+// SubstackFront - Post URLs
+// Canonical post URLs and stable post IDs, so the same article reached
+// through different links is stored once
+
+(function(root) {
+  'use strict';
+
+  /**
+   * Whether a hostname belongs to Substack itself
+   */
+  function isSubstackHost(hostname) {
+    return hostname === 'substack.com' || hostname.endsWith('.substack.com');
+  }
+
+  /**
+   * Whether a value is an http(s) URL, safe to link to or load an image from
+   */
+  function isHttpUrl(value) {
+    if (typeof value !== 'string') return false;
+    try {
+      const { protocol } = new URL(value);
+      return protocol === 'https:' || protocol === 'http:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Parse a post URL into the parts canonicalization works on, with
+   * substack.com's own link forms already resolved: no www, /pub/name
+   * links on name.substack.com, and profile handles in lower case.
+   * domainKey names what a learned domain could map: a custom hostname,
+   * or "substack.com/@handle" for a post linked from an author profile.
+   * @returns {{hostname: string, pathname: string, domainKey: string|null}|null}
+   */
+  function parsePostUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return null;
+    }
+    if (parsed.protocol !== 'https:' && parsed.protocol !== 'http:') return null;
+
+    let hostname = parsed.hostname.toLowerCase();
+    let pathname = parsed.pathname.replace(/\/{2,}/g, '/').replace(/(.)\/+$/, '$1');
+    if (!isSubstackHost(hostname)) return { hostname, pathname, domainKey: hostname };
+
+    hostname = hostname.replace(/^www\./, '');
+    const pubMatch = pathname.match(/^\/pub\/([^/]+)(\/.+)$/);
+    if (pubMatch) {
+      hostname = `${pubMatch[1].toLowerCase()}.substack.com`;
+      pathname = pubMatch[2];
+    }
+    pathname = pathname.replace(/^\/@[^/]+/, handle => handle.toLowerCase());
+
+    const profileMatch = hostname === 'substack.com' && pathname.match(/^\/(@[^/]+)\/p\//);
+    return { hostname, pathname, domainKey: profileMatch ? `substack.com/${profileMatch[1]}` : null };
+  }
+
+  /**
+   * Get the canonical form of a post URL: https, no query string or hash
+   * (post pages don't need one, so utm_*, r= and the like all go), no
+   * trailing slash, open.substack.com/pub/name links as name.substack.com,
+   * and custom domains and substack.com/@handle links on the publication's
+   * substack.com subdomain when domains says which it is.
+   * @param {string} url
+   * @param {Object<string, string|null>} [domains] - custom hostname or
+   *   "substack.com/@handle" -> substack.com hostname (null for a handle
+   *   seen writing for more than one publication)
+   * @returns {string|null} null if url isn't an http(s) URL
+   */
+  function canonicalizePostUrl(url, domains = {}) {
+    const parts = parsePostUrl(url);
+    if (!parts) return null;
+
+    let { hostname, pathname } = parts;
+    const mapped = parts.domainKey && domains[parts.domainKey];
+    if (mapped) {
+      hostname = mapped;
+      if (parts.domainKey.startsWith('substack.com/')) pathname = pathname.replace(/^\/@[^/]+/, '');
+    }
+    return `https://${hostname}${pathname}`;
+  }
+
+  /**
+   * Get the stable ID of a post from its canonical URL: the publication
+   * host and the post's slug, e.g. "name.substack.com/my-post" or
+   * "substack.com/@author/my-post"
+   */
+  function getPostId(canonicalUrl) {
+    const { hostname, pathname } = new URL(canonicalUrl);
+    const match = pathname.match(/^(?:\/(@[^/]+))?\/p\/([^/]+)/);
+    if (!match) return `${hostname}${pathname}`;
+    return match[1] ? `${hostname}/${match[1]}/${match[2]}` : `${hostname}/${match[2]}`;
+  }
+
+  /**
+   * Give a post its canonical URL and ID. A post on a custom domain that
+   * gets mapped to its substack.com subdomain keeps the custom hostname in
+   * customDomain, since that is where the post is actually served. Posts
+   * from the inbox preload name their own subdomain in substackDomain,
+   * which is used ahead of domains and then dropped.
+   * @param {Object} post
+   * @param {Object<string, string|null>} [domains] - see canonicalizePostUrl
+   * @returns {Object|null} null if the post's URL isn't an http(s) URL
+   */
+  function canonicalizePost(post, domains = {}) {
+    const parts = parsePostUrl(post.url);
+    if (!parts) return null;
+
+    const ownDomain = post.substackDomain && parts.domainKey ? { [parts.domainKey]: post.substackDomain } : {};
+    const url = canonicalizePostUrl(post.url, { ...domains, ...ownDomain });
+
+    const { substackDomain, ...canonical } = post;
+    canonical.url = url;
+    canonical.id = getPostId(url);
+    if (!isSubstackHost(parts.hostname) && !url.startsWith(`https://${parts.hostname}/`)) {
+      canonical.customDomain = parts.hostname;
+    }
+    return canonical;
+  }
+
+  /**
+   * Get the URL a post is served at: its canonical URL, or the same page
+   * on its custom domain. Opening or fetching this skips a redirect.
+   */
+  function getSiteUrl(post) {
+    if (!post.customDomain) return post.url;
+    try {
+      const parsed = new URL(post.url);
+      parsed.hostname = post.customDomain;
+      return parsed.href;
+    } catch (error) {
+      return post.url;
+    }
+  }
+
+  root.SubstackFrontPostUrl = {
+    isSubstackHost,
+    isHttpUrl,
+    canonicalizePostUrl,
+    getPostId,
+    canonicalizePost,
+    getSiteUrl
+  };
+
+})(globalThis);
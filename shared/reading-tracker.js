@@ -0,0 +1,103 @@
+// SubstackFront - Reading Tracker
+// Measures how far through an article the reader got and how long they actively read it
+
+(function(root) {
+  'use strict';
+
+  const TICK_MS = 1000;
+  // Reading time stops counting this long after the last scroll, key press or pointer movement
+  const IDLE_AFTER_MS = 60000;
+  const REPORT_INTERVAL_MS = 30000;
+
+  /**
+   * Track reading on the current page. Time only counts while the page is
+   * visible, focused and recently used.
+   * @param {Object} options
+   * @param {function(): number} options.getProgress - how far through the article the reader is, 0 to 1
+   * @param {function({progress: number, activeSeconds: number})} options.onReport - called every
+   *   REPORT_INTERVAL_MS and when the page is hidden, if anything changed. progress is the furthest
+   *   point reached; activeSeconds is the reading time since the previous report.
+   * @returns {{report: function, stop: function}}
+   */
+  function createReadingTracker({ getProgress, onReport }) {
+    let furthestProgress = 0;
+    let reportedProgress = 0;
+    let unreportedMs = 0;
+    let lastActivityAt = Date.now();
+    let lastTickAt = Date.now();
+
+    function isReading() {
+      return document.visibilityState === 'visible' &&
+        document.hasFocus() &&
+        Date.now() - lastActivityAt < IDLE_AFTER_MS;
+    }
+
+    function updateProgress() {
+      furthestProgress = Math.max(furthestProgress, getProgress());
+    }
+
+    function tick() {
+      const now = Date.now();
+      // Timers are throttled in background tabs and stop during sleep,
+      // so never count more than a couple of ticks at once
+      if (isReading()) unreportedMs += Math.min(now - lastTickAt, TICK_MS * 2);
+      lastTickAt = now;
+      updateProgress();
+    }
+
+    function report() {
+      tick();
+      const activeSeconds = Math.floor(unreportedMs / 1000);
+      if (activeSeconds === 0 && furthestProgress <= reportedProgress) return;
+
+      unreportedMs -= activeSeconds * 1000;
+      reportedProgress = furthestProgress;
+      onReport({ progress: Math.round(furthestProgress * 100) / 100, activeSeconds });
+    }
+
+    function markActivity() {
+      lastActivityAt = Date.now();
+    }
+
+    function handleScroll() {
+      markActivity();
+      updateProgress();
+    }
+
+    function handleVisibilityChange() {
+      if (document.visibilityState === 'hidden') {
+        report();
+      } else {
+        lastTickAt = Date.now();
+        markActivity();
+      }
+    }
+
+    const activityEvents = ['keydown', 'pointermove', 'pointerdown', 'wheel'];
+    window.addEventListener('scroll', handleScroll, { passive: true });
+    activityEvents.forEach(type => window.addEventListener(type, markActivity, { passive: true }));
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', report);
+    const tickTimer = setInterval(tick, TICK_MS);
+    const reportTimer = setInterval(report, REPORT_INTERVAL_MS);
+    updateProgress();
+
+    return {
+      report,
+      stop() {
+        report();
+        clearInterval(tickTimer);
+        clearInterval(reportTimer);
+        window.removeEventListener('scroll', handleScroll);
+        activityEvents.forEach(type => window.removeEventListener(type, markActivity));
+        document.removeEventListener('visibilitychange', handleVisibilityChange);
+        window.removeEventListener('pagehide', report);
+      }
+    };
+  }
+
+  root.SubstackFrontReadingTracker = {
+    createReadingTracker
+  };
+
+})(globalThis);
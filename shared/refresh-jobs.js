@@ -0,0 +1,169 @@
+// SubstackFront - Refresh Jobs
+// The running refresh, kept in chrome.storage.session so it survives the
+// service worker being suspended, plus the progress events sent about it
+
+(function(root) {
+  'use strict';
+
+  const JOB_KEY = 'refreshJob';
+
+  // Attempts at the inbox tab before a refresh gives up, and the wait
+  // before the first retry (doubled for each one after)
+  const MAX_ATTEMPTS = 3;
+  const RETRY_BASE_DELAY_MS = 2000;
+
+  // Stages a job moves through. "done" and "failed" are only ever sent
+  // in progress events; finished jobs are removed from storage.
+  const STAGE_LABELS = {
+    starting: 'Starting refresh…',
+    'fetching-feeds': 'Checking publication feeds…',
+    opening: 'Opening the Substack inbox…',
+    extracting: 'Extracting posts…',
+    saving: 'Saving posts…'
+  };
+
+  // Callers waiting on a job, by job id. Only the worker running the
+  // job has any.
+  const waiters = new Map();
+
+  /**
+   * Get the running job, or null
+   */
+  async function getJob() {
+    const result = await chrome.storage.session.get([JOB_KEY]);
+    return result[JOB_KEY] || null;
+  }
+
+  /**
+   * Tell open extension pages how a job is going. Nobody listening is
+   * not an error.
+   */
+  function broadcast(job) {
+    chrome.runtime.sendMessage({ type: 'REFRESH_PROGRESS', job }).catch(() => {});
+  }
+
+  /**
+   * Store a new job
+   * @param {string} trigger - 'manual' or 'scheduled'
+   * @param {Object} [options]
+   * @param {boolean} [options.deep] - scroll back through the inbox
+   * @param {string|null} [options.stopBefore] - ISO date a deep refresh stops scrolling at
+   */
+  async function createJob(trigger, { deep = false, stopBefore = null } = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+      trigger,
+      deep,
+      stopBefore,
+      stage: 'starting',
+      attempt: 0,
+      tabId: null,
+      deadlineAt: null,
+      retryAt: null,
+      progress: null,
+      results: [],
+      errors: [],
+      startedAt: now,
+      updatedAt: now
+    };
+    await chrome.storage.session.set({ [JOB_KEY]: job });
+    broadcast(job);
+    return job;
+  }
+
+  /**
+   * Merge changes into the running job
+   * @returns {Promise<Object|null>} the updated job, or null if none is running
+   */
+  async function updateJob(changes) {
+    const current = await getJob();
+    if (!current) return null;
+    const job = { ...current, ...changes, updatedAt: new Date().toISOString() };
+    await chrome.storage.session.set({ [JOB_KEY]: job });
+    broadcast(job);
+    return job;
+  }
+
+  /**
+   * Remove the running job and settle everyone waiting on it
+   * @param {{result?: Object, error?: string}} outcome
+   */
+  async function finishJob(outcome) {
+    const current = await getJob();
+    if (!current) return;
+    await chrome.storage.session.remove([JOB_KEY]);
+
+    const job = {
+      ...current,
+      stage: outcome.error ? 'failed' : 'done',
+      tabId: null,
+      result: outcome.result || null,
+      error: outcome.error || null,
+      updatedAt: new Date().toISOString()
+    };
+    broadcast(job);
+
+    (waiters.get(job.id) || []).forEach(({ resolve, reject }) => {
+      if (outcome.error) reject(new Error(outcome.error));
+      else resolve(outcome.result);
+    });
+    waiters.delete(job.id);
+  }
+
+  /**
+   * Wait for a job to finish
+   * @returns {Promise<Object>} the job's result
+   */
+  function waitForJob(jobId) {
+    return new Promise((resolve, reject) => {
+      if (!waiters.has(jobId)) waiters.set(jobId, []);
+      waiters.get(jobId).push({ resolve, reject });
+    });
+  }
+
+  /**
+   * How long to wait before retrying after a failed attempt
+   */
+  function getRetryDelay(attempt) {
+    return RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1);
+  }
+
+  /**
+   * Describe what a finished refresh saved, e.g. "Saved 4 new posts"
+   */
+  function describeResult(result) {
+    const added = result?.added || 0;
+    return added === 0 ? 'No new posts' : `Saved ${added} new post${added === 1 ? '' : 's'}`;
+  }
+
+  /**
+   * Describe a job's progress for display, e.g. "Extracting posts…"
+   */
+  function describeJob(job) {
+    if (job.stage === 'done') return describeResult(job.result);
+    if (job.stage === 'failed') return `Refresh failed: ${job.error}`;
+    if (job.stage === 'extracting' && job.progress) {
+      const { posts } = job.progress;
+      return `Scrolling back through the inbox: ${posts} post${posts === 1 ? '' : 's'} found…`;
+    }
+    if (job.stage === 'retrying') return `Retrying (attempt ${job.attempt + 1} of ${MAX_ATTEMPTS})…`;
+    if (job.stage === 'opening' && job.attempt > 1) {
+      return `Opening the Substack inbox (attempt ${job.attempt} of ${MAX_ATTEMPTS})…`;
+    }
+    return STAGE_LABELS[job.stage] || 'Refreshing…';
+  }
+
+  root.SubstackFrontRefreshJobs = {
+    MAX_ATTEMPTS,
+    getJob,
+    createJob,
+    updateJob,
+    finishJob,
+    waitForJob,
+    getRetryDelay,
+    describeResult,
+    describeJob
+  };
+
+})(globalThis);
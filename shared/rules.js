@@ -0,0 +1,261 @@
+// SubstackFront - Post Rules
+// Muted and pinned publications, hidden posts and keyword rules, applied
+// the same way by the new tab page, the popup and the background worker
+
+(function(root) {
+  'use strict';
+
+  const Directory = root.SubstackFrontDirectory;
+
+  const RULES_KEY = 'rules';
+
+  // Hidden post URLs are kept in chrome.storage, so the oldest are
+  // forgotten past this many
+  const MAX_HIDDEN_POSTS = 5000;
+
+  // Muted and pinned publications are listed by host (see
+  // SubstackFrontDirectory.getPublicationHost), since names can collide
+  // or change
+  const DEFAULT_RULES = Object.freeze({
+    mutedPublications: [],
+    pinnedPublications: [],
+    hiddenPosts: [],
+    keywordRules: []
+  });
+
+  // Why a post is hidden, in the order they are checked
+  const HIDDEN_REASONS = ['hidden', 'muted', 'keyword'];
+
+  /**
+   * Compile a keyword rule. "/pattern/flags" is a regular expression;
+   * anything else matches titles containing the text, ignoring case.
+   * @returns {RegExp}
+   * @throws {Error} if the rule is empty or not a valid regular expression
+   */
+  function compileKeywordRule(rule) {
+    const text = typeof rule === 'string' ? rule.trim() : '';
+    if (!text) throw new Error('Rule is empty');
+
+    const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+    if (!regex) {
+      return new RegExp(text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+    }
+    // Global and sticky regexes keep state between test() calls
+    return new RegExp(regex[1], regex[2].replace(/[gy]/g, ''));
+  }
+
+  /**
+   * Unique non-empty strings from a stored list
+   */
+  function toStringList(value) {
+    if (!Array.isArray(value)) return [];
+    return [...new Set(value.filter(item => typeof item === 'string' && item.trim()))];
+  }
+
+  /**
+   * Fill in and clean up a stored rules object. Keyword rules that no
+   * longer compile are dropped.
+   */
+  function normalizeRules(stored) {
+    const rules = stored || {};
+    return {
+      mutedPublications: toStringList(rules.mutedPublications),
+      pinnedPublications: toStringList(rules.pinnedPublications),
+      hiddenPosts: toStringList(rules.hiddenPosts).slice(-MAX_HIDDEN_POSTS),
+      keywordRules: toStringList(rules.keywordRules).filter(rule => {
+        try {
+          compileKeywordRule(rule);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      })
+    };
+  }
+
+  /**
+   * Whether no rule would hide or reorder anything
+   */
+  function isEmpty(rules) {
+    return Object.keys(DEFAULT_RULES).every(key => rules[key].length === 0);
+  }
+
+  /**
+   * Load rules from storage
+   */
+  async function loadRules() {
+    const result = await chrome.storage.local.get([RULES_KEY]);
+    return normalizeRules(result[RULES_KEY]);
+  }
+
+  /**
+   * Change the stored rules
+   * @param {function(Object): Object} update - receives a copy of the current rules
+   * @returns {Promise<Object>} the stored rules
+   */
+  async function updateRules(update) {
+    const current = await loadRules();
+    const rules = normalizeRules(update(structuredClone(current)));
+    await chrome.storage.local.set({ [RULES_KEY]: rules });
+    return rules;
+  }
+
+  /**
+   * Add or remove a value from one of the rule lists
+   */
+  function toggleListEntry(key, value, present) {
+    return updateRules(rules => {
+      const list = rules[key].filter(item => item !== value);
+      if (present) list.push(value);
+      return { ...rules, [key]: list };
+    });
+  }
+
+  /**
+   * Mute or unmute a publication by host. Posts from muted publications
+   * are still stored but not shown.
+   */
+  function setPublicationMuted(host, muted) {
+    return toggleListEntry('mutedPublications', host, muted);
+  }
+
+  /**
+   * Pin or unpin a publication by host, showing its posts first
+   */
+  function setPublicationPinned(host, pinned) {
+    return toggleListEntry('pinnedPublications', host, pinned);
+  }
+
+  /**
+   * Hide or unhide a single post
+   */
+  function setPostHidden(url, hidden) {
+    return toggleListEntry('hiddenPosts', url, hidden);
+  }
+
+  /**
+   * Add a keyword rule
+   * @throws {Error} if the rule is invalid
+   */
+  function addKeywordRule(rule) {
+    compileKeywordRule(rule);
+    return toggleListEntry('keywordRules', rule.trim(), true);
+  }
+
+  /**
+   * Remove a keyword rule
+   */
+  function removeKeywordRule(rule) {
+    return toggleListEntry('keywordRules', rule, false);
+  }
+
+  /**
+   * Show every individually hidden post again
+   */
+  function unhideAllPosts() {
+    return updateRules(rules => ({ ...rules, hiddenPosts: [] }));
+  }
+
+  /**
+   * Build a matcher for a set of rules
+   * @returns {{getHiddenReason: function(Object): string|null, isPinned: function(Object): boolean}}
+   */
+  function createPostFilter(rules) {
+    const muted = new Set(rules.mutedPublications);
+    const pinned = new Set(rules.pinnedPublications);
+    const hidden = new Set(rules.hiddenPosts);
+    const keywords = rules.keywordRules.map(compileKeywordRule);
+
+    return {
+      getHiddenReason(post) {
+        if (hidden.has(post.url)) return 'hidden';
+        if (muted.size > 0 && muted.has(Directory.getPublicationHost(post.url))) return 'muted';
+        if (keywords.some(regex => regex.test(post.title || ''))) return 'keyword';
+        return null;
+      },
+      isPinned(post) {
+        return pinned.size > 0 && pinned.has(Directory.getPublicationHost(post.url));
+      }
+    };
+  }
+
+  /**
+   * Drop the posts the rules hide, keeping the order of the rest
+   * @returns {{posts: Object[], hiddenCounts: {total: number, hidden: number, muted: number, keyword: number}}}
+   */
+  function applyRules(posts, rules) {
+    const hiddenCounts = { total: 0, hidden: 0, muted: 0, keyword: 0 };
+    if (isEmpty(rules)) return { posts, hiddenCounts };
+
+    const filter = createPostFilter(rules);
+    const visible = posts.filter(post => {
+      const reason = filter.getHiddenReason(post);
+      if (!reason) return true;
+      hiddenCounts[reason]++;
+      hiddenCounts.total++;
+      return false;
+    });
+    return { posts: visible, hiddenCounts };
+  }
+
+  /**
+   * Move posts from pinned publications to the front, keeping the order
+   * within pinned and unpinned posts
+   */
+  function pinFirst(posts, rules) {
+    if (rules.pinnedPublications.length === 0) return posts;
+    const filter = createPostFilter(rules);
+    return [
+      ...posts.filter(post => filter.isPinned(post)),
+      ...posts.filter(post => !filter.isPinned(post))
+    ];
+  }
+
+  /**
+   * Describe hidden counts for a tooltip, e.g. "3 from muted publications, 1 by keyword rules"
+   */
+  function describeHiddenCounts(hiddenCounts) {
+    const labels = {
+      hidden: 'hidden individually',
+      muted: 'from muted publications',
+      keyword: 'by keyword rules'
+    };
+    return HIDDEN_REASONS
+      .filter(reason => hiddenCounts[reason] > 0)
+      .map(reason => `${hiddenCounts[reason]} ${labels[reason]}`)
+      .join(', ');
+  }
+
+  /**
+   * Subscribe to rule changes from any extension surface
+   * @param {function(Object)} callback - receives the new rules
+   */
+  function onRulesChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[RULES_KEY]) return;
+      callback(normalizeRules(changes[RULES_KEY].newValue));
+    });
+  }
+
+  root.SubstackFrontRules = {
+    RULES_KEY,
+    DEFAULT_RULES,
+    compileKeywordRule,
+    normalizeRules,
+    isEmpty,
+    load: loadRules,
+    update: updateRules,
+    setPublicationMuted,
+    setPublicationPinned,
+    setPostHidden,
+    addKeywordRule,
+    removeKeywordRule,
+    unhideAllPosts,
+    createPostFilter,
+    applyRules,
+    pinFirst,
+    describeHiddenCounts,
+    onChanged: onRulesChanged
+  };
+
+})(globalThis);
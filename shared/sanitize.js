@@ -0,0 +1,141 @@
+// SubstackFront - HTML Sanitizer
+// Reduces article HTML to a safe subset for the offline reader
+
+(function(root) {
+  'use strict';
+
+  // Elements kept, with the attributes each may carry
+  const ALLOWED_TAGS = {
+    a: ['href', 'title'],
+    b: [],
+    blockquote: [],
+    br: [],
+    code: [],
+    em: [],
+    figcaption: [],
+    figure: [],
+    h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+    hr: [],
+    i: [],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    li: [],
+    ol: ['start'],
+    p: [],
+    pre: [],
+    s: [],
+    strong: [],
+    sub: [],
+    sup: [],
+    table: [],
+    tbody: [],
+    td: ['colspan', 'rowspan'],
+    th: ['colspan', 'rowspan'],
+    thead: [],
+    tr: [],
+    u: [],
+    ul: []
+  };
+
+  // Elements dropped along with everything inside them. Anything else
+  // that isn't allowed is unwrapped, keeping its children.
+  const DROPPED_TAGS = new Set([
+    'script', 'style', 'noscript', 'template', 'iframe', 'frame', 'object', 'embed',
+    'form', 'input', 'button', 'select', 'textarea', 'svg', 'math', 'canvas',
+    'audio', 'video', 'source', 'link', 'meta', 'base', 'head', 'title', 'dialog'
+  ]);
+
+  const URL_ATTRIBUTES = new Set(['href', 'src']);
+
+  /**
+   * Resolve a URL against baseUrl, allowing only web and mail links
+   * @returns {string|null}
+   */
+  function safeUrl(value, baseUrl, attribute) {
+    try {
+      const url = new URL(value.trim(), baseUrl);
+      if (url.protocol === 'https:' || url.protocol === 'http:') return url.href;
+      if (url.protocol === 'mailto:' && attribute === 'href') return url.href;
+      return null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Copy a node into doc, keeping only allowed elements and attributes
+   */
+  function cleanNode(node, doc, baseUrl) {
+    if (node.nodeType === 3) {
+      return doc.createTextNode(node.nodeValue);
+    }
+    if (node.nodeType !== 1) return null;
+
+    const tag = node.localName;
+    if (DROPPED_TAGS.has(tag)) return null;
+
+    const children = () => {
+      const fragment = doc.createDocumentFragment();
+      node.childNodes.forEach(child => {
+        const cleaned = cleanNode(child, doc, baseUrl);
+        if (cleaned) fragment.appendChild(cleaned);
+      });
+      return fragment;
+    };
+
+    const allowedAttributes = ALLOWED_TAGS[tag];
+    if (!allowedAttributes) return children();
+
+    const element = doc.createElement(tag);
+    allowedAttributes.forEach(attribute => {
+      const value = node.getAttribute(attribute);
+      if (value === null) return;
+      if (URL_ATTRIBUTES.has(attribute)) {
+        const url = safeUrl(value, baseUrl, attribute);
+        if (url) element.setAttribute(attribute, url);
+      } else {
+        element.setAttribute(attribute, value);
+      }
+    });
+
+    // Images without a usable source are noise
+    if (tag === 'img' && !element.hasAttribute('src')) return null;
+    if (tag === 'a') {
+      element.setAttribute('target', '_blank');
+      element.setAttribute('rel', 'noopener noreferrer');
+    }
+
+    element.appendChild(children());
+    return element;
+  }
+
+  /**
+   * Sanitize HTML (a string or a DOM node's contents)
+   * @param {string|Node} input
+   * @param {string} baseUrl - for resolving relative links and images
+   * @returns {{html: string, imageUrls: string[]}}
+   */
+  function sanitizeHtml(input, baseUrl) {
+    // An inert document: nothing parsed into it runs or loads
+    const doc = document.implementation.createHTMLDocument('');
+    let source = input;
+    if (typeof input === 'string') {
+      source = doc.createElement('div');
+      source.innerHTML = input;
+    }
+
+    const container = doc.createElement('div');
+    source.childNodes.forEach(child => {
+      const cleaned = cleanNode(child, doc, baseUrl);
+      if (cleaned) container.appendChild(cleaned);
+    });
+
+    const imageUrls = Array.from(container.querySelectorAll('img'))
+      .map(img => img.getAttribute('src'));
+    return { html: container.innerHTML, imageUrls: [...new Set(imageUrls)] };
+  }
+
+  root.SubstackFrontSanitize = {
+    sanitizeHtml
+  };
+
+})(globalThis);
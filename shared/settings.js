@@ -0,0 +1,214 @@
+// SubstackFront - Shared Settings
+// Versioned settings model used by the background worker, content script and UI pages
+
+(function(root) {
+  'use strict';
+
+  const SETTINGS_KEY = 'settings';
+  const SETTINGS_VERSION = 2;
+
+  // Every setting with its default and validation rules
+  const SETTINGS_SCHEMA = {
+    // Retention
+    maxPosts: { type: 'integer', default: 3000, min: 50, max: 20000 },
+    maxPostAgeDays: { type: 'integer', default: 30, min: 1, max: 365 },
+    storageWarningPercent: { type: 'integer', default: 80, min: 50, max: 95 },
+
+    // Refresh
+    refreshIntervalMinutes: { type: 'enum', default: 0, values: [0, 30, 120, 1440] },
+    refreshSource: { type: 'enum', default: 'both', values: ['both', 'feeds', 'inbox'] },
+    quietHoursEnabled: { type: 'boolean', default: false },
+    quietHoursStart: { type: 'time', default: '22:00' },
+    quietHoursEnd: { type: 'time', default: '07:00' },
+    skipRefreshWhenIdle: { type: 'boolean', default: true },
+    refreshTimeoutMs: { type: 'integer', default: 30000, min: 10000, max: 120000 },
+    // Deep refreshes scroll the inbox back to the newest stored post, or
+    // until one of these limits
+    deepRefresh: { type: 'boolean', default: false },
+    deepRefreshMaxPages: { type: 'integer', default: 20, min: 1, max: 100 },
+    deepRefreshMaxAgeDays: { type: 'integer', default: 30, min: 1, max: 365 },
+
+    // Extraction (content script)
+    extractionDebounceMs: { type: 'integer', default: 1000, min: 200, max: 10000 },
+
+    // Reading
+    markReadWhen: { type: 'enum', default: 'scrolled', values: ['scrolled', 'opened'] },
+    readThresholdPercent: { type: 'integer', default: 80, min: 10, max: 100 },
+
+    // Offline reader
+    offlineReaderEnabled: { type: 'boolean', default: false },
+    offlineCacheMaxMb: { type: 'integer', default: 100, min: 10, max: 2000 },
+    readerFontSize: { type: 'integer', default: 19, min: 14, max: 28 },
+    readerFontFamily: { type: 'enum', default: 'serif', values: ['serif', 'sans'] },
+    readerWidth: { type: 'enum', default: 'medium', values: ['narrow', 'medium', 'wide'] },
+
+    // Front page layout
+    layoutMode: { type: 'enum', default: 'magazine', values: ['magazine', 'compact', 'headlines'] },
+    sortBy: { type: 'enum', default: 'newest', values: ['newest', 'oldest', 'unread', 'publication', 'readingTime'] },
+    groupBy: { type: 'enum', default: 'none', values: ['none', 'publication', 'author', 'day'] },
+
+    // Toolbar badge and notifications. notifyPublications holds
+    // publication hosts (see SubstackFrontDirectory).
+    badgeCount: { type: 'enum', default: 'unmuted', values: ['unmuted', 'all', 'off'] },
+    notifyNewPosts: { type: 'boolean', default: false },
+    notifyPublications: { type: 'list', default: Object.freeze([]) },
+
+    // Interface
+    toastDurationMs: { type: 'integer', default: 3000, min: 1000, max: 10000 },
+    popupOnlyMode: { type: 'boolean', default: false }
+  };
+
+  const DEFAULT_SETTINGS = Object.freeze(
+    Object.fromEntries(Object.entries(SETTINGS_SCHEMA).map(([key, field]) => [key, field.default]))
+  );
+
+  /**
+   * Validate a single value against its schema field
+   * @returns {{value: *, error: string|null}}
+   */
+  function validateField(field, value) {
+    switch (field.type) {
+      case 'integer': {
+        const number = Number(value);
+        if (value === '' || value === null || !Number.isInteger(number)) {
+          return { value: field.default, error: 'Must be a whole number' };
+        }
+        if (number < field.min || number > field.max) {
+          return { value: field.default, error: `Must be between ${field.min} and ${field.max}` };
+        }
+        return { value: number, error: null };
+      }
+      case 'enum': {
+        const match = field.values.find(option => String(option) === String(value));
+        if (match === undefined) {
+          return { value: field.default, error: `Must be one of ${field.values.join(', ')}` };
+        }
+        return { value: match, error: null };
+      }
+      case 'boolean':
+        if (typeof value !== 'boolean') {
+          return { value: field.default, error: 'Must be true or false' };
+        }
+        return { value, error: null };
+      case 'time':
+        if (typeof value !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(value)) {
+          return { value: field.default, error: 'Must use HH:MM format' };
+        }
+        return { value, error: null };
+      case 'list':
+        if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !item.trim())) {
+          return { value: field.default, error: 'Must be a list of names' };
+        }
+        return { value: [...new Set(value.map(item => item.trim()))], error: null };
+      default:
+        return { value: field.default, error: 'Unknown setting type' };
+    }
+  }
+
+  /**
+   * Validate a settings object. Missing fields fall back to defaults,
+   * invalid fields fall back to defaults and are reported in errors.
+   * @returns {{settings: Object, errors: Object<string, string>}}
+   */
+  function validateSettings(input) {
+    const settings = {};
+    const errors = {};
+
+    Object.entries(SETTINGS_SCHEMA).forEach(([key, field]) => {
+      if (!input || input[key] === undefined) {
+        settings[key] = field.default;
+        return;
+      }
+      const { value, error } = validateField(field, input[key]);
+      settings[key] = value;
+      if (error) errors[key] = error;
+    });
+
+    return { settings, errors };
+  }
+
+  /**
+   * Upgrade a stored settings object to the current version
+   */
+  function migrateSettings(stored) {
+    const migrated = { ...(stored || {}) };
+    const version = migrated.version || 1;
+
+    // Version 2 moved posts to IndexedDB; lift the old chrome.storage-sized
+    // default, but keep a limit the user picked themselves
+    if (version < 2 && migrated.maxPosts === 300) {
+      delete migrated.maxPosts;
+    }
+
+    migrated.version = SETTINGS_VERSION;
+    return migrated;
+  }
+
+  /**
+   * Load settings from storage, filled in with defaults
+   */
+  async function loadSettings() {
+    const result = await chrome.storage.local.get([SETTINGS_KEY]);
+    return validateSettings(migrateSettings(result[SETTINGS_KEY])).settings;
+  }
+
+  /**
+   * Validate and store a partial settings update
+   * @throws {Error} if any of the changed fields are invalid
+   */
+  async function saveSettings(changes) {
+    const current = await loadSettings();
+    const { settings, errors } = validateSettings({ ...current, ...changes });
+
+    const invalidKeys = Object.keys(errors);
+    if (invalidKeys.length > 0) {
+      const error = new Error(`Invalid settings: ${invalidKeys.join(', ')}`);
+      error.errors = errors;
+      throw error;
+    }
+
+    await chrome.storage.local.set({
+      [SETTINGS_KEY]: { ...settings, version: SETTINGS_VERSION }
+    });
+    return settings;
+  }
+
+  /**
+   * Restore every setting to its default
+   */
+  async function resetSettings() {
+    await chrome.storage.local.set({
+      [SETTINGS_KEY]: { ...DEFAULT_SETTINGS, version: SETTINGS_VERSION }
+    });
+    return { ...DEFAULT_SETTINGS };
+  }
+
+  /**
+   * Subscribe to settings changes from any extension surface
+   * @param {function(Object, Object)} callback - receives (newSettings, oldSettings)
+   */
+  function onSettingsChanged(callback) {
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName !== 'local' || !changes[SETTINGS_KEY]) return;
+      const { newValue, oldValue } = changes[SETTINGS_KEY];
+      callback(
+        validateSettings(migrateSettings(newValue)).settings,
+        validateSettings(migrateSettings(oldValue)).settings
+      );
+    });
+  }
+
+  root.SubstackFrontSettings = {
+    SETTINGS_KEY,
+    SETTINGS_VERSION,
+    SETTINGS_SCHEMA,
+    DEFAULT_SETTINGS,
+    validateSettings,
+    migrateSettings,
+    load: loadSettings,
+    save: saveSettings,
+    reset: resetSettings,
+    onChanged: onSettingsChanged
+  };
+
+})(globalThis);